@@ -0,0 +1,56 @@
+/**
+ * Defaults for new attractors. STRENGTH 1 pulls a boid at the point with
+ * ATTRACTOR_RULES.FORCE × its max speed per 60 Hz frame (see rules.js);
+ * negative strengths repel. The pull fades linearly to nothing at RADIUS.
+ * @type {{STRENGTH:number, RADIUS:number}}
+ */
+const ATTRACTOR_SETTINGS = {
+    STRENGTH: 1,
+    RADIUS: 250,
+};
+
+/**
+ * A point boids are pulled towards (positive strength) or pushed away from
+ * (negative strength) within its falloff radius. Pinned points stay until
+ * removed; unpinned ones are temporary, like the one following a held
+ * pointer. Attractors are plain data, so they can be posted to a worker.
+ * @typedef {Object} Attractor
+ * @property {number} x
+ * @property {number} y
+ * @property {number} strength
+ * @property {number} radius - Falloff radius in pixels.
+ * @property {boolean} pinned
+ */
+
+/**
+ * Build an attractor from a description, filling in the defaults.
+ * @param {{x:number, y:number, strength?:number, radius?:number, pinned?:boolean}} spec
+ * @returns {Attractor}
+ * @throws {Error} When the position or strength is not finite or the radius is not positive.
+ */
+function createAttractor({ x, y, strength = ATTRACTOR_SETTINGS.STRENGTH, radius = ATTRACTOR_SETTINGS.RADIUS, pinned = true }) {
+    if (![x, y, strength, radius].every(Number.isFinite) || radius <= 0) {
+        throw new Error("An attractor needs a finite position and strength and a positive radius");
+    }
+    return { x, y, strength, radius, pinned: Boolean(pinned) };
+}
+
+/**
+ * The topmost (last added) attractor whose point is within `tolerance` pixels.
+ * @param {Attractor[]} attractors
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [tolerance=8]
+ * @returns {Attractor|null}
+ */
+function attractorAt(attractors, x, y, tolerance = 8) {
+    for (let k = attractors.length - 1; k >= 0; k--) {
+        const attractor = attractors[k];
+        if (Math.hypot(attractor.x - x, attractor.y - y) <= tolerance) {
+            return attractor;
+        }
+    }
+    return null;
+}
+
+export { ATTRACTOR_SETTINGS, createAttractor, attractorAt };
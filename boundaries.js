@@ -0,0 +1,175 @@
+/**
+ * Boundary modes selectable through the `boundary` simulation parameter.
+ * - soft: distance-weighted push away from the rectangle edges (the original behavior)
+ * - wrap: toroidal world; boids leaving one edge re-enter at the opposite one,
+ *   and neighbor search and distances wrap too
+ * - bounce: elastic reflection off the rectangle edges
+ * - circle / ellipse: radial soft wall around a circular (or elliptical,
+ *   world-filling) arena centered in the world
+ * @enum {string}
+ */
+const BOUNDARY_MODES = {
+    SOFT: "soft",
+    WRAP: "wrap",
+    BOUNCE: "bounce",
+    CIRCLE: "circle",
+    ELLIPSE: "ellipse",
+};
+
+/**
+ * Arena of the circle and ellipse modes: center and semi-axes in pixels.
+ * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+ * @param {string} mode - One of BOUNDARY_MODES.
+ * @returns {{x:number, y:number, radiusX:number, radiusY:number}|null} null
+ *   for modes without an arena.
+ */
+function arenaShape(world, mode) {
+    const x = world.CANVAS_WIDTH / 2;
+    const y = world.CANVAS_HEIGHT / 2;
+    if (mode === BOUNDARY_MODES.CIRCLE) {
+        const radius = Math.min(x, y);
+        return { x, y, radiusX: radius, radiusY: radius };
+    }
+    if (mode === BOUNDARY_MODES.ELLIPSE) {
+        return { x, y, radiusX: x, radiusY: y };
+    }
+    return null;
+}
+
+/**
+ * Steering away from the walls of the soft and arena modes, stronger the
+ * closer the boid is to a wall. Wrap and bounce steer nothing; they act on
+ * the position instead (see constrainToBounds).
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+ * @param {string} mode - One of BOUNDARY_MODES.
+ * @param {{x:number, y:number}} out - Receives the steering vector.
+ */
+function boundaryForce(store, i, world, mode, out) {
+    out.x = 0;
+    out.y = 0;
+    if (mode === BOUNDARY_MODES.WRAP || mode === BOUNDARY_MODES.BOUNCE) return;
+
+    const margin = Math.min(100, Math.max(30, store.range[i] / 2)); // dynamic margin
+
+    // Maximum steering force applied when touching the wall (tunable)
+    const maxForce = Math.max(0.5, store.maxSpeed[i] * 0.25);
+
+    const x = store.x[i];
+    const y = store.y[i];
+    if (mode === BOUNDARY_MODES.CIRCLE || mode === BOUNDARY_MODES.ELLIPSE) {
+        arenaForce(x, y, world, mode, margin, maxForce, out);
+        return;
+    }
+
+    if (x < margin) out.x += edgeForce(x, margin, maxForce); // push right
+    if (world.CANVAS_WIDTH - x < margin) out.x -= edgeForce(world.CANVAS_WIDTH - x, margin, maxForce); // push left
+    if (y < margin) out.y += edgeForce(y, margin, maxForce); // push down
+    if (world.CANVAS_HEIGHT - y < margin) out.y -= edgeForce(world.CANVAS_HEIGHT - y, margin, maxForce); // push up
+}
+
+/**
+ * Radial push towards the arena center (see arenaShape), applied within
+ * `margin` of the wall and at full strength outside it.
+ * @param {number} x
+ * @param {number} y
+ * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+ * @param {string} mode - BOUNDARY_MODES.CIRCLE or BOUNDARY_MODES.ELLIPSE.
+ * @param {number} margin
+ * @param {number} maxForce
+ * @param {{x:number, y:number}} out
+ */
+function arenaForce(x, y, world, mode, margin, maxForce, out) {
+    const centerX = world.CANVAS_WIDTH / 2;
+    const centerY = world.CANVAS_HEIGHT / 2;
+    const radiusX = mode === BOUNDARY_MODES.CIRCLE ? Math.min(centerX, centerY) : centerX;
+    const radiusY = mode === BOUNDARY_MODES.CIRCLE ? Math.min(centerX, centerY) : centerY;
+
+    const dx = x - centerX;
+    const dy = y - centerY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance === 0) return;
+
+    // Normalized radius: 1 on the wall. The wall distance along the ray
+    // through the boid is exact for a circle and close for an ellipse.
+    const normalized = Math.sqrt((dx / radiusX) ** 2 + (dy / radiusY) ** 2);
+    const wallDistance = distance / normalized - distance;
+    if (wallDistance >= margin) return;
+
+    // Push along the inward wall normal (the gradient of the ellipse equation)
+    const normalX = dx / (radiusX * radiusX);
+    const normalY = dy / (radiusY * radiusY);
+    const normalLength = Math.sqrt(normalX * normalX + normalY * normalY);
+    const force = wallDistance > 0 ? edgeForce(wallDistance, margin, maxForce) : maxForce;
+    out.x -= force * normalX / normalLength;
+    out.y -= force * normalY / normalLength;
+}
+
+/**
+ * Strength of the push away from an edge `distance` pixels away: `maxForce`
+ * at the edge, easing quadratically to 0 at `margin`.
+ * @param {number} distance
+ * @param {number} margin
+ * @param {number} maxForce
+ * @returns {number}
+ */
+function edgeForce(distance, margin, maxForce) {
+    const f = 1 - (distance / margin);
+    return maxForce * f * f;
+}
+
+/**
+ * Apply the hard boundary of the wrap and bounce modes after a boid moved.
+ * Wrapping shifts the previous position along with the current one, so
+ * renderers interpolate across the seam instead of across the world.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+ * @param {string} mode - One of BOUNDARY_MODES.
+ */
+function constrainToBounds(store, i, world, mode) {
+    if (mode === BOUNDARY_MODES.WRAP) {
+        wrapAxis(store.x, store.previousX, i, world.CANVAS_WIDTH);
+        wrapAxis(store.y, store.previousY, i, world.CANVAS_HEIGHT);
+    } else if (mode === BOUNDARY_MODES.BOUNCE) {
+        bounceAxis(store.x, store.vx, i, world.CANVAS_WIDTH);
+        bounceAxis(store.y, store.vy, i, world.CANVAS_HEIGHT);
+    }
+}
+
+/**
+ * Wrap one coordinate into [0, size).
+ * @param {Float32Array} position
+ * @param {Float32Array} previous
+ * @param {number} i
+ * @param {number} size
+ */
+function wrapAxis(position, previous, i, size) {
+    if (position[i] < 0) {
+        position[i] += size;
+        previous[i] += size;
+    } else if (position[i] >= size) {
+        position[i] -= size;
+        previous[i] -= size;
+    }
+}
+
+/**
+ * Reflect one coordinate and its velocity component off the walls at 0 and size.
+ * @param {Float32Array} position
+ * @param {Float32Array} velocity
+ * @param {number} i
+ * @param {number} size
+ */
+function bounceAxis(position, velocity, i, size) {
+    if (position[i] < 0) {
+        position[i] = -position[i];
+        velocity[i] = Math.abs(velocity[i]);
+    } else if (position[i] > size) {
+        position[i] = 2 * size - position[i];
+        velocity[i] = -Math.abs(velocity[i]);
+    }
+}
+
+export { BOUNDARY_MODES, arenaShape, boundaryForce, constrainToBounds };
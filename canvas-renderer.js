@@ -0,0 +1,505 @@
+import { Boid } from "./boid.js";
+import { BOUNDARY_MODES, arenaShape } from "./boundaries.js";
+import { FLOW_ARROWS, flowArrows } from "./flow-fields.js";
+import { OBSTACLE_SHAPES } from "./obstacles.js";
+import { occludedWedges } from "./occlusion.js";
+import { neighborLineWeight, wrapDelta } from "./utils.js";
+
+/**
+ * Boid body shape, matching the `.boids` CSS triangle used by the DOM
+ * renderer: the tail sits on the boid position and the tip points along the
+ * velocity.
+ * @type {{LENGTH:number, HALF_WIDTH:number}}
+ */
+const BOID_SHAPE = {
+    LENGTH: 18,
+    HALF_WIDTH: 6,
+};
+
+/**
+ * Size of a predator body relative to a boid body.
+ * @const {number}
+ */
+const PREDATOR_SCALE = 1.5;
+
+/**
+ * Colors for the overlays the DOM renderer styles through CSS.
+ * @type {{FLOW:string, ARENA:string, FOOD:string, OBSTACLE_FILL:string, OBSTACLE_STROKE:string, ATTRACTOR:string, REPELLER:string, FOV_FILL:string, FOV_STROKE:string, FOV_OCCLUDED:string, NEIGHBOR:string, HIGHLIGHT_SHADOW:string}}
+ */
+const OVERLAY_COLORS = {
+    FLOW: "rgba(14, 116, 144, 0.3)",
+    ARENA: "rgba(30, 64, 175, 0.35)",
+    FOOD: "#ca8a04",
+    OBSTACLE_FILL: "rgba(71, 85, 105, 0.55)",
+    OBSTACLE_STROKE: "rgba(51, 65, 85, 0.8)",
+    ATTRACTOR: "#16a34a",
+    REPELLER: "#9333ea",
+    FOV_FILL: "rgba(74, 222, 128, 0.2)",
+    FOV_STROKE: "rgba(34, 197, 94, 0.4)",
+    FOV_OCCLUDED: "rgba(15, 23, 42, 0.25)",
+    NEIGHBOR: "#ef4444",
+    HIGHLIGHT_SHADOW: "rgba(29, 29, 29, 0.8)",
+};
+
+/**
+ * CanvasRenderer
+ *
+ * Draws a `Simulation` onto a single `<canvas>` with the 2D context. Every
+ * frame is cleared and redrawn in one pass, so the cost per boid is a few
+ * path commands instead of a styled DOM element, which keeps large flocks
+ * smooth. Visuals mirror the DOM renderer: the flow field's arrow grid,
+ * food patches, obstacles, attractors, trails,
+ * predators, FOV sector (with its occluded wedges), steer vectors and
+ * neighbor lines for the highlighted
+ * boid.
+ *
+ * Boids are drawn between their previous and current step positions using
+ * the interpolation factor supplied by the fixed-step clock.
+ */
+class CanvasRenderer {
+    /**
+     * @param {HTMLElement} canvasElement - Container the `<canvas>` is appended to.
+     */
+    constructor(canvasElement) {
+        this.canvasElement = canvasElement;
+        this.canvas = document.createElement("canvas");
+        this.canvas.classList.add("boid-canvas");
+        this.canvasElement.appendChild(this.canvas);
+        this.context = this.canvas.getContext("2d");
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+    }
+
+    /**
+     * Draw the current state of every boid in the simulation.
+     * @param {import("./simulation.js").Simulation} simulation
+     * @param {number} [alpha=1] - Interpolation factor between each boid's
+     *   previous and current step position (1 = current position).
+     */
+    render(simulation, alpha = 1) {
+        const { flock, world } = simulation;
+        const ctx = this.context;
+        this._resize(world.CANVAS_WIDTH, world.CANVAS_HEIGHT);
+
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        if (simulation.params.showFlowField) {
+            this._drawFlowField(flowArrows(simulation.flowField, simulation.time, world));
+        }
+        this._drawArena(arenaShape(world, simulation.params.boundary));
+        this._drawFoodPatches(simulation.foodPatches);
+        this._drawObstacles(simulation.obstacles);
+        this._drawAttractors(simulation.attractors);
+
+        if (Boid.ghostTrailEnabled) {
+            for (let i = 0; i < flock.length; i++) {
+                this._drawTrail(flock[i]);
+            }
+        }
+
+        for (let i = 0; i < flock.length; i++) {
+            const boid = flock[i];
+            if (boid.highlighted) continue;
+            this._drawBody(boid, this._interpolate(boid, alpha), false);
+        }
+
+        const { predators } = simulation;
+        for (let p = 0; p < predators.length; p++) {
+            this._drawBody(predators[p], this._interpolate(predators[p], alpha), false, PREDATOR_SCALE);
+        }
+
+        // The highlighted boid and its overlays are drawn last, on top of the flock
+        const highlighted = simulation.highlighted;
+        if (highlighted) {
+            const position = this._interpolate(highlighted, alpha);
+            const wrapped = simulation.params.boundary === BOUNDARY_MODES.WRAP ? world : null;
+            if (highlighted.FOVEnabled) {
+                this._drawFOV(highlighted, position);
+                if (simulation.params.occlusion) {
+                    this._drawOccludedWedges(highlighted, position, this._occludedWedges(simulation, highlighted, position, wrapped));
+                }
+            }
+            if (highlighted.showNeighbors) {
+                this._drawNeighbors(highlighted, position, alpha, wrapped);
+            }
+            for (const rule of simulation.rules.list()) {
+                const vector = highlighted.ruleForce(rule);
+                if (rule.color && vector && highlighted.shownRules.has(rule.name)) {
+                    this._drawSteerVector(highlighted, position, vector, rule.scale, rule.color);
+                }
+            }
+            this._drawBody(highlighted, position, true);
+        }
+    }
+
+    /**
+     * Remove the `<canvas>` this renderer created.
+     */
+    destroy() {
+        this.canvas.remove();
+    }
+
+    /**
+     * Match the backing store to the world size and device pixel ratio.
+     * @param {number} width
+     * @param {number} height
+     * @private
+     */
+    _resize(width, height) {
+        const pixelRatio = window.devicePixelRatio || 1;
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return;
+
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+    }
+
+    /**
+     * Position of a boid between its previous and current step.
+     * @param {Boid} boid
+     * @param {number} alpha
+     * @returns {{x:number, y:number}}
+     * @private
+     */
+    _interpolate(boid, alpha) {
+        return {
+            x: boid.previousPosition.x + (boid.position.x - boid.previousPosition.x) * alpha,
+            y: boid.previousPosition.y + (boid.position.y - boid.previousPosition.y) * alpha,
+        };
+    }
+
+    /**
+     * Draw a triangle at (x, y) pointing along `angle`, scaled by `scale`.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} angle - Heading in radians.
+     * @param {number} [scale=1]
+     * @private
+     */
+    _traceTriangle(x, y, angle, scale = 1) {
+        const ctx = this.context;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const length = BOID_SHAPE.LENGTH * scale;
+        const halfWidth = BOID_SHAPE.HALF_WIDTH * scale;
+
+        ctx.beginPath();
+        ctx.moveTo(x + cos * length, y + sin * length);
+        ctx.lineTo(x - sin * halfWidth, y + cos * halfWidth);
+        ctx.lineTo(x + sin * halfWidth, y - cos * halfWidth);
+        ctx.closePath();
+    }
+
+    /**
+     * Draw a boid body. The highlighted boid gets the same soft shadow as in the DOM view.
+     * @param {Boid} boid
+     * @param {{x:number, y:number}} position - Drawn (interpolated) position.
+     * @param {boolean} highlighted
+     * @param {number} [scale=1]
+     * @private
+     */
+    _drawBody(boid, position, highlighted, scale = 1) {
+        const ctx = this.context;
+        ctx.fillStyle = boid.color;
+        if (highlighted) {
+            ctx.save();
+            ctx.shadowColor = OVERLAY_COLORS.HIGHLIGHT_SHADOW;
+            ctx.shadowBlur = 4;
+        }
+        this._traceTriangle(position.x, position.y, boid.velocity.angle(), scale);
+        ctx.fill();
+        if (highlighted) {
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Render the ghost trail as fading, shrinking triangles. The first trail
+     * sample is the boid's most recent position.
+     * @param {Boid} boid
+     * @private
+     */
+    _drawTrail(boid) {
+        const ctx = this.context;
+        const length = boid.maxTrailLength;
+        ctx.fillStyle = boid.color;
+        for (let i = 0; i < boid.trailPositions.length; i++) {
+            const pos = boid.trailPositions[i];
+            ctx.globalAlpha = (length - i) / length * 0.4;
+            this._traceTriangle(pos.x, pos.y, pos.angle, (length - i) / length * 0.8 + 0.2);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the flow field as a faint grid of arrows.
+     * @param {{x:number, y:number, dx:number, dy:number}[]} arrows - See flowArrows.
+     * @private
+     */
+    _drawFlowField(arrows) {
+        const ctx = this.context;
+        ctx.beginPath();
+        for (const { x, y, dx, dy } of arrows) {
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length < 1) continue;
+            const tipX = x + dx;
+            const tipY = y + dy;
+            const backX = (dx / length) * FLOW_ARROWS.HEAD;
+            const backY = (dy / length) * FLOW_ARROWS.HEAD;
+            ctx.moveTo(x, y);
+            ctx.lineTo(tipX, tipY);
+            ctx.moveTo(tipX - backX - backY, tipY - backY + backX);
+            ctx.lineTo(tipX, tipY);
+            ctx.lineTo(tipX - backX + backY, tipY - backY - backX);
+        }
+        ctx.strokeStyle = OVERLAY_COLORS.FLOW;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    /**
+     * Outline the arena of the circle and ellipse boundary modes.
+     * @param {{x:number, y:number, radiusX:number, radiusY:number}|null} arena
+     * @private
+     */
+    _drawArena(arena) {
+        if (!arena) return;
+
+        const ctx = this.context;
+        ctx.beginPath();
+        ctx.ellipse(arena.x, arena.y, arena.radiusX, arena.radiusY, 0, 0, Math.PI * 2);
+        ctx.strokeStyle = OVERLAY_COLORS.ARENA;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /**
+     * Fill every obstacle with its outline.
+     * @param {import("./obstacles.js").Obstacle[]} obstacles
+     * @private
+     */
+    _drawObstacles(obstacles) {
+        const ctx = this.context;
+        ctx.fillStyle = OVERLAY_COLORS.OBSTACLE_FILL;
+        ctx.strokeStyle = OVERLAY_COLORS.OBSTACLE_STROKE;
+        ctx.lineWidth = 2;
+        for (const obstacle of obstacles) {
+            ctx.beginPath();
+            if (obstacle.shape === OBSTACLE_SHAPES.CIRCLE) {
+                ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
+            } else {
+                const { vertices } = obstacle;
+                ctx.moveTo(vertices[0], vertices[1]);
+                for (let v = 2; v < vertices.length; v += 2) {
+                    ctx.lineTo(vertices[v], vertices[v + 1]);
+                }
+                ctx.closePath();
+            }
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Draw every food patch as an outlined disc, filled more the more food
+     * it has left.
+     * @param {import("./food.js").FoodPatch[]} patches
+     * @private
+     */
+    _drawFoodPatches(patches) {
+        const ctx = this.context;
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = OVERLAY_COLORS.FOOD;
+        ctx.fillStyle = OVERLAY_COLORS.FOOD;
+        for (const patch of patches) {
+            ctx.beginPath();
+            ctx.arc(patch.x, patch.y, patch.radius, 0, Math.PI * 2);
+            ctx.globalAlpha = 0.05 + 0.4 * (patch.amount / patch.capacity);
+            ctx.fill();
+            ctx.globalAlpha = 0.6;
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Mark every attractor (green) and repeller (purple) with a dot and a
+     * dashed falloff circle. Pinned points get a ring around the dot.
+     * @param {import("./attractors.js").Attractor[]} attractors
+     * @private
+     */
+    _drawAttractors(attractors) {
+        const ctx = this.context;
+        ctx.lineWidth = 2;
+        for (const attractor of attractors) {
+            const color = attractor.strength < 0 ? OVERLAY_COLORS.REPELLER : OVERLAY_COLORS.ATTRACTOR;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+
+            ctx.globalAlpha = 0.3;
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.arc(attractor.x, attractor.y, attractor.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.globalAlpha = 0.9;
+            ctx.beginPath();
+            ctx.arc(attractor.x, attractor.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+            if (attractor.pinned) {
+                ctx.beginPath();
+                ctx.arc(attractor.x, attractor.y, 9, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the FOV sector of a boid, centered on its heading.
+     * @param {Boid} boid
+     * @param {{x:number, y:number}} position
+     * @private
+     */
+    _drawFOV(boid, position) {
+        const totalFOVAngle = boid.leftSideFOV + boid.rightSideFOV;
+        if (totalFOVAngle <= 0) return;
+
+        const ctx = this.context;
+        const radius = boid.range / 2;
+        const heading = boid.velocity.angle();
+
+        ctx.beginPath();
+        if (totalFOVAngle >= Math.PI * 2) {
+            ctx.arc(position.x, position.y, radius, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(position.x, position.y);
+            ctx.arc(position.x, position.y, radius, heading - totalFOVAngle / 2, heading + totalFOVAngle / 2);
+            ctx.closePath();
+        }
+        ctx.fillStyle = OVERLAY_COLORS.FOV_FILL;
+        ctx.fill();
+        ctx.strokeStyle = OVERLAY_COLORS.FOV_STROKE;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /**
+     * The wedges of a boid's field of view the other boids and the obstacles
+     * hide from it (see occludedWedges).
+     * @param {import("./simulation.js").Simulation} simulation
+     * @param {Boid} boid
+     * @param {{x:number, y:number}} position
+     * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}|null} wrapped
+     * @returns {{start:number, end:number, near:number}[]}
+     * @private
+     */
+    _occludedWedges(simulation, boid, position, wrapped) {
+        const viewer = {
+            x: position.x,
+            y: position.y,
+            heading: boid.velocity.angle(),
+            leftSideFOV: boid.leftSideFOV,
+            rightSideFOV: boid.rightSideFOV,
+            range: boid.range,
+        };
+        const bodies = simulation.flock.filter((other) => other !== boid).map((other) => other.position);
+        return occludedWedges(viewer, bodies, simulation.obstacles, simulation.params.bodyRadius, wrapped);
+    }
+
+    /**
+     * Shade the wedges of the FOV sector that are hidden from the boid, from
+     * the body casting each one out to the sector's edge.
+     * @param {Boid} boid
+     * @param {{x:number, y:number}} position
+     * @param {{start:number, end:number, near:number}[]} wedges - Relative to the heading.
+     * @private
+     */
+    _drawOccludedWedges(boid, position, wedges) {
+        const ctx = this.context;
+        const radius = boid.range / 2;
+        const heading = boid.velocity.angle();
+        ctx.beginPath();
+        for (const { start, end, near } of wedges) {
+            if (near >= radius) continue;
+            ctx.moveTo(position.x + near * Math.cos(heading + start), position.y + near * Math.sin(heading + start));
+            ctx.arc(position.x, position.y, radius, heading + start, heading + end);
+            ctx.arc(position.x, position.y, near, heading + end, heading + start, true);
+            ctx.closePath();
+        }
+        ctx.fillStyle = OVERLAY_COLORS.FOV_OCCLUDED;
+        ctx.fill();
+    }
+
+    /**
+     * Draw a line from the boid along a vector, clamped to the boid's range.
+     * @param {Boid} boid
+     * @param {{x:number, y:number}} position
+     * @param {{x:number, y:number}} vector
+     * @param {number} scale
+     * @param {string} color
+     * @private
+     */
+    _drawSteerVector(boid, position, vector, scale, color) {
+        let dx = vector.x * scale;
+        let dy = vector.y * scale;
+        const magnitude = Math.sqrt(dx * dx + dy * dy);
+        if (magnitude === 0) return;
+        if (magnitude > boid.range) {
+            dx *= boid.range / magnitude;
+            dy *= boid.range / magnitude;
+        }
+
+        const ctx = this.context;
+        ctx.beginPath();
+        ctx.moveTo(position.x, position.y);
+        ctx.lineTo(position.x + dx, position.y + dy);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /**
+     * Draw lines to each neighbor, thinner and fainter the farther away it is
+     * (see neighborLineWeight), including topological neighbors beyond the
+     * range. In a wrap-around world lines take the short way across the edges.
+     * @param {Boid} boid
+     * @param {{x:number, y:number}} position
+     * @param {number} alpha
+     * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}|null} wrapped - World
+     *   to wrap lines in, or null.
+     * @private
+     */
+    _drawNeighbors(boid, position, alpha, wrapped) {
+        const ctx = this.context;
+        ctx.strokeStyle = OVERLAY_COLORS.NEIGHBOR;
+        const reach = boid.neighborReach;
+        for (const neighbor of boid.neighbors) {
+            const distanceRatio = neighborLineWeight(boid.neighborDistances.get(neighbor) ?? 0, reach);
+
+            const other = this._interpolate(neighbor, alpha);
+            let dx = other.x - position.x;
+            let dy = other.y - position.y;
+            if (wrapped) {
+                dx = wrapDelta(dx, wrapped.CANVAS_WIDTH);
+                dy = wrapDelta(dy, wrapped.CANVAS_HEIGHT);
+            }
+            ctx.globalAlpha = distanceRatio;
+            ctx.lineWidth = Math.sqrt(5 * distanceRatio);
+            ctx.beginPath();
+            ctx.moveTo(position.x, position.y);
+            ctx.lineTo(position.x + dx, position.y + dy);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+}
+
+export { CanvasRenderer };
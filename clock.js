@@ -0,0 +1,58 @@
+import { WORLD } from "./world.js";
+
+/**
+ * FixedStepClock
+ *
+ * Converts variable wall-clock frame times into a whole number of fixed
+ * simulation steps. Leftover time is kept in an accumulator and exposed as
+ * `alpha`, the fraction of a step the renderer should interpolate by, so a
+ * 60 Hz and a 144 Hz display run exactly the same sequence of steps.
+ */
+class FixedStepClock {
+    /**
+     * @param {{stepMs?:number, maxStepsPerFrame?:number}} [options]
+     */
+    constructor({ stepMs = WORLD.FIXED_TIMESTEP, maxStepsPerFrame = WORLD.MAX_STEPS_PER_FRAME } = {}) {
+        this.stepMs = stepMs;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Add elapsed wall time and return how many fixed steps are now due.
+     * If more than `maxStepsPerFrame` are due (e.g. after the tab was hidden)
+     * the backlog is dropped instead of freezing the page to catch up.
+     * @param {number} elapsedMs - Wall time since the previous frame.
+     * @returns {number}
+     */
+    advance(elapsedMs) {
+        this.accumulator += Math.max(0, elapsedMs);
+
+        let steps = Math.floor(this.accumulator / this.stepMs);
+        if (steps > this.maxStepsPerFrame) {
+            steps = this.maxStepsPerFrame;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * this.stepMs;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Fraction of a step accumulated since the last step, in [0, 1).
+     * @returns {number}
+     */
+    get alpha() {
+        return this.accumulator / this.stepMs;
+    }
+
+    /**
+     * Drop any accumulated time.
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
+
+export { FixedStepClock };
@@ -0,0 +1,108 @@
+import { hashInts } from "./random.js";
+
+/**
+ * Shapes of a parameter distribution.
+ * - uniform: values spread evenly over mean × (1 ± spread)
+ * - normal: values around the mean with a standard deviation of
+ *   mean × spread, cut off at NORMAL_CUTOFF standard deviations
+ * @enum {string}
+ */
+const DISTRIBUTION_SHAPES = {
+    UNIFORM: "uniform",
+    NORMAL: "normal",
+};
+
+/**
+ * Boid parameters that can be set to a distribution instead of a single
+ * value. The position of a parameter picks which of a boid's trait draws it
+ * uses, so each parameter varies independently.
+ * @type {string[]}
+ */
+const DISTRIBUTED_PARAMETERS = [
+    "range",
+    "fovAngle",
+    "separationCoefficient",
+    "cohereCoefficient",
+    "alignCoefficient",
+    "fleeCoefficient",
+    "maxSpeed",
+];
+
+/**
+ * Standard deviations at which normal draws are cut off, so a spread below
+ * 1 / NORMAL_CUTOFF never yields negative values.
+ * @const {number}
+ */
+const NORMAL_CUTOFF = 3;
+
+/**
+ * A parameter value that differs per boid: each boid samples its own value
+ * from it. Distributions are plain data, so they can be posted to a worker.
+ * @typedef {Object} Distribution
+ * @property {number} mean
+ * @property {number} spread - Relative to the mean: 0.2 spreads values by 20% of it.
+ * @property {string} shape - One of DISTRIBUTION_SHAPES.
+ */
+
+/**
+ * Build a distribution from a description.
+ * @param {{mean:number, spread?:number, shape?:string}} spec
+ * @returns {Distribution}
+ * @throws {Error} When the mean or spread is not a finite number (or the
+ *   spread is negative), or the shape is unknown.
+ */
+function createDistribution({ mean, spread = 0, shape = DISTRIBUTION_SHAPES.UNIFORM }) {
+    if (!Number.isFinite(mean) || !Number.isFinite(spread) || spread < 0) {
+        throw new Error("A distribution needs a finite mean and a non-negative spread");
+    }
+    if (!Object.values(DISTRIBUTION_SHAPES).includes(shape)) {
+        throw new Error(`Unknown distribution shape: ${shape}`);
+    }
+    return { mean, spread, shape };
+}
+
+/**
+ * The mean of a parameter value, which is either a number or a distribution.
+ * @param {number|Distribution} value
+ * @returns {number}
+ */
+function parameterMean(value) {
+    return typeof value === "number" ? value : value.mean;
+}
+
+/**
+ * A boid's value of a parameter. Numbers are everyone's value; distributions
+ * are sampled with the boid's trait seed, so a boid keeps its value when only
+ * the mean or spread changes, and the same seed always yields the same value.
+ * @param {number|Distribution} value
+ * @param {number} traitSeed - The boid's trait seed (see FlockStore).
+ * @param {number} key - Index of the parameter in DISTRIBUTED_PARAMETERS.
+ * @returns {number} The sampled value, never negative for a distribution.
+ */
+function sampleParameter(value, traitSeed, key) {
+    if (typeof value === "number") return value;
+
+    const { mean, spread, shape } = value;
+    if (spread === 0) return mean;
+
+    const u1 = (hashInts(traitSeed, 2 * key) + 0.5) / 4294967296;
+    let deviate;
+    if (shape === DISTRIBUTION_SHAPES.NORMAL) {
+        // Box-Muller transform
+        const u2 = hashInts(traitSeed, 2 * key + 1) / 4294967296;
+        deviate = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        deviate = Math.max(-NORMAL_CUTOFF, Math.min(NORMAL_CUTOFF, deviate));
+    } else {
+        deviate = 2 * u1 - 1;
+    }
+    return Math.max(0, mean * (1 + spread * deviate));
+}
+
+export {
+    DISTRIBUTION_SHAPES,
+    DISTRIBUTED_PARAMETERS,
+    NORMAL_CUTOFF,
+    createDistribution,
+    parameterMean,
+    sampleParameter,
+};
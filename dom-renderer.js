@@ -0,0 +1,823 @@
+import { Boid } from "./boid.js";
+import { BOUNDARY_MODES, arenaShape } from "./boundaries.js";
+import { FLOW_ARROWS, FLOW_FIELD_TYPES, flowArrows } from "./flow-fields.js";
+import { OBSTACLE_SHAPES } from "./obstacles.js";
+import { occludedWedges } from "./occlusion.js";
+import { Predator } from "./predator.js";
+import { distance2D, neighborLineWeight, wrapDelta } from "./utils.js";
+import { Vector2D } from "./vector.js";
+
+/**
+ * DomRenderer
+ *
+ * Draws a `Simulation` using one absolutely positioned element per boid (and
+ * per predator), plus optional trail, steer-vector, FOV (with its occluded
+ * wedges) and neighbor-line elements. Elements are created lazily the first time a boid is rendered and
+ * kept in a per-boid view record, so the simulation model itself never holds
+ * DOM references.
+ *
+ * Boids are drawn between their previous and current step positions using
+ * the interpolation factor supplied by the fixed-step clock.
+ */
+class DomRenderer {
+    static _tempVector = new Vector2D(0, 0);
+    static _tempVector2 = new Vector2D(0, 0);
+
+    /**
+     * @param {HTMLElement} canvasElement - Container the boid elements are appended to.
+     */
+    constructor(canvasElement) {
+        this.canvasElement = canvasElement;
+        /** @type {Map<Boid, Object>} */
+        this.views = new Map();
+        /** @type {HTMLElement|null} */
+        this.arenaElement = null;
+        this.arenaKey = null;
+        /** @type {SVGElement|null} Arrow grid of the flow field */
+        this.flowLayer = null;
+        /** @type {import("./flow-fields.js").FlowField|null} Field the arrow grid was drawn from */
+        this.flowField = null;
+        /** @type {SVGElement|null} */
+        this.obstacleLayer = null;
+        /** @type {import("./obstacles.js").Obstacle[]|null} Obstacle list the layer was drawn from */
+        this.obstacles = null;
+        /** @type {Map<Object, HTMLElement>} Food patch discs */
+        this.foodElements = new Map();
+        /** @type {Map<Object, HTMLElement>} Attractor markers */
+        this.attractorElements = new Map();
+        /** @type {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}|null} World neighbor lines wrap in, if any */
+        this.wrapped = null;
+        /** @type {import("./rule-registry.js").SteeringRule[]} Rules whose vectors can be drawn */
+        this.rules = [];
+        /** @type {{start:number, end:number, near:number}[]} Wedges hidden from the highlighted boid */
+        this.occludedWedges = [];
+    }
+
+    /**
+     * Draw the current state of every boid in the simulation.
+     * @param {import("./simulation.js").Simulation} simulation
+     * @param {number} [alpha=1] - Interpolation factor between each boid's
+     *   previous and current step position (1 = current position).
+     */
+    render(simulation, alpha = 1) {
+        const { flock, world } = simulation;
+        this._drawFlowField(simulation.params.showFlowField ? simulation.flowField : null, simulation.time, world);
+        this._drawArena(arenaShape(world, simulation.params.boundary));
+        this._drawFoodPatches(simulation.foodPatches);
+        if (simulation.obstacles !== this.obstacles) {
+            this._drawObstacles(simulation.obstacles, world);
+        }
+        this._drawAttractors(simulation.attractors);
+        this.wrapped = simulation.params.boundary === BOUNDARY_MODES.WRAP ? world : null;
+        this.rules = simulation.rules.list();
+
+        // Resolve interpolated positions first so neighbor lines can use them
+        const { predators } = simulation;
+        this._placeViews(flock, alpha);
+        this._placeViews(predators, alpha);
+        this.occludedWedges = simulation.params.occlusion ? this._occludedWedges(simulation) : [];
+
+        for (let i = 0; i < flock.length; i++) {
+            this._drawBoid(flock[i], this.views.get(flock[i]));
+        }
+        for (let p = 0; p < predators.length; p++) {
+            this._drawPredator(predators[p], this.views.get(predators[p]));
+        }
+
+        // Drop views for boids and predators that are no longer around
+        if (this.views.size > flock.length + predators.length) {
+            const alive = new Set([...flock, ...predators]);
+            for (const [boid, view] of this.views) {
+                if (!alive.has(boid)) {
+                    this._removeView(view);
+                    this.views.delete(boid);
+                }
+            }
+        }
+    }
+
+    /**
+     * Create missing views and store each drawn (interpolated) position.
+     * @param {Boid[]} boids
+     * @param {number} alpha
+     * @private
+     */
+    _placeViews(boids, alpha) {
+        for (let i = 0; i < boids.length; i++) {
+            const boid = boids[i];
+            let view = this.views.get(boid);
+            if (!view) {
+                view = this._createView(boid);
+                this.views.set(boid, view);
+            }
+            view.x = boid.previousPosition.x + (boid.position.x - boid.previousPosition.x) * alpha;
+            view.y = boid.previousPosition.y + (boid.position.y - boid.previousPosition.y) * alpha;
+        }
+    }
+
+    /**
+     * Remove every element this renderer created.
+     */
+    destroy() {
+        this.views.forEach((view) => this._removeView(view));
+        this.views.clear();
+        this.flowLayer?.remove();
+        this.flowLayer = null;
+        this.flowField = null;
+        this.arenaElement?.remove();
+        this.arenaElement = null;
+        this.arenaKey = null;
+        this.obstacleLayer?.remove();
+        this.obstacleLayer = null;
+        this.obstacles = null;
+        this.foodElements.forEach((element) => element.remove());
+        this.foodElements.clear();
+        this.attractorElements.forEach((element) => element.remove());
+        this.attractorElements.clear();
+    }
+
+    /**
+     * Draw the flow field as a faint grid of arrows in an SVG layer, or hide
+     * it. Static fields are only redrawn when they change; noise drifts, so it
+     * is redrawn every frame.
+     * @param {import("./flow-fields.js").FlowField|null} field - Null hides the grid.
+     * @param {number} time - Simulation clock in seconds.
+     * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+     * @private
+     */
+    _drawFlowField(field, time, world) {
+        if (field === this.flowField && field?.type !== FLOW_FIELD_TYPES.NOISE) return;
+        this.flowField = field;
+
+        if (!this.flowLayer) {
+            this.flowLayer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            this.flowLayer.classList.add("flow-layer");
+            this.flowLayer.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'path'));
+            this.canvasElement.prepend(this.flowLayer);
+        }
+        this.flowLayer.style.display = field ? '' : 'none';
+        if (!field) return;
+
+        this.flowLayer.setAttribute("width", world.CANVAS_WIDTH);
+        this.flowLayer.setAttribute("height", world.CANVAS_HEIGHT);
+        this.flowLayer.setAttribute("viewBox", `0 0 ${world.CANVAS_WIDTH} ${world.CANVAS_HEIGHT}`);
+        let path = "";
+        for (const { x, y, dx, dy } of flowArrows(field, time, world)) {
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length < 1) continue;
+            const tipX = x + dx;
+            const tipY = y + dy;
+            const backX = (dx / length) * FLOW_ARROWS.HEAD;
+            const backY = (dy / length) * FLOW_ARROWS.HEAD;
+            path += `M${x} ${y}L${tipX} ${tipY}`
+                + `M${tipX - backX - backY} ${tipY - backY + backX}L${tipX} ${tipY}L${tipX - backX + backY} ${tipY - backY - backX}`;
+        }
+        this.flowLayer.firstChild.setAttribute("d", path);
+    }
+
+    /**
+     * Show the outline of the circle and ellipse boundary modes, or hide it.
+     * @param {{x:number, y:number, radiusX:number, radiusY:number}|null} arena
+     * @private
+     */
+    _drawArena(arena) {
+        const arenaKey = arena ? `${arena.x}:${arena.y}:${arena.radiusX}:${arena.radiusY}` : null;
+        if (arenaKey === this.arenaKey) return;
+        this.arenaKey = arenaKey;
+
+        if (!this.arenaElement) {
+            this.arenaElement = document.createElement("div");
+            this.arenaElement.classList.add("arena-outline");
+            this.canvasElement.appendChild(this.arenaElement);
+        }
+        if (!arena) {
+            this.arenaElement.style.display = 'none';
+            return;
+        }
+        Object.assign(this.arenaElement.style, {
+            display: 'block',
+            left: `${arena.x - arena.radiusX}px`,
+            top: `${arena.y - arena.radiusY}px`,
+            width: `${arena.radiusX * 2}px`,
+            height: `${arena.radiusY * 2}px`,
+        });
+    }
+
+    /**
+     * Rebuild the SVG layer holding the obstacles. Only called when the
+     * simulation's obstacle list changed.
+     * @param {import("./obstacles.js").Obstacle[]} obstacles
+     * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+     * @private
+     */
+    _drawObstacles(obstacles, world) {
+        this.obstacles = obstacles;
+        if (!this.obstacleLayer) {
+            this.obstacleLayer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            this.obstacleLayer.classList.add("obstacle-layer");
+            this.canvasElement.appendChild(this.obstacleLayer);
+        }
+        this.obstacleLayer.setAttribute("width", world.CANVAS_WIDTH);
+        this.obstacleLayer.setAttribute("height", world.CANVAS_HEIGHT);
+        this.obstacleLayer.setAttribute("viewBox", `0 0 ${world.CANVAS_WIDTH} ${world.CANVAS_HEIGHT}`);
+        this.obstacleLayer.replaceChildren(...obstacles.map((obstacle) => {
+            let element;
+            if (obstacle.shape === OBSTACLE_SHAPES.CIRCLE) {
+                element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                element.setAttribute("cx", obstacle.x);
+                element.setAttribute("cy", obstacle.y);
+                element.setAttribute("r", obstacle.radius);
+            } else {
+                element = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+                element.setAttribute("points", obstacle.vertices.join(" "));
+            }
+            element.classList.add("obstacle");
+            return element;
+        }));
+    }
+
+    /**
+     * Place one disc per food patch, filled by the share of food it has
+     * left, creating and removing discs as patches come and go.
+     * @param {import("./food.js").FoodPatch[]} patches
+     * @private
+     */
+    _drawFoodPatches(patches) {
+        for (const patch of patches) {
+            let element = this.foodElements.get(patch);
+            if (!element) {
+                element = document.createElement("div");
+                element.classList.add("food-patch");
+                this.canvasElement.prepend(element);
+                this.foodElements.set(patch, element);
+            }
+            element.style.setProperty("--food-level", (patch.amount / patch.capacity).toFixed(2));
+            element.style.width = `${patch.radius * 2}px`;
+            element.style.height = `${patch.radius * 2}px`;
+            element.style.transform = `translate(${patch.x - patch.radius}px, ${patch.y - patch.radius}px)`;
+        }
+
+        if (this.foodElements.size > patches.length) {
+            const alive = new Set(patches);
+            for (const [patch, element] of this.foodElements) {
+                if (!alive.has(patch)) {
+                    element.remove();
+                    this.foodElements.delete(patch);
+                }
+            }
+        }
+    }
+
+    /**
+     * Place one marker per attractor (its falloff circle with a dot in the
+     * middle), creating and removing markers as attractors come and go.
+     * @param {import("./attractors.js").Attractor[]} attractors
+     * @private
+     */
+    _drawAttractors(attractors) {
+        for (const attractor of attractors) {
+            let element = this.attractorElements.get(attractor);
+            if (!element) {
+                element = document.createElement("div");
+                element.classList.add("attractor");
+                this.canvasElement.appendChild(element);
+                this.attractorElements.set(attractor, element);
+            }
+            element.classList.toggle("repeller", attractor.strength < 0);
+            element.classList.toggle("pinned", attractor.pinned);
+            element.style.width = `${attractor.radius * 2}px`;
+            element.style.height = `${attractor.radius * 2}px`;
+            element.style.transform = `translate(${attractor.x - attractor.radius}px, ${attractor.y - attractor.radius}px)`;
+        }
+
+        if (this.attractorElements.size > attractors.length) {
+            const alive = new Set(attractors);
+            for (const [attractor, element] of this.attractorElements) {
+                if (!alive.has(attractor)) {
+                    element.remove();
+                    this.attractorElements.delete(attractor);
+                }
+            }
+        }
+    }
+
+    /**
+     * Create the DOM elements used to render a boid and its optional visuals.
+     * @param {Boid} boid
+     * @returns {Object} View record holding the boid's elements.
+     * @private
+     */
+    _createView(boid) {
+        const view = {
+            x: boid.position.x,
+            y: boid.position.y,
+            boidElement: null,
+            trailElements: [],
+            steerElements: new Map(),
+            SVGElement: null,
+            sectorElement: null,
+            occludedElement: null,
+            fovKey: null,
+            neighborLineElements: {},
+            color: null,
+        };
+
+        view.boidElement = document.createElement("div");
+        if (boid instanceof Predator) {
+            view.boidElement.setAttribute("id", "predator" + boid.id);
+            view.boidElement.classList.add("boids", "predator");
+        } else {
+            view.boidElement.setAttribute("id", "boid" + boid.id);
+            view.boidElement.classList.add("boids");
+        }
+        this.canvasElement.appendChild(view.boidElement);
+
+        if (boid.highlighted) {
+            view.boidElement.style.filter = "drop-shadow(0 0 4px rgba(29, 29, 29, 0.8))";
+            this._createFOVElements(view);
+        }
+
+        return view;
+    }
+
+    /**
+     * Remove all elements belonging to a view record.
+     * @param {Object} view
+     * @private
+     */
+    _removeView(view) {
+        view.boidElement?.remove();
+        view.trailElements.forEach((el) => el.remove());
+        view.steerElements.forEach((el) => el.remove());
+        Object.values(view.neighborLineElements).forEach((el) => el?.remove());
+    }
+
+    /**
+     * Draw the vectors of the steering rules shown for a boid. Each rule with
+     * a debug color gets a line element in its color on first use; elements
+     * of rules no longer registered are removed.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @private
+     */
+    _drawSteerVectors(boid, view) {
+        for (const rule of this.rules) {
+            if (!rule.color) continue;
+            let element = view.steerElements.get(rule);
+            if (!element) {
+                element = document.createElement("div");
+                element.classList.add("steer-line");
+                element.style.backgroundColor = rule.color;
+                this.canvasElement.appendChild(element);
+                view.steerElements.set(rule, element);
+            }
+            const vector = boid.ruleForce(rule);
+            this._drawSteerVector(boid, view, element, vector, rule.scale, vector !== null && boid.shownRules.has(rule.name));
+        }
+
+        if (view.steerElements.size > this.rules.length) {
+            for (const [rule, element] of view.steerElements) {
+                if (!this.rules.includes(rule)) {
+                    element.remove();
+                    view.steerElements.delete(rule);
+                }
+            }
+        }
+    }
+
+    /**
+     * Create SVG elements used to visualize the boid's field of view.
+     * The SVG lives inside the boid element so the element rotation orients it.
+     * @param {Object} view
+     * @private
+     */
+    _createFOVElements(view) {
+        view.SVGElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        view.SVGElement.classList.add("FOV");
+
+        view.sectorElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        view.sectorElement.classList.add("fov-sector");
+
+        view.occludedElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        view.occludedElement.classList.add("fov-occluded");
+
+        view.SVGElement.appendChild(view.sectorElement);
+        view.SVGElement.appendChild(view.occludedElement);
+        view.boidElement.appendChild(view.SVGElement);
+    }
+
+    /**
+     * Draw a boid and, when enabled, its trail, FOV, steer vectors and neighbor lines.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @private
+     */
+    _drawBoid(boid, view) {
+        if (boid.color !== view.color) {
+            this._applyColor(view, boid.color);
+        }
+
+        this._syncTrailElements(boid, view);
+        if (Boid.ghostTrailEnabled) {
+            this._drawTrail(boid, view);
+        } else {
+            this._hideTrail(view);
+        }
+
+        const rotationInRadians = boid.velocity.angle();
+        view.boidElement.style.transform = `translate(${view.x}px, ${view.y}px) rotateZ(${rotationInRadians}rad)`;
+
+        if (view.sectorElement) {
+            this._drawFOV(boid, view);
+            this._drawOccludedWedges(boid, view);
+        }
+
+        if (boid.highlighted) {
+            this._drawSteerVectors(boid, view);
+            this._drawNeighbors(boid, view);
+        }
+    }
+
+    /**
+     * Draw a predator body. Predators have no trail or debug overlays.
+     * @param {Predator} predator
+     * @param {Object} view
+     * @private
+     */
+    _drawPredator(predator, view) {
+        if (predator.color !== view.color) {
+            this._applyColor(view, predator.color);
+        }
+        view.boidElement.style.transform = `translate(${view.x}px, ${view.y}px) rotateZ(${predator.velocity.angle()}rad)`;
+    }
+
+    /**
+     * Apply a boid color to its body and trail elements.
+     * @param {Object} view
+     * @param {string} color
+     * @private
+     */
+    _applyColor(view, color) {
+        view.color = color;
+        view.boidElement.style.borderLeftColor = color;
+        view.trailElements.forEach(trail => {
+            trail.style.borderLeftColor = color;
+        });
+    }
+
+    /**
+     * Add or remove trail elements so their count matches the boid's trail length.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @private
+     */
+    _syncTrailElements(boid, view) {
+        while (view.trailElements.length < boid.maxTrailLength) {
+            const trailElement = document.createElement("div");
+            trailElement.classList.add("boid-trail");
+            trailElement.style.opacity = "0";
+            trailElement.style.display = 'none';
+            if (view.color) {
+                trailElement.style.borderLeftColor = view.color;
+            }
+            this.canvasElement.appendChild(trailElement);
+            view.trailElements.push(trailElement);
+        }
+        while (view.trailElements.length > boid.maxTrailLength) {
+            view.trailElements.pop().remove();
+        }
+    }
+
+    /**
+     * Hide every trail element of a view.
+     * @param {Object} view
+     * @private
+     */
+    _hideTrail(view) {
+        view.trailElements.forEach(el => {
+            el.style.opacity = '0';
+            el.style.display = 'none';
+        });
+    }
+
+    /**
+     * Render the ghost trail by mapping stored trailPositions to DOM elements.
+     * The first trail element corresponds to the boid's most recent position.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @private
+     */
+    _drawTrail(boid, view) {
+        const length = boid.maxTrailLength;
+        for (let i = 0; i < view.trailElements.length; i++) {
+            const trailElement = view.trailElements[i];
+            const pos = boid.trailPositions[i];
+
+            // If we don't have a saved position for this index, hide the element
+            if (!pos) {
+                trailElement.style.opacity = '0';
+                trailElement.style.display = 'none';
+                continue;
+            }
+
+            const opacity = (length - i) / length * 0.4;
+            const scale = (length - i) / length * 0.8 + 0.2;
+
+            trailElement.style.display = 'block';
+            trailElement.style.opacity = opacity;
+            trailElement.style.transform = `translate(${pos.x}px, ${pos.y}px) rotateZ(${pos.angle}rad) scale(${scale})`;
+        }
+    }
+
+    /**
+     * Show or hide the FOV sector and resize it when the range or angle changed.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @private
+     */
+    _drawFOV(boid, view) {
+        const totalFOVAngle = boid.leftSideFOV + boid.rightSideFOV;
+        const fovKey = `${boid.FOVEnabled}:${boid.range}:${totalFOVAngle}`;
+        if (fovKey === view.fovKey) return;
+        view.fovKey = fovKey;
+
+        this._setSVGAttributes(view.SVGElement, boid.range * 2);
+        this._setFOVSectorAttributes(view.sectorElement, boid.range, totalFOVAngle, boid.FOVEnabled);
+    }
+
+    /**
+     * The wedges of the highlighted boid's field of view the other boids and
+     * the obstacles hide from it (see occludedWedges), or none while its FOV
+     * is hidden.
+     * @param {import("./simulation.js").Simulation} simulation
+     * @returns {{start:number, end:number, near:number}[]}
+     * @private
+     */
+    _occludedWedges(simulation) {
+        const boid = simulation.highlighted;
+        const view = boid && this.views.get(boid);
+        if (!view || !boid.FOVEnabled) return [];
+
+        const viewer = {
+            x: view.x,
+            y: view.y,
+            heading: boid.velocity.angle(),
+            leftSideFOV: boid.leftSideFOV,
+            rightSideFOV: boid.rightSideFOV,
+            range: boid.range,
+        };
+        const bodies = simulation.flock.filter((other) => other !== boid).map((other) => other.position);
+        return occludedWedges(viewer, bodies, simulation.obstacles, simulation.params.bodyRadius, this.wrapped);
+    }
+
+    /**
+     * Shade the wedges of the FOV sector hidden from the boid, from the body
+     * casting each one out to the sector's edge. Like the sector, the path is
+     * relative to the boid's local forward and turned by the boid element.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @private
+     */
+    _drawOccludedWedges(boid, view) {
+        const center = boid.range;
+        const radius = boid.range / 2;
+        const point = (distance, angle) => `${center + distance * Math.cos(angle)} ${center + distance * Math.sin(angle)}`;
+
+        let pathData = "";
+        if (boid.highlighted) {
+            for (const { start, end, near } of this.occludedWedges) {
+                if (near >= radius) continue;
+                const largeArcFlag = end - start > Math.PI ? 1 : 0;
+                pathData += `M ${point(near, start)} L ${point(radius, start)} `
+                    + `A ${radius} ${radius} 0 ${largeArcFlag} 1 ${point(radius, end)} `
+                    + `L ${point(near, end)} A ${near} ${near} 0 ${largeArcFlag} 0 ${point(near, start)} Z `;
+            }
+        }
+        view.occludedElement.setAttribute("d", pathData || `M ${center} ${center}`);
+    }
+
+    /**
+     * Helper to set common attributes for the FOV SVG container.
+     * @param {SVGElement} svg
+     * @param {number} size
+     * @private
+     */
+    _setSVGAttributes(svg, size) {
+        svg.setAttribute("height", size);
+        svg.setAttribute("width", size);
+        // Position the svg so that its center is at the boid element origin (0,0)
+        svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+        svg.style.position = 'absolute';
+        svg.style.left = `${-size / 2}px`;
+        svg.style.top = `${-size / 2}px`;
+    }
+
+    /**
+     * Create FOV sector path attributes - shows the visible area as a filled sector.
+     * The resulting path is centered on the boid's local forward (right) and relies
+     * on the boid element rotation to orient it.
+     * @param {SVGPathElement} path
+     * @param {number} range
+     * @param {number} totalFOVAngle
+     * @param {boolean} visible
+     * @private
+     */
+    _setFOVSectorAttributes(path, range, totalFOVAngle, visible) {
+        const centerX = range;
+        const centerY = range;
+        const radius = range / 2;
+
+        // Important: do NOT apply the boid's facing angle here.
+        // The parent boid element is rotated via CSS using the same
+        // `velocity.angle()` value in `_drawBoid()`.
+        // If we also rotate the path by the facing angle we get a
+        // double-rotation which makes the FOV face wander or flip
+        // when boids collide. Instead compute the sector relative to
+        // the boid's local forward (0 radians = to the right), and
+        // let the containing element's CSS rotation orient it.
+
+        const halfFOV = totalFOVAngle / 2;
+        const svgStartAngle = -halfFOV;
+        const svgEndAngle = halfFOV;
+
+        // Calculate start and end points on the circle
+        const x1 = centerX + radius * Math.cos(svgStartAngle);
+        const y1 = centerY + radius * Math.sin(svgStartAngle);
+        const x2 = centerX + radius * Math.cos(svgEndAngle);
+        const y2 = centerY + radius * Math.sin(svgEndAngle);
+
+        // Determine if we need a large arc (for angles > 180°)
+        const largeArcFlag = totalFOVAngle > Math.PI ? 1 : 0;
+
+        let pathData;
+        if (totalFOVAngle >= Math.PI * 2) {
+            // Full circle - draw using two arcs starting at leftmost point so
+            // the path is well-centered and doesn't rely on floating-point
+            // offsets that can shift the bounding box.
+            const startX = centerX - radius;
+            const startY = centerY;
+            pathData = `M ${startX} ${startY} a ${radius} ${radius} 0 1 0 ${radius * 2} 0 a ${radius} ${radius} 0 1 0 -${radius * 2} 0 Z`;
+        } else if (totalFOVAngle > 0) {
+            // Arc sector
+            pathData = `M ${centerX} ${centerY} L ${x1} ${y1} A ${radius} ${radius} 0 ${largeArcFlag} 1 ${x2} ${y2} Z`;
+        } else {
+            // No FOV
+            pathData = `M ${centerX} ${centerY}`;
+        }
+
+        const attributes = {
+            "d": pathData,
+            "fill": "#4ade80", // Green color for visible area
+            "fill-opacity": visible ? "0.2" : "0",
+            "stroke": "#22c55e",
+            "stroke-width": "2",
+            "stroke-opacity": visible ? "0.4" : "0"
+        };
+
+        Object.entries(attributes).forEach(([key, value]) => {
+            path.setAttribute(key, value);
+        });
+    }
+
+    /**
+     * Draw a steer vector visualization using a DOM element.
+     * When `shouldDraw` is false or the vector is zero the element will be hidden.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @param {HTMLElement} element
+     * @param {Vector2D|null} vector
+     * @param {number} scale
+     * @param {boolean} shouldDraw
+     * @private
+     */
+    _drawSteerVector(boid, view, element, vector, scale, shouldDraw) {
+        if (!element) return;
+
+        // Hide element if not drawing or if vector is zero (no force)
+        if (!shouldDraw || (vector.x === 0 && vector.y === 0)) {
+            // Fully hide the element so stale vectors are not visible and it doesn't affect layout
+            element.style.display = 'none';
+            element.style.height = '0px';
+            element.style.transform = 'none';
+            return;
+        }
+
+        DomRenderer._tempVector2.x = vector.x * scale;
+        DomRenderer._tempVector2.y = vector.y * scale;
+        this._drawLine(boid, view, element, DomRenderer._tempVector2);
+    }
+
+    /**
+     * Draw a short line element representing a vector originating from the boid.
+     * The method clamps the vector to `maxLength` and positions/rotates the element.
+     * @param {Boid} boid
+     * @param {Object} view - View record holding the boid's drawn position.
+     * @param {HTMLElement} lineElement
+     * @param {Vector2D} vector
+     * @param {Object} [styles]
+     * @param {number} [maxLength=boid.range]
+     * @private
+     */
+    _drawLine(boid, view, lineElement, vector, styles = {}, maxLength = boid.range) {
+        // Copy into a temp vector to avoid modifying input
+        const line = DomRenderer._tempVector2;
+        line.x = vector.x;
+        line.y = vector.y;
+
+        // Clamp vector to the maximum length
+        const magnitude = line.magnitude();
+        if (magnitude > maxLength) {
+            line.scale(maxLength / magnitude);
+        }
+
+        const lineLength = line.magnitude();
+        if (lineLength === 0) return;
+
+        // Calculate position and rotation
+        const offset = 8;
+        const translationX = view.x + offset + line.x / 2;
+        const translationY = view.y + offset + line.y / 2 - (lineLength / 2);
+        const rotationInRadians = Math.PI / 2 + line.angle();
+
+        lineElement.style.display = 'block';
+        lineElement.style.transform = `translate(${translationX}px, ${translationY}px) rotate(${rotationInRadians}rad)`;
+        lineElement.style.height = `${lineLength}px`;
+
+        // Apply custom styles
+        Object.assign(lineElement.style, styles);
+    }
+
+    /**
+     * Draw lines to neighbor boids (used for debugging/visualization in highlighted boids).
+     * @param {Boid} boid
+     * @param {Object} view
+     * @private
+     */
+    _drawNeighbors(boid, view) {
+        if (!boid.showNeighbors || boid.neighbors.size === 0) {
+            Object.values(view.neighborLineElements).forEach(element => {
+                if (element) element.style.display = 'none';
+            });
+            return;
+        }
+
+        // Clean up lines for boids no longer in range
+        const currentNeighborIds = new Set([...boid.neighbors].map(b => b.id));
+        for (const boidId of Object.keys(view.neighborLineElements)) {
+            if (!currentNeighborIds.has(parseInt(boidId))) {
+                view.neighborLineElements[boidId]?.remove();
+                delete view.neighborLineElements[boidId];
+            }
+        }
+
+        const reach = boid.neighborReach;
+        for (const neighbor of boid.neighbors) {
+            this._drawLineToOtherBoid(boid, view, neighbor, reach);
+        }
+    }
+
+    /**
+     * Draw a line to another boid using the cached neighbor distance when
+     * available. Lines are not clamped to the range, so topological
+     * neighbors beyond it are joined too.
+     * @param {Boid} boid
+     * @param {Object} view
+     * @param {Boid} otherBoid
+     * @param {number} [reach=boid.range] - Distance the line weight fades over.
+     * @private
+     */
+    _drawLineToOtherBoid(boid, view, otherBoid, reach = boid.range) {
+        let lineElement = view.neighborLineElements[otherBoid.id];
+        if (!lineElement) {
+            lineElement = document.createElement("div");
+            lineElement.classList.add("neighbor-line");
+            lineElement.setAttribute("id", `${boid.id}-to-${otherBoid.id}`);
+            view.neighborLineElements[otherBoid.id] = lineElement;
+            this.canvasElement.appendChild(lineElement);
+        }
+
+        // Use cached distance if available
+        const distance = boid.neighborDistances.get(otherBoid) ||
+            distance2D([boid.position.x, boid.position.y], [otherBoid.position.x, otherBoid.position.y]);
+
+        // Calculate vector to other boid (between drawn positions), the short way across a wrapped world
+        const otherView = this.views.get(otherBoid) || otherBoid.position;
+        DomRenderer._tempVector.x = otherView.x - view.x;
+        DomRenderer._tempVector.y = otherView.y - view.y;
+        if (this.wrapped) {
+            DomRenderer._tempVector.x = wrapDelta(DomRenderer._tempVector.x, this.wrapped.CANVAS_WIDTH);
+            DomRenderer._tempVector.y = wrapDelta(DomRenderer._tempVector.y, this.wrapped.CANVAS_HEIGHT);
+        }
+
+        // Calculate line styles based on distance
+        const distanceRatio = neighborLineWeight(distance, reach);
+        const styles = {
+            width: `${Math.sqrt(5 * distanceRatio)}px`,
+            opacity: `${100 * distanceRatio}%`
+        };
+
+        this._drawLine(boid, view, lineElement, DomRenderer._tempVector, styles, Infinity);
+    }
+}
+
+export { DomRenderer };
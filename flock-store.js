@@ -0,0 +1,337 @@
+/**
+ * Per-boid columns of a FlockStore and the typed array each one is stored in.
+ * Positions, velocities, per-boid parameters, energy (1 = full, see the
+ * foraging rule) and the last applied steer vectors are 32-bit floats; the neighbor count is an integer, the species
+ * an index into the simulation's species list, and the trait seed the hash
+ * a boid samples its parameter distributions with (see distributions.js).
+ * @type {Object<string, Function>}
+ */
+const FLOCK_COLUMNS = {
+    x: Float32Array,
+    y: Float32Array,
+    previousX: Float32Array,
+    previousY: Float32Array,
+    vx: Float32Array,
+    vy: Float32Array,
+    maxSpeed: Float32Array,
+    range: Float32Array,
+    leftSideFOV: Float32Array,
+    rightSideFOV: Float32Array,
+    separationCoefficient: Float32Array,
+    cohereCoefficient: Float32Array,
+    alignCoefficient: Float32Array,
+    fleeCoefficient: Float32Array,
+    variationPhase: Float32Array,
+    energy: Float32Array,
+    cohereX: Float32Array,
+    cohereY: Float32Array,
+    separateX: Float32Array,
+    separateY: Float32Array,
+    alignX: Float32Array,
+    alignY: Float32Array,
+    forageX: Float32Array,
+    forageY: Float32Array,
+    neighborCount: Int32Array,
+    species: Uint8Array,
+    traitSeed: Uint32Array,
+};
+
+/**
+ * FlockStore
+ *
+ * Structure-of-arrays storage for a flock: one typed array per field (see
+ * FLOCK_COLUMNS), indexed by boid slot. The simulation steps boids by index
+ * straight over these columns, so a step allocates nothing; `Boid` objects
+ * are thin views onto a slot for renderers and the UI.
+ *
+ * Slots are dense: `count` boids occupy slots 0..count-1. Columns grow by
+ * doubling, so code must read them from the store (`store.x`) rather than
+ * keeping a column reference across an `add()`.
+ */
+class FlockStore {
+    /**
+     * @param {number} [capacity=64] - Initial number of slots.
+     */
+    constructor(capacity = 64) {
+        this.count = 0;
+        this.capacity = 0;
+        this._allocate(Math.max(1, capacity));
+    }
+
+    /**
+     * Claim the next free slot, growing the columns when full. The slot's
+     * values are whatever was left there; callers initialize every field.
+     * @returns {number} Index of the new slot.
+     */
+    add() {
+        if (this.count === this.capacity) {
+            this._allocate(this.capacity * 2);
+        }
+        return this.count++;
+    }
+
+    /**
+     * Free a slot by moving the last boid into it, keeping slots dense.
+     * @param {number} index
+     * @returns {number} The slot the moved boid came from (equal to `index`
+     *   when the removed boid was the last one).
+     */
+    remove(index) {
+        const last = --this.count;
+        if (index !== last) {
+            for (const name in FLOCK_COLUMNS) {
+                this[name][index] = this[name][last];
+            }
+        }
+        return last;
+    }
+
+    /**
+     * Drop every boid. Capacity is kept.
+     */
+    clear() {
+        this.count = 0;
+    }
+
+    /**
+     * Resize every column to `capacity` slots, keeping the occupied ones.
+     * @param {number} capacity
+     * @private
+     */
+    _allocate(capacity) {
+        for (const [name, ArrayType] of Object.entries(FLOCK_COLUMNS)) {
+            const column = new ArrayType(capacity);
+            if (this[name]) {
+                column.set(this[name].subarray(0, this.count));
+            }
+            this[name] = column;
+        }
+        this.capacity = capacity;
+    }
+}
+
+/**
+ * ColumnVector
+ *
+ * A 2D vector whose components live in two FlockStore columns at a boid's
+ * slot. It reads through the boid, so it stays valid when the store grows or
+ * the boid moves to another slot. Offers the Vector2D accessors renderers use.
+ */
+class ColumnVector {
+    /**
+     * @param {{store:FlockStore, index:number}} boid
+     * @param {string} xColumn
+     * @param {string} yColumn
+     */
+    constructor(boid, xColumn, yColumn) {
+        this.boid = boid;
+        this.xColumn = xColumn;
+        this.yColumn = yColumn;
+    }
+
+    /** @returns {number} */
+    get x() {
+        return this.boid.store[this.xColumn][this.boid.index];
+    }
+
+    /** @param {number} value */
+    set x(value) {
+        this.boid.store[this.xColumn][this.boid.index] = value;
+    }
+
+    /** @returns {number} */
+    get y() {
+        return this.boid.store[this.yColumn][this.boid.index];
+    }
+
+    /** @param {number} value */
+    set y(value) {
+        this.boid.store[this.yColumn][this.boid.index] = value;
+    }
+
+    /**
+     * Compute the magnitude (length) of this vector.
+     * @returns {number}
+     */
+    magnitude() {
+        const { x, y } = this;
+        return Math.sqrt(x * x + y * y);
+    }
+
+    /**
+     * Angle (radians) of this vector relative to the positive X axis.
+     * @returns {number}
+     */
+    angle() {
+        return Math.atan2(this.y, this.x);
+    }
+}
+
+/**
+ * FlockStore columns carried in a state buffer, one after another.
+ * @type {string[]}
+ */
+const STATE_COLUMNS = ["x", "y", "previousX", "previousY", "vx", "vy", "variationPhase", "energy"];
+
+/**
+ * FlockStore columns carried in a trace buffer, posted alongside the state
+ * while `WorkerSimulation#tracing` is on: the applied rule vectors and the
+ * neighbor count of every boid, which the mirror otherwise only holds for
+ * the highlighted boid.
+ * @type {string[]}
+ */
+const TRACE_COLUMNS = ["cohereX", "cohereY", "separateX", "separateY", "alignX", "alignY", "forageX", "forageY", "neighborCount"];
+
+/**
+ * Numbers at the start of a highlight buffer: the separate, cohere, align
+ * and forage steer vectors followed by the neighbor count. Each neighbor
+ * then adds its store slot and distance.
+ * @type {number}
+ */
+const HIGHLIGHT_HEADER = 9;
+
+/**
+ * Length of a state buffer for `count` boids.
+ * @param {number} count
+ * @param {string[]} [columns=STATE_COLUMNS] - Columns the buffer carries.
+ * @returns {number}
+ */
+function stateLength(count, columns = STATE_COLUMNS) {
+    return count * columns.length;
+}
+
+/**
+ * Copy the dynamic state of a flock into a state buffer, column by column.
+ * @param {FlockStore} store
+ * @param {Float32Array} state - `stateLength(store.count, columns)` long.
+ * @param {string[]} [columns=STATE_COLUMNS] - Columns to copy.
+ */
+function packFlock(store, state, columns = STATE_COLUMNS) {
+    const { count } = store;
+    columns.forEach((name, c) => state.set(store[name].subarray(0, count), c * count));
+}
+
+/**
+ * Copy a state buffer back into a flock store, in place. Extra boids on
+ * either side are left alone.
+ * @param {FlockStore} store
+ * @param {Float32Array} state
+ * @param {string[]} [columns=STATE_COLUMNS] - Columns the buffer carries.
+ */
+function unpackFlock(store, state, columns = STATE_COLUMNS) {
+    const sent = state.length / columns.length;
+    const count = Math.min(store.count, sent);
+    columns.forEach((name, c) => store[name].set(state.subarray(c * sent, c * sent + count)));
+}
+
+/**
+ * Copy every column of slots `start` to `end` of a flock store, e.g. to
+ * recreate those boids in the worker with their parameters and species.
+ * @param {FlockStore} store
+ * @param {number} start
+ * @param {number} end
+ * @returns {Object<string, ArrayLike<number>>} Column name to values.
+ */
+function copyColumns(store, start, end) {
+    const columns = {};
+    for (const name in FLOCK_COLUMNS) {
+        columns[name] = store[name].slice(start, end);
+    }
+    return columns;
+}
+
+/**
+ * Write columns copied by copyColumns into a flock store from slot `start` on.
+ * @param {FlockStore} store
+ * @param {number} start
+ * @param {Object<string, ArrayLike<number>>} columns
+ */
+function writeColumns(store, start, columns) {
+    for (const name in columns) {
+        store[name].set(columns[name], start);
+    }
+}
+
+/**
+ * Length of the highlight buffer for a boid and its current neighbors.
+ * @param {import("./boid.js").Boid} boid
+ * @returns {number}
+ */
+function highlightLength(boid) {
+    return HIGHLIGHT_HEADER + boid.neighbors.size * 2;
+}
+
+/**
+ * Pack what renderers draw for the highlighted boid beyond its position:
+ * its steer vectors and its neighbors with their distances.
+ * @param {import("./boid.js").Boid} boid
+ * @param {Float32Array|null} [buffer=null] - Highlight buffer to reuse when
+ *   it is long enough; numbers past the last neighbor are left as they were.
+ * @returns {Float32Array}
+ */
+function packHighlight(boid, buffer = null) {
+    const length = highlightLength(boid);
+    const highlight = buffer?.length >= length ? buffer : new Float32Array(length);
+    const { separate, cohere, align, forage } = boid.steer;
+    highlight[0] = separate.x;
+    highlight[1] = separate.y;
+    highlight[2] = cohere.x;
+    highlight[3] = cohere.y;
+    highlight[4] = align.x;
+    highlight[5] = align.y;
+    highlight[6] = forage.x;
+    highlight[7] = forage.y;
+    highlight[8] = boid.neighbors.size;
+
+    let offset = HIGHLIGHT_HEADER;
+    for (const neighbor of boid.neighbors) {
+        highlight[offset++] = neighbor.index;
+        highlight[offset++] = boid.neighborDistances.get(neighbor);
+    }
+    return highlight;
+}
+
+/**
+ * Apply a highlight buffer to the highlighted boid of a mirrored flock.
+ * Slots index the flock, which mirrors the worker's slot for slot.
+ * @param {import("./boid.js").Boid} boid
+ * @param {import("./boid.js").Boid[]} flock
+ * @param {Float32Array} highlight
+ */
+function unpackHighlight(boid, flock, highlight) {
+    const { separate, cohere, align, forage } = boid.steer;
+    separate.x = highlight[0];
+    separate.y = highlight[1];
+    cohere.x = highlight[2];
+    cohere.y = highlight[3];
+    align.x = highlight[4];
+    align.y = highlight[5];
+    forage.x = highlight[6];
+    forage.y = highlight[7];
+
+    boid.neighbors.clear();
+    boid.neighborDistances.clear();
+    const end = HIGHLIGHT_HEADER + highlight[8] * 2;
+    for (let offset = HIGHLIGHT_HEADER; offset < end; offset += 2) {
+        const neighbor = flock[highlight[offset]];
+        if (!neighbor) continue;
+        boid.neighbors.add(neighbor);
+        boid.neighborDistances.set(neighbor, highlight[offset + 1]);
+    }
+}
+
+export {
+    FlockStore,
+    ColumnVector,
+    FLOCK_COLUMNS,
+    STATE_COLUMNS,
+    TRACE_COLUMNS,
+    stateLength,
+    packFlock,
+    unpackFlock,
+    copyColumns,
+    writeColumns,
+    highlightLength,
+    packHighlight,
+    unpackHighlight,
+};
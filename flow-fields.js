@@ -0,0 +1,200 @@
+import { hashInts } from "./random.js";
+
+/**
+ * Environmental flow fields pushing every boid along, like wind or a current.
+ * - none: still air
+ * - uniform: wind of the same direction and speed everywhere
+ * - vortex: a whirlpool around the world center, turning counter-clockwise
+ *   (clockwise for negative strengths); the flow speeds up towards the edge
+ *   of its core and fades beyond it
+ * - noise: smooth procedural currents that drift over time
+ * @enum {string}
+ */
+const FLOW_FIELD_TYPES = {
+    NONE: "none",
+    UNIFORM: "uniform",
+    VORTEX: "vortex",
+    NOISE: "noise",
+};
+
+/**
+ * Defaults of the flow field parameters. DIRECTION is the uniform wind's
+ * heading in radians (0 blows east), SCALE the noise's feature size and the
+ * vortex's core radius in pixels, and EVOLUTION how fast the noise drifts
+ * (lattice cells per second).
+ * @type {{STRENGTH:number, DIRECTION:number, SCALE:number, EVOLUTION:number}}
+ */
+const FLOW_FIELD_SETTINGS = {
+    STRENGTH: 1,
+    DIRECTION: 0,
+    SCALE: 200,
+    EVOLUTION: 0.2,
+};
+
+/**
+ * Arrow grid renderers draw the field with: grid spacing, length of an arrow
+ * for a flow of magnitude 1 at strength 1, and arrowhead size, in pixels.
+ * @type {{SPACING:number, LENGTH:number, HEAD:number}}
+ */
+const FLOW_ARROWS = {
+    SPACING: 40,
+    LENGTH: 16,
+    HEAD: 4,
+};
+
+/**
+ * A flow field as the rules read it. Flow fields are plain data, so they can
+ * be posted to a worker.
+ * @typedef {Object} FlowField
+ * @property {string} type - One of FLOW_FIELD_TYPES.
+ * @property {number} strength - Multiplier of the push (see FLOW_RULES in rules.js).
+ * @property {number} direction - Heading of uniform wind, radians.
+ * @property {number} scale - Noise feature size or vortex core radius, pixels.
+ * @property {number} evolution - Drift speed of the noise, lattice cells per second.
+ * @property {number} seed - Seeds the noise, so a run replays the same currents.
+ */
+
+/**
+ * Build a flow field from a description, filling in the defaults.
+ * @param {{type?:string, strength?:number, direction?:number, scale?:number, evolution?:number, seed?:number}} spec
+ * @returns {FlowField}
+ * @throws {Error} When the type is unknown, a number is not finite or the scale is not positive.
+ */
+function createFlowField({
+    type = FLOW_FIELD_TYPES.NONE,
+    strength = FLOW_FIELD_SETTINGS.STRENGTH,
+    direction = FLOW_FIELD_SETTINGS.DIRECTION,
+    scale = FLOW_FIELD_SETTINGS.SCALE,
+    evolution = FLOW_FIELD_SETTINGS.EVOLUTION,
+    seed = 0,
+}) {
+    if (!Object.values(FLOW_FIELD_TYPES).includes(type)) {
+        throw new Error(`Unknown flow field type: ${type}`);
+    }
+    if (![strength, direction, evolution].every(Number.isFinite) || !(scale > 0 && scale < Infinity)) {
+        throw new Error("A flow field needs a finite strength, direction and evolution and a positive scale");
+    }
+    return { type, strength, direction, scale, evolution, seed: seed >>> 0 };
+}
+
+/**
+ * Flow of a field at a point, before its strength is applied: a unit vector
+ * for uniform wind and noise, and up to unit length at the vortex core's edge.
+ * @param {FlowField} field
+ * @param {number} x
+ * @param {number} y
+ * @param {number} time - Simulation clock in seconds, drives the noise drift.
+ * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+ * @param {{x:number, y:number}} out - Receives the flow.
+ */
+function flowAt(field, x, y, time, world, out) {
+    out.x = 0;
+    out.y = 0;
+
+    if (field.type === FLOW_FIELD_TYPES.UNIFORM) {
+        out.x = Math.cos(field.direction);
+        out.y = Math.sin(field.direction);
+    } else if (field.type === FLOW_FIELD_TYPES.VORTEX) {
+        // Rankine vortex: solid rotation inside the core, 1/r fall-off outside
+        const deltaX = x - world.CANVAS_WIDTH / 2;
+        const deltaY = y - world.CANVAS_HEIGHT / 2;
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        if (distance === 0) return;
+        const speed = distance < field.scale ? distance / field.scale : field.scale / distance;
+        // Counter-clockwise on screen, where y points down
+        out.x = (deltaY / distance) * speed;
+        out.y = (-deltaX / distance) * speed;
+    } else if (field.type === FLOW_FIELD_TYPES.NOISE) {
+        // Value noise clusters around its middle, so two turns spread the
+        // headings over the whole circle
+        const angle = 4 * Math.PI * valueNoise(field.seed, x / field.scale, y / field.scale, time * field.evolution);
+        out.x = Math.cos(angle);
+        out.y = Math.sin(angle);
+    }
+}
+
+/**
+ * Smooth 3D value noise: random values on the integer lattice, blended with
+ * a smoothstep between the eight corners around (x, y, z).
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number} In [0, 1).
+ */
+function valueNoise(seed, x, y, z) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const z0 = Math.floor(z);
+    const u = fade(x - x0);
+    const v = fade(y - y0);
+    const w = fade(z - z0);
+
+    const near = lerp(
+        lerp(latticeValue(seed, x0, y0, z0), latticeValue(seed, x0 + 1, y0, z0), u),
+        lerp(latticeValue(seed, x0, y0 + 1, z0), latticeValue(seed, x0 + 1, y0 + 1, z0), u),
+        v);
+    const far = lerp(
+        lerp(latticeValue(seed, x0, y0, z0 + 1), latticeValue(seed, x0 + 1, y0, z0 + 1), u),
+        lerp(latticeValue(seed, x0, y0 + 1, z0 + 1), latticeValue(seed, x0 + 1, y0 + 1, z0 + 1), u),
+        v);
+    return lerp(near, far, w);
+}
+
+/**
+ * Random value of a lattice point, following from the seed.
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number} In [0, 1).
+ */
+function latticeValue(seed, x, y, z) {
+    return hashInts(hashInts(hashInts(seed, x), y), z) / 4294967296;
+}
+
+/**
+ * Smoothstep easing of a lattice fraction.
+ * @param {number} t - In [0, 1].
+ * @returns {number}
+ */
+function fade(t) {
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @param {number} t
+ * @returns {number}
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Sample a field on the arrow grid renderers draw: one arrow per grid point,
+ * from the point along the flow (strength applied) at FLOW_ARROWS.LENGTH
+ * pixels per unit of flow. Still air yields no arrows.
+ * @param {FlowField} field
+ * @param {number} time - Simulation clock in seconds.
+ * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+ * @returns {{x:number, y:number, dx:number, dy:number}[]}
+ */
+function flowArrows(field, time, world) {
+    const arrows = [];
+    if (field.type === FLOW_FIELD_TYPES.NONE || field.strength === 0) return arrows;
+
+    const flow = { x: 0, y: 0 };
+    const half = FLOW_ARROWS.SPACING / 2;
+    for (let y = half; y < world.CANVAS_HEIGHT; y += FLOW_ARROWS.SPACING) {
+        for (let x = half; x < world.CANVAS_WIDTH; x += FLOW_ARROWS.SPACING) {
+            flowAt(field, x, y, time, world, flow);
+            const length = FLOW_ARROWS.LENGTH * field.strength;
+            arrows.push({ x, y, dx: flow.x * length, dy: flow.y * length });
+        }
+    }
+    return arrows;
+}
+
+export { FLOW_FIELD_TYPES, FLOW_FIELD_SETTINGS, FLOW_ARROWS, createFlowField, flowAt, flowArrows };
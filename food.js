@@ -0,0 +1,74 @@
+/**
+ * Defaults for new food patches: how much food a full patch holds, the
+ * radius within which boids eat from it, and the share of its capacity it
+ * regrows per second (the `foodRegrowth` simulation parameter).
+ * @type {{CAPACITY:number, RADIUS:number, REGROWTH:number}}
+ */
+const FOOD_SETTINGS = {
+    CAPACITY: 100,
+    RADIUS: 30,
+    REGROWTH: 0.02,
+};
+
+/**
+ * A food patch boids eat from. Eating takes food out of `amount`, which
+ * regrows towards `capacity` over time. Patches are plain data, so they can
+ * be posted to a worker.
+ * @typedef {Object} FoodPatch
+ * @property {number} x
+ * @property {number} y
+ * @property {number} radius - Boids within this many pixels of the center eat.
+ * @property {number} capacity - Food of a full patch.
+ * @property {number} amount - Food left, in [0, capacity].
+ */
+
+/**
+ * Build a food patch from a description, filling in the defaults. A new
+ * patch is full unless given an amount.
+ * @param {{x:number, y:number, radius?:number, capacity?:number, amount?:number}} spec
+ * @returns {FoodPatch}
+ * @throws {Error} When the position is not finite, the radius or capacity is
+ *   not positive, or the amount is outside [0, capacity].
+ */
+function createFoodPatch({ x, y, radius = FOOD_SETTINGS.RADIUS, capacity = FOOD_SETTINGS.CAPACITY, amount = capacity }) {
+    if (![x, y, radius, capacity, amount].every(Number.isFinite) || radius <= 0 || capacity <= 0) {
+        throw new Error("A food patch needs a finite position and a positive radius and capacity");
+    }
+    if (amount < 0 || amount > capacity) {
+        throw new Error("The food in a patch must be between 0 and its capacity");
+    }
+    return { x, y, radius, capacity, amount };
+}
+
+/**
+ * Let every patch regrow by a share of its capacity, up to full.
+ * @param {FoodPatch[]} patches
+ * @param {number} share - Share of the capacity to add, e.g. rate × seconds.
+ */
+function regrowFood(patches, share) {
+    for (let k = 0; k < patches.length; k++) {
+        const patch = patches[k];
+        patch.amount = Math.min(patch.capacity, patch.amount + patch.capacity * share);
+    }
+}
+
+/**
+ * The topmost (last added) patch whose area contains the point, widened by
+ * `tolerance` pixels.
+ * @param {FoodPatch[]} patches
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [tolerance=0]
+ * @returns {FoodPatch|null}
+ */
+function foodPatchAt(patches, x, y, tolerance = 0) {
+    for (let k = patches.length - 1; k >= 0; k--) {
+        const patch = patches[k];
+        if (Math.hypot(patch.x - x, patch.y - y) <= patch.radius + tolerance) {
+            return patch;
+        }
+    }
+    return null;
+}
+
+export { FOOD_SETTINGS, createFoodPatch, regrowFood, foodPatchAt };
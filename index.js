@@ -1,10 +1,31 @@
-import { Boid } from './boid.js';
-import { randomRange, pickOneTriadic, pickOneTetradic } from './utils.js'
-import { Vector2D } from './vector.js'
-import { WORLD, appendFlock, flock } from "./world.js";
+import { CanvasRenderer } from './canvas-renderer.js';
+import { FixedStepClock } from './clock.js';
+import { DomRenderer } from './dom-renderer.js';
+import { MetricsHistory } from './metrics.js';
+import { parseSeed } from './random.js';
+import { Recorder } from './recorder.js';
+import { Simulation } from './simulation.js';
+import { TrajectoryLog } from './trajectory.js';
+import { WorkerSimulation } from './worker-simulation.js';
+import { WORLD, flock } from "./world.js";
 
 let isPaused = false;
-let lastTimestamp = 0;
+let lastTimestamp = null;
+let simulation = null;
+const clock = new FixedStepClock();
+let renderer = null;
+const recorder = new Recorder();
+const metrics = new MetricsHistory();
+let trajectory = null;
+
+/**
+ * Renderers selectable from the toolbar, keyed by the `renderer-change` event value.
+ * @type {Object<string, Function>}
+ */
+const RENDERERS = {
+    dom: DomRenderer,
+    canvas: CanvasRenderer,
+};
 
 /**
  * Initialize the simulation: create the canvas container, spawn boids and start the game loop.
@@ -22,56 +43,200 @@ function init() {
     document.getElementById("canvas-container").appendChild(canvasElement);
 
     /**
-     * Spawn boids using a modern default color palette.
+     * Spawn the flock into the shared array from world.js so other modules
+     * see the same boids, and plug the selected renderer into the headless core.
+     * A `?seed=` URL parameter replays a shared run.
      */
-    for (let i = 0; i < WORLD.NUM_BOIDS; i++) {
-        const isHighlighted = i === 0;
-        const boid = new Boid({ id: i, isHighlighted });
-
-        // Use modern color palette
-        const color = pickOneTetradic(
-            "#3b82f6", "#106db9ff", "#0bf5f5ff", "#44b9efff"
-        );
-        boid.setColor(color);
-
-        appendFlock(boid);
-    }
+    const seed = parseSeed(new URLSearchParams(window.location.search).get("seed"));
+    simulation = new Simulation({ flock, seed: seed ?? undefined });
+    window.simulation = simulation;
+    window.recorder = recorder;
+    window.metrics = metrics;
+    recorder.record(simulation);
+    metrics.record(simulation);
+    setRenderer(document.getElementById("renderer-select")?.value ?? "dom", canvasElement);
+    setThread(document.getElementById("thread-select")?.value ?? "main");
 
-    // Style the main boid
-    if (flock[0]) {
-        flock[0].setColor("#000000ff");
-        flock[0].boidElement.style.filter = "drop-shadow(0 0 4px rgba(29, 29, 29, 0.8))";
-    }
+    // A worker cannot run rules registered on the page; step on the main thread again
+    simulation.rules.subscribe((rules) => {
+        const customRules = rules.customRules();
+        if (!(simulation instanceof WorkerSimulation) || customRules.length === 0) return;
+        setThread("main");
+        showThreadStatus(`Custom steering rules (${customRules.map((rule) => rule.name).join(", ")}) cannot run in a worker`);
+    });
 
     // Dispatch event to notify UI that boids are ready
-    window.dispatchEvent(new CustomEvent('boids-ready'));
+    window.dispatchEvent(new CustomEvent('boids-ready', { detail: { simulation } }));
 
     // Listen for pause events from UI
     window.addEventListener('simulation-pause-toggle', (e) => {
         isPaused = e.detail.isPaused;
     });
 
+    // Swap renderers at runtime; the simulation keeps running untouched
+    window.addEventListener('renderer-change', (e) => {
+        setRenderer(e.detail.renderer, canvasElement);
+    });
+
+    // A loaded snapshot may bring its own world size
+    window.addEventListener('simulation-loaded', () => {
+        canvasElement.style.width = `${simulation.world.CANVAS_WIDTH}px`;
+        canvasElement.style.height = `${simulation.world.CANVAS_HEIGHT}px`;
+        clock.reset();
+        recorder.clear();
+        recorder.record(simulation);
+        metrics.clear();
+        metrics.record(simulation);
+    });
+
+    // Advance a single step while paused, from the timeline
+    window.addEventListener('simulation-step', () => {
+        simulation.step();
+        // A worker's step is recorded by onStep when it arrives
+        if (!(simulation instanceof WorkerSimulation)) recordStep();
+    });
+
+    // Capture every boid's trajectory over the next `duration` seconds
+    window.addEventListener('trajectory-record', (e) => {
+        const steps = Math.round((e.detail.duration * 1000) / simulation.timestep);
+        trajectory = new TrajectoryLog({ from: simulation.stepCount, to: simulation.stepCount + steps });
+        window.trajectory = trajectory;
+        if (simulation instanceof WorkerSimulation) simulation.tracing = true;
+    });
+    window.addEventListener('trajectory-stop', () => finishTrajectory());
+
+    // Move stepping between the main thread and a worker, keeping the flock
+    window.addEventListener('simulation-thread-change', (e) => {
+        setThread(e.detail.thread);
+    });
+
     // Start the simulation
     window.requestAnimationFrame(gameLoop);
 }
 
 /**
- * Main animation loop. Calls update/draw on every boid when not paused.
+ * Replace the active renderer, removing everything the previous one drew.
+ * @param {string} name - A key of RENDERERS.
+ * @param {HTMLElement} canvasElement
+ */
+function setRenderer(name, canvasElement) {
+    const Renderer = RENDERERS[name];
+    if (!Renderer || renderer instanceof Renderer) return;
+
+    renderer?.destroy();
+    renderer = new Renderer(canvasElement);
+    renderer.render(simulation, clock.alpha);
+}
+
+/**
+ * Step the simulation on the main thread ("main") or in a worker ("worker").
+ * The worker continues from the current state; switching back carries on
+ * from the last state it reported. Falls back to the main thread, saying
+ * why next to the thread selector, when the worker cannot be started (e.g.
+ * custom steering rules are registered) or fails.
+ * @param {string} thread
+ */
+function setThread(thread) {
+    const threaded = simulation instanceof WorkerSimulation;
+    if ((thread === "worker") === threaded) return;
+
+    showThreadStatus("");
+
+    if (threaded) {
+        simulation.terminate();
+        simulation = simulation.simulation;
+        clock.reset();
+    } else {
+        try {
+            simulation = new WorkerSimulation(simulation);
+            simulation.worker.addEventListener('error', (e) => {
+                console.error("Simulation worker failed, stepping on the main thread instead:", e.message);
+                setThread("main");
+                showThreadStatus(`The worker failed: ${e.message}`);
+            });
+        } catch (error) {
+            console.error("Simulation worker unavailable, stepping on the main thread instead:", error);
+            showThreadStatus(error.message);
+        }
+    }
+
+    window.simulation = simulation;
+    if (simulation instanceof WorkerSimulation) {
+        // Worker steps arrive with its updates, also while paused after a single step
+        simulation.onStep = recordStep;
+        simulation.tracing = trajectory !== null;
+    }
+    const threadSelect = document.getElementById("thread-select");
+    if (threadSelect) {
+        threadSelect.value = simulation instanceof WorkerSimulation ? "worker" : "main";
+    }
+}
+
+/**
+ * Show why the simulation steps where it does under the thread selector,
+ * or clear the note with an empty message.
+ * @param {string} message
+ */
+function showThreadStatus(message) {
+    const status = document.getElementById("thread-status");
+    if (status) status.textContent = message;
+}
+
+/**
+ * Record the step the simulation has just taken: into the recorder, the
+ * metrics history, and the trajectory being captured, if any, which is
+ * handed over once its window is complete.
+ */
+function recordStep() {
+    recorder.record(simulation);
+    metrics.record(simulation);
+    if (trajectory) {
+        trajectory.capture(simulation);
+        if (simulation.stepCount >= trajectory.to) finishTrajectory();
+    }
+}
+
+/**
+ * Stop capturing the trajectory and hand the rows captured so far to the UI
+ * in a `trajectory-recorded` event.
+ */
+function finishTrajectory() {
+    if (!trajectory) return;
+    const log = trajectory;
+    trajectory = null;
+    window.trajectory = null;
+    if (simulation instanceof WorkerSimulation) simulation.tracing = false;
+    window.dispatchEvent(new CustomEvent('trajectory-recorded', { detail: { trajectory: log } }));
+}
+
+/**
+ * Main animation loop. Feeds elapsed wall time to the fixed-step clock, runs
+ * the steps that are due when not paused (or forwards the time to the worker
+ * when stepping there), records every step run here (the worker's steps are
+ * recorded as its updates arrive, see recordStep), and always
+ * renders so visualization toggles take effect while paused. Running, the flock is
+ * interpolated between steps; paused, the last step (or the recorded frame
+ * sought to) is shown as is.
  * @param {number} timestamp - DOMHighResTimeStamp provided by requestAnimationFrame
  */
 function gameLoop(timestamp) {
+    const threaded = simulation instanceof WorkerSimulation;
     if (!isPaused) {
-        let deltaT = (timestamp - lastTimestamp) * WORLD.TIME_SCALE;
-        deltaT = Math.min(deltaT, 50);
-        for (let i = 0; i < flock.length; i++) {
-            const boid = flock[i];
-            boid.update(flock, deltaT);
-            boid.draw();
+        const elapsed = lastTimestamp === null ? 0 : timestamp - lastTimestamp;
+        if (threaded) {
+            simulation.advance(elapsed);
+        } else {
+            const steps = clock.advance(elapsed);
+            for (let i = 0; i < steps; i++) {
+                simulation.step();
+                recordStep();
+            }
         }
     }
+    const alpha = threaded ? simulation.alpha : clock.alpha;
+    renderer.render(simulation, isPaused ? 1 : alpha);
     lastTimestamp = timestamp;
     window.requestAnimationFrame(gameLoop);
-
 }
 
 // Initialize when DOM is ready
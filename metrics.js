@@ -0,0 +1,242 @@
+import { BOUNDARY_MODES } from "./boundaries.js";
+import { wrapDelta } from "./utils.js";
+
+/**
+ * Collective-motion metrics computed over the boids (predators are left out):
+ * - polarization: length of the mean heading, 1 when every boid flies the
+ *   same way and near 0 for random headings (the order parameter).
+ * - angularMomentum: length of the mean of each boid's heading crossed with
+ *   its direction from the flock's centroid, 1 for a perfect mill and near 0
+ *   for a translating or disordered flock.
+ * - nearestNeighborDistance: mean distance from each boid to its nearest
+ *   neighbor, in pixels.
+ * - flockRadius: root-mean-square distance of the boids from the centroid
+ *   (radius of gyration), in pixels.
+ * - meanSpeed: mean velocity length, in the units of the Max Speed parameter.
+ *
+ * With the wrap boundary, distances are measured across the edges as the
+ * rules measure them, and the centroid is the circular mean of the positions.
+ * @type {string[]}
+ */
+const METRICS = ["polarization", "angularMomentum", "nearestNeighborDistance", "flockRadius", "meanSpeed"];
+
+/**
+ * Metrics history defaults.
+ * - INTERVAL: steps between samples (10 samples per second at the default
+ *   60 steps per second).
+ * - CAPACITY: samples kept before the oldest are overwritten (one minute of
+ *   simulated time at the default interval).
+ * @type {{INTERVAL:number, CAPACITY:number}}
+ */
+const METRICS_SETTINGS = {
+    INTERVAL: 6,
+    CAPACITY: 600,
+};
+
+/**
+ * Mean of coordinates along one axis: the plain mean, or on a wrap-around
+ * axis the circular mean, which stays with a flock straddling the edge.
+ * @param {Float32Array} values
+ * @param {number} count
+ * @param {number} size - World size along the axis.
+ * @param {boolean} wrap
+ * @returns {number}
+ */
+function axisMean(values, count, size, wrap) {
+    if (!wrap) {
+        let sum = 0;
+        for (let i = 0; i < count; i++) sum += values[i];
+        return sum / count;
+    }
+
+    let sin = 0;
+    let cos = 0;
+    for (let i = 0; i < count; i++) {
+        const angle = (values[i] / size) * 2 * Math.PI;
+        sin += Math.sin(angle);
+        cos += Math.cos(angle);
+    }
+    const mean = (Math.atan2(sin, cos) / (2 * Math.PI)) * size;
+    return mean < 0 ? mean + size : mean;
+}
+
+/**
+ * Compute every metric of METRICS for the current state of a simulation.
+ * The nearest neighbors are searched in the simulation's spatial grid (see
+ * Simulation#neighborGrid), which the last step already built.
+ * @param {import("./simulation.js").Simulation|import("./worker-simulation.js").WorkerSimulation} simulation
+ * @returns {Object<string, number>} Keyed by metric name; all 0 for an empty flock.
+ */
+function computeMetrics(simulation) {
+    const { store, world } = simulation;
+    const { count, x, y, vx, vy } = store;
+    const metrics = {};
+    METRICS.forEach((name) => { metrics[name] = 0; });
+    if (count === 0) return metrics;
+
+    const width = world.CANVAS_WIDTH;
+    const height = world.CANVAS_HEIGHT;
+    const wrap = simulation.params.boundary === BOUNDARY_MODES.WRAP;
+    const centerX = axisMean(x, count, width, wrap);
+    const centerY = axisMean(y, count, height, wrap);
+
+    let headingX = 0;
+    let headingY = 0;
+    let speed = 0;
+    let spin = 0;
+    let spread = 0;
+    for (let i = 0; i < count; i++) {
+        const length = Math.hypot(vx[i], vy[i]);
+        speed += length;
+        if (length > 0) {
+            headingX += vx[i] / length;
+            headingY += vy[i] / length;
+        }
+
+        let dx = x[i] - centerX;
+        let dy = y[i] - centerY;
+        if (wrap) {
+            dx = wrapDelta(dx, width);
+            dy = wrapDelta(dy, height);
+        }
+        const distance = Math.hypot(dx, dy);
+        spread += distance * distance;
+        if (distance > 0 && length > 0) {
+            spin += (dx * vy[i] - dy * vx[i]) / (distance * length);
+        }
+    }
+
+    let nearest = 0;
+    if (count > 1) {
+        const grid = simulation.neighborGrid();
+        for (let i = 0; i < count; i++) {
+            nearest += grid.nearestDistance(i, wrap);
+        }
+    }
+
+    metrics.polarization = Math.hypot(headingX, headingY) / count;
+    metrics.angularMomentum = Math.abs(spin) / count;
+    metrics.nearestNeighborDistance = nearest / count;
+    metrics.flockRadius = Math.sqrt(spread / count);
+    metrics.meanSpeed = speed / count;
+    return metrics;
+}
+
+/**
+ * MetricsHistory
+ *
+ * Ring buffer of the last `capacity` metrics samples, for the live charts
+ * and for export. `record` is meant to be called after every step and takes
+ * a sample every `interval` steps (and whenever the history is empty).
+ *
+ * As in the recorder, recording a step at or before the newest sample (after
+ * seeking back on the timeline, or after a reset) drops the samples from
+ * that step on, so the history always follows one run.
+ */
+class MetricsHistory {
+    /**
+     * @param {number} [capacity=METRICS_SETTINGS.CAPACITY]
+     * @param {number} [interval=METRICS_SETTINGS.INTERVAL] - Steps between samples.
+     */
+    constructor(capacity = METRICS_SETTINGS.CAPACITY, interval = METRICS_SETTINGS.INTERVAL) {
+        this.capacity = Math.max(1, Math.floor(capacity));
+        this.interval = Math.max(1, Math.floor(interval));
+        this.steps = new Float64Array(this.capacity);
+        this.times = new Float64Array(this.capacity);
+        /** @type {Object<string, Float64Array>} */
+        this.values = {};
+        METRICS.forEach((name) => { this.values[name] = new Float64Array(this.capacity); });
+        this.start = 0;
+        this.length = 0;
+    }
+
+    /**
+     * Slot of the `k`-th sample, oldest first.
+     * @param {number} k
+     * @returns {number}
+     * @private
+     */
+    _slot(k) {
+        return (this.start + k) % this.capacity;
+    }
+
+    /**
+     * The newest sample: its `frame` (the step), `time` and every metric, or
+     * null when empty.
+     * @returns {Object<string, number>|null}
+     */
+    latest() {
+        if (this.length === 0) return null;
+        const slot = this._slot(this.length - 1);
+        const sample = { frame: this.steps[slot], time: this.times[slot] };
+        METRICS.forEach((name) => { sample[name] = this.values[name][slot]; });
+        return sample;
+    }
+
+    /**
+     * Values of one metric over the newest `count` samples, oldest first.
+     * @param {string} name - One of METRICS.
+     * @param {number} [count=this.length]
+     * @returns {number[]}
+     */
+    series(name, count = this.length) {
+        const values = this.values[name];
+        const first = Math.max(0, this.length - count);
+        const series = [];
+        for (let k = first; k < this.length; k++) {
+            series.push(values[this._slot(k)]);
+        }
+        return series;
+    }
+
+    /**
+     * Drop every sample.
+     */
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+
+    /**
+     * Compute the metrics of a simulation's current step and keep them as the
+     * newest sample, overwriting the oldest once the buffer is full, when
+     * the step is a multiple of `interval` or the history is empty.
+     * @param {import("./simulation.js").Simulation|import("./worker-simulation.js").WorkerSimulation} simulation
+     */
+    record(simulation) {
+        const { stepCount } = simulation;
+        while (this.length > 0 && this.steps[this._slot(this.length - 1)] >= stepCount) {
+            this.length--;
+        }
+        if (this.length > 0 && stepCount % this.interval !== 0) return;
+
+        let slot;
+        if (this.length < this.capacity) {
+            slot = this._slot(this.length);
+            this.length++;
+        } else {
+            slot = this.start;
+            this.start = (this.start + 1) % this.capacity;
+        }
+        const metrics = computeMetrics(simulation);
+        this.steps[slot] = stepCount;
+        this.times[slot] = simulation.time;
+        METRICS.forEach((name) => { this.values[name][slot] = metrics[name]; });
+    }
+
+    /**
+     * The samples as CSV: a header row, then `frame` (the step), `time` and
+     * every metric of METRICS per sample, oldest first.
+     * @returns {string}
+     */
+    toCSV() {
+        const lines = [["frame", "time", ...METRICS].join(",")];
+        for (let k = 0; k < this.length; k++) {
+            const slot = this._slot(k);
+            lines.push([this.steps[slot], this.times[slot], ...METRICS.map((name) => this.values[name][slot])].join(","));
+        }
+        return `${lines.join("\n")}\n`;
+    }
+}
+
+export { METRICS, METRICS_SETTINGS, MetricsHistory, computeMetrics };
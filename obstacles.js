@@ -0,0 +1,218 @@
+/**
+ * Shapes an obstacle can take.
+ * - circle: `{ x, y, radius }`
+ * - rect: axis-aligned, `{ x, y, width, height }` centered on (x, y)
+ * - polygon: `{ points: [{x, y}, ...] }`, at least three points in order
+ * @enum {string}
+ */
+const OBSTACLE_SHAPES = {
+    CIRCLE: "circle",
+    RECT: "rect",
+    POLYGON: "polygon",
+};
+
+/**
+ * A static obstacle in world coordinates, as built by createObstacle. Every
+ * shape carries its center (x, y) and a bounding radius around it for cheap
+ * rejection; rects and polygons also carry their outline as a flat
+ * `[x0, y0, x1, y1, ...]` vertex list. Obstacles are plain data, so they can
+ * be posted to a worker and rebuilt there.
+ * @typedef {Object} Obstacle
+ * @property {string} shape - One of OBSTACLE_SHAPES.
+ * @property {number} x
+ * @property {number} y
+ * @property {number} boundRadius
+ * @property {number} [radius]
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {{x:number, y:number}[]} [points]
+ * @property {number[]|null} vertices
+ */
+
+/**
+ * Build an obstacle from a shape description.
+ * @param {{shape:string, x?:number, y?:number, radius?:number, width?:number, height?:number, points?:{x:number, y:number}[]}} spec
+ * @returns {Obstacle}
+ * @throws {Error} When the shape is unknown or its dimensions are invalid.
+ */
+function createObstacle(spec) {
+    const { shape } = spec;
+    if (shape === OBSTACLE_SHAPES.CIRCLE) {
+        const { x, y, radius } = spec;
+        if (![x, y, radius].every(Number.isFinite) || radius <= 0) {
+            throw new Error("A circle obstacle needs a finite center and a positive radius");
+        }
+        return { shape, x, y, radius, boundRadius: radius, vertices: null };
+    }
+
+    if (shape === OBSTACLE_SHAPES.RECT) {
+        const { x, y, width, height } = spec;
+        if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+            throw new Error("A rect obstacle needs a finite center and a positive size");
+        }
+        const left = x - width / 2;
+        const top = y - height / 2;
+        return {
+            shape, x, y, width, height,
+            boundRadius: Math.sqrt(width * width + height * height) / 2,
+            vertices: [left, top, left + width, top, left + width, top + height, left, top + height],
+        };
+    }
+
+    if (shape === OBSTACLE_SHAPES.POLYGON) {
+        const points = (spec.points ?? []).map(({ x, y }) => ({ x, y }));
+        if (points.length < 3 || !points.every(({ x, y }) => Number.isFinite(x) && Number.isFinite(y))) {
+            throw new Error("A polygon obstacle needs at least three finite points");
+        }
+        const x = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const y = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        const boundRadius = Math.max(...points.map((point) => Math.hypot(point.x - x, point.y - y)));
+        return { shape, x, y, points, boundRadius, vertices: points.flatMap((point) => [point.x, point.y]) };
+    }
+
+    throw new Error(`Unknown obstacle shape: ${shape}`);
+}
+
+/**
+ * Points of a regular polygon, e.g. for placing a polygon obstacle by click.
+ * @param {number} x - Center.
+ * @param {number} y - Center.
+ * @param {number} radius - Distance from the center to each corner.
+ * @param {number} sides
+ * @param {number} [rotation=-Math.PI / 2] - Angle of the first corner (default: pointing up).
+ * @returns {{x:number, y:number}[]}
+ */
+function regularPolygon(x, y, radius, sides, rotation = -Math.PI / 2) {
+    return Array.from({ length: sides }, (_, k) => {
+        const angle = rotation + (2 * Math.PI * k) / sides;
+        return { x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) };
+    });
+}
+
+/**
+ * Signed distance from (x, y) to the outline of an obstacle: positive
+ * outside, negative inside. The closest point on the outline is written to
+ * `out`. Allocates nothing, so the rules can call it per boid.
+ * @param {Obstacle} obstacle
+ * @param {number} x
+ * @param {number} y
+ * @param {{x:number, y:number}} out - Receives the closest outline point.
+ * @returns {number}
+ */
+function obstacleDistance(obstacle, x, y, out) {
+    if (obstacle.shape === OBSTACLE_SHAPES.CIRCLE) {
+        const dx = x - obstacle.x;
+        const dy = y - obstacle.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        // From the exact center every outline point is closest; pick the right-hand one
+        const ux = distance > 0 ? dx / distance : 1;
+        const uy = distance > 0 ? dy / distance : 0;
+        out.x = obstacle.x + ux * obstacle.radius;
+        out.y = obstacle.y + uy * obstacle.radius;
+        return distance - obstacle.radius;
+    }
+
+    const { vertices } = obstacle;
+    const n = vertices.length;
+    let best = Infinity;
+    let inside = false;
+    for (let a = 0, b = n - 2; a < n; b = a, a += 2) {
+        const ax = vertices[a];
+        const ay = vertices[a + 1];
+        const bx = vertices[b];
+        const by = vertices[b + 1];
+
+        // Even-odd crossing test for containment
+        if ((ay > y) !== (by > y) && x < ax + ((y - ay) * (bx - ax)) / (by - ay)) {
+            inside = !inside;
+        }
+
+        // Closest point on edge a-b
+        const ex = bx - ax;
+        const ey = by - ay;
+        const lengthSquared = ex * ex + ey * ey;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - ax) * ex + (y - ay) * ey) / lengthSquared)) : 0;
+        const cx = ax + ex * t;
+        const cy = ay + ey * t;
+        const distanceSquared = (x - cx) * (x - cx) + (y - cy) * (y - cy);
+        if (distanceSquared < best) {
+            best = distanceSquared;
+            out.x = cx;
+            out.y = cy;
+        }
+    }
+    const distance = Math.sqrt(best);
+    return inside ? -distance : distance;
+}
+
+/**
+ * Whether the segment from (x0, y0) to (x1, y1) touches an obstacle, e.g. a
+ * line of sight it blocks. Allocates nothing, so the rules can call it per
+ * pair of boids.
+ * @param {Obstacle} obstacle
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {boolean}
+ */
+function segmentHitsObstacle(obstacle, x0, y0, x1, y1) {
+    const sx = x1 - x0;
+    const sy = y1 - y0;
+    const lengthSquared = sx * sx + sy * sy;
+
+    // Cheap rejection against the bounding circle
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((obstacle.x - x0) * sx + (obstacle.y - y0) * sy) / lengthSquared))
+        : 0;
+    const cx = x0 + sx * t - obstacle.x;
+    const cy = y0 + sy * t - obstacle.y;
+    const distanceSquared = cx * cx + cy * cy;
+    if (distanceSquared > obstacle.boundRadius * obstacle.boundRadius) return false;
+    if (obstacle.shape === OBSTACLE_SHAPES.CIRCLE) return true;
+
+    const { vertices } = obstacle;
+    const n = vertices.length;
+    let inside = false;
+    for (let a = 0, b = n - 2; a < n; b = a, a += 2) {
+        const ax = vertices[a];
+        const ay = vertices[a + 1];
+        const bx = vertices[b];
+        const by = vertices[b + 1];
+
+        // Even-odd crossing test for the start point lying inside
+        if ((ay > y0) !== (by > y0) && x0 < ax + ((y0 - ay) * (bx - ax)) / (by - ay)) {
+            inside = !inside;
+        }
+
+        // Segments cross when each one's ends lie on opposite sides of the other
+        const ex = bx - ax;
+        const ey = by - ay;
+        const side0 = ex * (y0 - ay) - ey * (x0 - ax);
+        const side1 = ex * (y1 - ay) - ey * (x1 - ax);
+        const sideA = sx * (ay - y0) - sy * (ax - x0);
+        const sideB = sx * (by - y0) - sy * (bx - x0);
+        if ((side0 > 0) !== (side1 > 0) && (sideA > 0) !== (sideB > 0)) return true;
+    }
+    return inside;
+}
+
+/**
+ * The topmost (last added) obstacle within `tolerance` pixels of a point.
+ * @param {Obstacle[]} obstacles
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [tolerance=0]
+ * @returns {Obstacle|null}
+ */
+function obstacleAt(obstacles, x, y, tolerance = 0) {
+    const closest = { x: 0, y: 0 };
+    for (let k = obstacles.length - 1; k >= 0; k--) {
+        if (obstacleDistance(obstacles[k], x, y, closest) <= tolerance) {
+            return obstacles[k];
+        }
+    }
+    return null;
+}
+
+export { OBSTACLE_SHAPES, createObstacle, regularPolygon, obstacleDistance, segmentHitsObstacle, obstacleAt };
@@ -0,0 +1,201 @@
+import { obstacleDistance, segmentHitsObstacle } from "./obstacles.js";
+import { wrapDelta } from "./utils.js";
+
+/**
+ * Default radius in pixels of the disc a boid's body blocks the view with
+ * (the `bodyRadius` simulation parameter), half the width of a drawn boid's
+ * base.
+ * @const {number}
+ */
+const BODY_RADIUS = 6;
+
+/**
+ * OccluderList
+ *
+ * Reusable list of the bodies that may hide other boids from one boid: every
+ * boid around it, modeled as a disc, by the angle it sits at, the half-angle
+ * its disc covers and its distance, plus the obstacles. A boid is hidden when
+ * the line of sight to its center crosses a nearer disc or an obstacle. One
+ * list is shared by every update of a step.
+ */
+class OccluderList {
+    /**
+     * @param {number} [capacity=64]
+     */
+    constructor(capacity = 64) {
+        this.count = 0;
+        this.x = 0;
+        this.y = 0;
+        this.width = 0;
+        this.height = 0;
+        /** @type {import("./obstacles.js").Obstacle[]} */
+        this.obstacles = [];
+        this._allocate(capacity);
+    }
+
+    /**
+     * Make room for up to `capacity` occluders (every other boid can block).
+     * @param {number} capacity
+     */
+    ensureCapacity(capacity) {
+        if (this.indices.length < capacity) {
+            this._allocate(capacity);
+        }
+    }
+
+    /**
+     * Empty the list for a viewer at (x, y).
+     * @param {number} x
+     * @param {number} y
+     * @param {import("./obstacles.js").Obstacle[]} obstacles - Obstacles blocking the view.
+     * @param {number} [width=0] - World width to wrap obstacle offsets by, or 0 not to wrap.
+     * @param {number} [height=0] - World height to wrap obstacle offsets by, or 0 not to wrap.
+     */
+    reset(x, y, obstacles, width = 0, height = 0) {
+        this.count = 0;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.obstacles = obstacles;
+    }
+
+    /**
+     * Add boid `j`, a disc of `radius` at offset (deltaX, deltaY) from the
+     * viewer. A disc the viewer is inside of blocks nothing: point boids
+     * overlap, and an overlapping body would blind the viewer entirely.
+     * @param {number} j
+     * @param {number} deltaX
+     * @param {number} deltaY
+     * @param {number} distance
+     * @param {number} radius
+     */
+    add(j, deltaX, deltaY, distance, radius) {
+        if (distance <= radius) return;
+        const k = this.count++;
+        this.indices[k] = j;
+        this.angles[k] = Math.atan2(deltaY, deltaX);
+        this.halfWidths[k] = Math.asin(radius / distance);
+        this.distances[k] = distance;
+    }
+
+    /**
+     * Whether the line of sight to boid `j`, at offset (deltaX, deltaY) from
+     * the viewer, crosses the disc of a nearer boid or an obstacle. In a
+     * wrapping world each obstacle is tested from the viewer's copy nearest
+     * to it, so obstacles across an edge block the view as well.
+     * @param {number} j
+     * @param {number} deltaX
+     * @param {number} deltaY
+     * @param {number} distance
+     * @returns {boolean}
+     */
+    hides(j, deltaX, deltaY, distance) {
+        const angle = Math.atan2(deltaY, deltaX);
+        for (let k = 0; k < this.count; k++) {
+            if (this.distances[k] >= distance || this.indices[k] === j) continue;
+            let offset = angle - this.angles[k];
+            if (offset > Math.PI) {
+                offset -= 2 * Math.PI;
+            } else if (offset <= -Math.PI) {
+                offset += 2 * Math.PI;
+            }
+            if (Math.abs(offset) < this.halfWidths[k]) return true;
+        }
+        for (let k = 0; k < this.obstacles.length; k++) {
+            const obstacle = this.obstacles[k];
+            let x = this.x;
+            let y = this.y;
+            if (this.width > 0) {
+                x = obstacle.x + wrapDelta(x - obstacle.x, this.width);
+                y = obstacle.y + wrapDelta(y - obstacle.y, this.height);
+            }
+            if (segmentHitsObstacle(obstacle, x, y, x + deltaX, y + deltaY)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {number} capacity
+     * @private
+     */
+    _allocate(capacity) {
+        this.indices = new Int32Array(capacity);
+        this.angles = new Float64Array(capacity);
+        this.halfWidths = new Float64Array(capacity);
+        this.distances = new Float64Array(capacity);
+    }
+}
+
+/**
+ * The wedges of a boid's field of view that other boids and obstacles hide,
+ * for drawing: one per body within range, from the body outwards, clipped to
+ * the field of view. Angles are relative to the viewer's heading, from
+ * `start` to `end` clockwise on screen, and `near` is the distance the wedge
+ * starts at. Allocates, so it is meant for renderers, not the rules.
+ * @param {{x:number, y:number, heading:number, leftSideFOV:number, rightSideFOV:number, range:number}} viewer
+ * @param {{x:number, y:number}[]} bodies - Positions of the other boids.
+ * @param {import("./obstacles.js").Obstacle[]} obstacles
+ * @param {number} radius - Body radius of a boid.
+ * @param {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}|null} wrapped - World
+ *   offsets wrap in, or null not to wrap.
+ * @returns {{start:number, end:number, near:number}[]}
+ */
+function occludedWedges(viewer, bodies, obstacles, radius, wrapped) {
+    const wedges = [];
+    const clip = (angle, halfWidth, near) => {
+        let center = angle - viewer.heading;
+        center -= 2 * Math.PI * Math.round(center / (2 * Math.PI));
+        // Try the wedge at its own angle and one turn either way, so wedges
+        // straddling the back of a wide field of view are kept in pieces
+        for (const turn of [-2 * Math.PI, 0, 2 * Math.PI]) {
+            const start = Math.max(center + turn - halfWidth, -viewer.leftSideFOV);
+            const end = Math.min(center + turn + halfWidth, viewer.rightSideFOV);
+            if (start < end) wedges.push({ start, end, near });
+        }
+    };
+
+    for (const body of bodies) {
+        let deltaX = body.x - viewer.x;
+        let deltaY = body.y - viewer.y;
+        if (wrapped) {
+            deltaX = wrapDelta(deltaX, wrapped.CANVAS_WIDTH);
+            deltaY = wrapDelta(deltaY, wrapped.CANVAS_HEIGHT);
+        }
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        if (distance <= radius || distance > viewer.range) continue;
+        clip(Math.atan2(deltaY, deltaX), Math.asin(radius / distance), distance);
+    }
+
+    const closest = { x: 0, y: 0 };
+    for (const obstacle of obstacles) {
+        // The viewer's copy nearest to the obstacle, as in OccluderList#hides
+        let x = viewer.x;
+        let y = viewer.y;
+        if (wrapped) {
+            x = obstacle.x + wrapDelta(x - obstacle.x, wrapped.CANVAS_WIDTH);
+            y = obstacle.y + wrapDelta(y - obstacle.y, wrapped.CANVAS_HEIGHT);
+        }
+        const near = obstacleDistance(obstacle, x, y, closest);
+        if (near <= 0 || near > viewer.range) continue;
+        const angle = Math.atan2(obstacle.y - y, obstacle.x - x);
+        if (obstacle.vertices) {
+            // Span from the outermost corner on one side of the direction to
+            // the center to the outermost one on the other
+            let low = 0;
+            let high = 0;
+            for (let v = 0; v < obstacle.vertices.length; v += 2) {
+                let offset = Math.atan2(obstacle.vertices[v + 1] - y, obstacle.vertices[v] - x) - angle;
+                offset -= 2 * Math.PI * Math.round(offset / (2 * Math.PI));
+                low = Math.min(low, offset);
+                high = Math.max(high, offset);
+            }
+            clip(angle + (low + high) / 2, (high - low) / 2, near);
+        } else {
+            clip(angle, Math.asin(obstacle.radius / Math.hypot(obstacle.x - x, obstacle.y - y)), near);
+        }
+    }
+    return wedges;
+}
+
+export { BODY_RADIUS, OccluderList, occludedWedges };
@@ -0,0 +1,51 @@
+import { Boid, DEGREES_TO_RADIANS } from "./boid.js";
+
+/**
+ * Default settings for new predators. Predators are a little faster than the
+ * default boid and see farther, over a narrower forward-facing FOV.
+ * @type {{MAX_SPEED:number, RANGE:number, FOV_ANGLE:number, COLOR:string}}
+ */
+const PREDATOR_SETTINGS = {
+    MAX_SPEED: 3.6,
+    RANGE: 250,
+    FOV_ANGLE: 180 * DEGREES_TO_RADIANS,
+    COLOR: "#dc2626",
+};
+
+/**
+ * What a predator chases.
+ * - nearest: the closest boid it can see
+ * - densest: the visible boid with the most neighbors, i.e. the heart of the
+ *   densest cluster in view
+ * @enum {string}
+ */
+const PREDATOR_STRATEGIES = {
+    NEAREST: "nearest",
+    DENSEST: "densest",
+};
+
+/**
+ * Predator
+ *
+ * An agent that hunts the flock. It is a Boid living in the simulation's
+ * predator store, so the shared rules (obstacle avoidance, boundaries) and the
+ * renderers handle it like a boid, but it ignores the boids rules: each
+ * update it picks a target according to its `strategy` and turns towards it
+ * (see updatePredator in rules.js). Boids flee from predators within range.
+ */
+class Predator extends Boid {
+    /**
+     * @param {{id:number, store:import("./flock-store.js").FlockStore, world?:{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}, random?:function():number, strategy?:string}} options
+     */
+    constructor({ id, store, world, random, strategy = PREDATOR_STRATEGIES.NEAREST }) {
+        super({ id, isHighlighted: false, store, world, random });
+        this.strategy = strategy;
+        this.targetIndex = -1; // Flock slot chased in the last update, -1 when none
+        this.maxSpeed = PREDATOR_SETTINGS.MAX_SPEED;
+        this.range = PREDATOR_SETTINGS.RANGE;
+        this.setFOVAngle(PREDATOR_SETTINGS.FOV_ANGLE);
+        this.setColor(PREDATOR_SETTINGS.COLOR);
+    }
+}
+
+export { Predator, PREDATOR_SETTINGS, PREDATOR_STRATEGIES };
@@ -0,0 +1,214 @@
+import { DEGREES_TO_RADIANS } from "./boid.js";
+import { parseSeed } from "./random.js";
+import { NEIGHBORHOOD_MODES } from "./rules.js";
+
+/**
+ * Parameters a preset sets. Applying a preset sets every one of them,
+ * falling back to the page's defaults for those the preset leaves out, so
+ * presets do not depend on what was applied before. Population, predators,
+ * the environment and the rendering options are left alone.
+ * @type {string[]}
+ */
+const PRESET_PARAMETERS = [
+    "range",
+    "fovAngle",
+    "separationCoefficient",
+    "cohereCoefficient",
+    "alignCoefficient",
+    "maxSpeed",
+    "variationEnabled",
+    "variationFrequency",
+    "variationAmplitude",
+    "neighborhood",
+    "topologicalCount",
+];
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name
+ * @property {Object<string, *>} params - Values of PRESET_PARAMETERS entries.
+ */
+
+/**
+ * Presets shipped with the page.
+ * @type {Preset[]}
+ */
+const BUILT_IN_PRESETS = [
+    {
+        name: "Tight school",
+        params: {
+            range: 90,
+            fovAngle: 270 * DEGREES_TO_RADIANS,
+            separationCoefficient: 0.7,
+            cohereCoefficient: 1.6,
+            alignCoefficient: 1.8,
+            maxSpeed: 3.5,
+            variationEnabled: false,
+        },
+    },
+    {
+        name: "Loose murmuration",
+        params: {
+            range: 250,
+            fovAngle: 300 * DEGREES_TO_RADIANS,
+            separationCoefficient: 1.2,
+            cohereCoefficient: 0.5,
+            alignCoefficient: 1.4,
+            maxSpeed: 4.5,
+            variationFrequency: 0.4,
+            variationAmplitude: 0.6,
+            neighborhood: NEIGHBORHOOD_MODES.TOPOLOGICAL,
+            topologicalCount: 7,
+        },
+    },
+    {
+        name: "Chaotic swarm",
+        params: {
+            range: 120,
+            fovAngle: 360 * DEGREES_TO_RADIANS,
+            separationCoefficient: 1.6,
+            cohereCoefficient: 1.4,
+            alignCoefficient: 0.1,
+            maxSpeed: 6,
+            variationFrequency: 2.5,
+            variationAmplitude: 1,
+        },
+    },
+    {
+        name: "Cohesion only",
+        params: {
+            separationCoefficient: 0,
+            cohereCoefficient: 1,
+            alignCoefficient: 0,
+        },
+    },
+];
+
+/**
+ * localStorage key the user's presets are kept under, as a JSON array of
+ * presets.
+ * @const {string}
+ */
+const PRESET_STORAGE_KEY = "boids-presets";
+
+/**
+ * The PRESET_PARAMETERS values of a parameter set, copied.
+ * @param {Object<string, *>} params - E.g. `simulation.params`.
+ * @returns {Object<string, *>}
+ */
+function presetParameters(params) {
+    const picked = {};
+    PRESET_PARAMETERS.forEach((name) => { picked[name] = structuredClone(params[name]); });
+    return picked;
+}
+
+/**
+ * Read the user's presets. Missing or unreadable storage gives none.
+ * @param {Storage|null|undefined} storage - E.g. `window.localStorage`.
+ * @returns {Preset[]}
+ */
+function readUserPresets(storage) {
+    try {
+        const presets = JSON.parse(storage?.getItem(PRESET_STORAGE_KEY) ?? "[]");
+        return Array.isArray(presets)
+            ? presets.filter((preset) => typeof preset?.name === "string" && preset.params !== null && typeof preset.params === "object")
+            : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Store the user's presets, replacing those stored before.
+ * @param {Storage} storage
+ * @param {Preset[]} presets
+ * @throws {Error} When the storage is unavailable or full.
+ */
+function writeUserPresets(storage, presets) {
+    storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ * @typedef {Object} LinkSettings
+ * @property {number|null} seed - Null when the link carries none.
+ * @property {Object<string, *>} params - Parameters the link sets.
+ * @property {{FOVEnabled:boolean, showNeighbors:boolean, shownRules:string[]}} display
+ *   Visualization toggles of the highlighted boid.
+ */
+
+/**
+ * Encode the seed, parameters and visualization toggles into URL hash text
+ * (without the `#`), e.g. `seed=42&maxSpeed=4.5&boundary=wrap&fov=1`. Only
+ * parameters that differ from `defaults` are written, to keep links short;
+ * distributions and other objects are written as JSON.
+ * @param {LinkSettings} settings
+ * @param {Object<string, *>} defaults - The page's default parameters.
+ * @returns {string}
+ */
+function encodeSettings({ seed, params, display }, defaults) {
+    const query = new URLSearchParams();
+    if (seed !== null) query.set("seed", seed);
+    Object.entries(params).forEach(([name, value]) => {
+        if (JSON.stringify(value) === JSON.stringify(defaults[name])) return;
+        query.set(name, typeof value === "object" ? JSON.stringify(value) : String(value));
+    });
+    if (display.FOVEnabled) query.set("fov", "1");
+    if (display.showNeighbors) query.set("neighbors", "1");
+    if (display.shownRules.length > 0) query.set("rules", display.shownRules.join(","));
+    return query.toString();
+}
+
+/**
+ * Turn a hash value back into a parameter value: JSON objects and arrays,
+ * booleans and numbers are parsed, anything else is kept as text.
+ * @param {string} text
+ * @returns {*}
+ */
+function decodeValue(text) {
+    if (text.startsWith("{") || text.startsWith("[")) return JSON.parse(text);
+    if (text === "true" || text === "false") return text === "true";
+    if (text.trim() !== "" && Number.isFinite(Number(text))) return Number(text);
+    return text;
+}
+
+/**
+ * Decode URL hash text written by encodeSettings. Parameters left out of
+ * the link are left out of `params`; callers fill in their defaults.
+ * @param {string} hash - With or without the leading `#`.
+ * @returns {LinkSettings|null} Null for an empty hash.
+ * @throws {Error} When a parameter holds malformed JSON.
+ */
+function decodeSettings(hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ""));
+    if ([...query.keys()].length === 0) return null;
+
+    const settings = {
+        seed: parseSeed(query.get("seed")),
+        params: {},
+        display: {
+            FOVEnabled: query.get("fov") === "1",
+            showNeighbors: query.get("neighbors") === "1",
+            shownRules: (query.get("rules") ?? "").split(",").filter(Boolean),
+        },
+    };
+    for (const [name, text] of query) {
+        if (["seed", "fov", "neighbors", "rules"].includes(name)) continue;
+        try {
+            settings.params[name] = decodeValue(text);
+        } catch (error) {
+            throw new Error(`Malformed value of ${name} in the link: ${error.message}`);
+        }
+    }
+    return settings;
+}
+
+export {
+    BUILT_IN_PRESETS,
+    PRESET_PARAMETERS,
+    PRESET_STORAGE_KEY,
+    presetParameters,
+    readUserPresets,
+    writeUserPresets,
+    encodeSettings,
+    decodeSettings,
+};
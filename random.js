@@ -0,0 +1,68 @@
+/**
+ * Create a seeded pseudo-random number generator (mulberry32). The returned
+ * function is a drop-in replacement for `Math.random`: every call yields a
+ * float in [0, 1), and two generators created with the same seed produce the
+ * same sequence. Its `state` property is the current generator state;
+ * passing it back as `state` resumes the sequence where it was read.
+ * @param {number} seed - Unsigned 32-bit integer seed.
+ * @param {number} [state=seed] - Generator state to start from.
+ * @returns {function():number}
+ */
+function createRandom(seed, state = seed) {
+    state >>>= 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    Object.defineProperty(random, "state", { get: () => state });
+    return random;
+}
+
+/**
+ * Pick a fresh seed for a new, unseeded run.
+ * @returns {number} Unsigned 32-bit integer seed.
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn user input (URL parameter, text field) into a seed. Integers are used
+ * as-is; any other text is hashed (FNV-1a) so words like "murmuration" work too.
+ * @param {string|number} value
+ * @returns {number|null} Unsigned 32-bit integer seed, or null for empty input.
+ */
+function parseSeed(value) {
+    const text = String(value ?? "").trim();
+    if (text === "") return null;
+
+    if (/^\d+$/.test(text)) {
+        return Number(BigInt(text) % 4294967296n);
+    }
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Hash two integers into an unsigned 32-bit integer (murmur3 finalizer), for
+ * values that must follow from a seed without drawing from a generator.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function hashInts(a, b) {
+    let hash = (a ^ Math.imul((b + 1) >>> 0, 0x9E3779B9)) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+export { createRandom, randomSeed, parseSeed, hashInts };
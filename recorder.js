@@ -0,0 +1,186 @@
+import { packFlock, packHighlight, stateLength } from "./flock-store.js";
+
+/**
+ * Recorder defaults.
+ * - CAPACITY: frames kept before the oldest are overwritten (10 seconds of
+ *   simulated time at the default 60 steps per second).
+ * @type {{CAPACITY:number}}
+ */
+const RECORDER_SETTINGS = {
+    CAPACITY: 600,
+};
+
+/**
+ * @typedef {Object} Frame
+ * @property {number} seed - Seed of the run.
+ * @property {number} stepCount - Step the frame was captured after.
+ * @property {number} time - Simulation clock, seconds.
+ * @property {number} count - Flock size.
+ * @property {number} predatorCount
+ * @property {Float32Array} state - Flock state buffer (see packFlock).
+ * @property {Float32Array} predatorState - Predator state buffer.
+ * @property {Float32Array} food - Food left in each patch.
+ * @property {Float32Array} highlight - Highlight buffer (see packHighlight).
+ */
+
+/**
+ * Capture the dynamic state of a simulation (or of a WorkerSimulation's
+ * mirror) into a frame. An evicted `frame` is overwritten in place, its
+ * buffers reused when they fit, so recording a steady run allocates nothing.
+ * @param {import("./simulation.js").Simulation|import("./worker-simulation.js").WorkerSimulation} simulation
+ * @param {Frame|null} [frame=null] - An evicted frame to overwrite.
+ * @returns {Frame}
+ */
+function captureFrame(simulation, frame = null) {
+    const { store, predatorStore, foodPatches, highlighted } = simulation;
+    const length = stateLength(store.count);
+    const state = frame?.state.length === length ? frame.state : new Float32Array(length);
+    const predatorLength = stateLength(predatorStore.count);
+    const predatorState = frame?.predatorState.length === predatorLength ? frame.predatorState : new Float32Array(predatorLength);
+    packFlock(store, state);
+    packFlock(predatorStore, predatorState);
+    const food = frame?.food.length === foodPatches.length ? frame.food : new Float32Array(foodPatches.length);
+    for (let k = 0; k < foodPatches.length; k++) {
+        food[k] = foodPatches[k].amount;
+    }
+    let highlight = frame?.highlight ?? null;
+    if (highlighted) {
+        highlight = packHighlight(highlighted, highlight);
+    } else if (highlight?.length !== 0) {
+        highlight = new Float32Array(0);
+    }
+
+    const captured = frame ?? {};
+    captured.seed = simulation.seed;
+    captured.stepCount = simulation.stepCount;
+    captured.time = simulation.time;
+    captured.count = store.count;
+    captured.predatorCount = predatorStore.count;
+    captured.state = state;
+    captured.predatorState = predatorState;
+    captured.food = food;
+    captured.highlight = highlight;
+    return captured;
+}
+
+/**
+ * Recorder
+ *
+ * Ring buffer of the last `capacity` frames of a run, recorded after every
+ * step (including each step a worker ran, see WorkerSimulation), so a moment can be
+ * scrubbed back to, stepped through frame by frame and resumed from.
+ *
+ * Frames are kept in step order. Recording a step at or before the newest
+ * frame (after seeking back and resuming, or after a reset) drops the frames
+ * from that step on, so the recording always holds one continuous run; a
+ * new seed or a change of flock size starts a new recording.
+ */
+class Recorder {
+    /**
+     * @param {number} [capacity=RECORDER_SETTINGS.CAPACITY]
+     */
+    constructor(capacity = RECORDER_SETTINGS.CAPACITY) {
+        this.capacity = Math.max(1, Math.floor(capacity));
+        /** @type {Frame[]} */
+        this.frames = [];
+        this.start = 0;
+        this.length = 0;
+        this.position = -1; // frame last recorded or sought to, -1 when empty
+    }
+
+    /**
+     * The `k`-th recorded frame, oldest first.
+     * @param {number} k
+     * @returns {Frame|null}
+     */
+    frame(k) {
+        if (!(k >= 0 && k < this.length)) return null;
+        return this.frames[(this.start + k) % this.capacity];
+    }
+
+    /**
+     * Drop every frame.
+     */
+    clear() {
+        this.start = 0;
+        this.length = 0;
+        this.position = -1;
+    }
+
+    /**
+     * Capture the current state of a simulation as the newest frame,
+     * overwriting the oldest once the buffer is full.
+     * @param {import("./simulation.js").Simulation|import("./worker-simulation.js").WorkerSimulation} simulation
+     */
+    record(simulation) {
+        while (this.length > 0 && this.frame(this.length - 1).stepCount >= simulation.stepCount) {
+            this.length--;
+        }
+        const newest = this.frame(this.length - 1);
+        if (newest && (newest.seed !== simulation.seed
+            || newest.count !== simulation.store.count || newest.predatorCount !== simulation.predatorStore.count)) {
+            this.clear();
+        }
+
+        let slot;
+        if (this.length < this.capacity) {
+            slot = (this.start + this.length) % this.capacity;
+            this.length++;
+        } else {
+            slot = this.start;
+            this.start = (this.start + 1) % this.capacity;
+        }
+        this.frames[slot] = captureFrame(simulation, this.frames[slot] ?? null);
+        this.position = this.length - 1;
+    }
+
+    /**
+     * Put a simulation back in the state of the `k`-th frame, with the
+     * boids' trails rebuilt from the frames before it. Frames of a flock of
+     * another size cannot be restored; the recording is dropped instead.
+     * @param {import("./simulation.js").Simulation|import("./worker-simulation.js").WorkerSimulation} simulation
+     * @param {number} k
+     * @returns {boolean} Whether the frame was restored.
+     */
+    seek(simulation, k) {
+        const frame = this.frame(k);
+        if (!frame) return false;
+        if (frame.count !== simulation.flock.length || frame.predatorCount !== simulation.predators.length) {
+            this.clear();
+            return false;
+        }
+
+        simulation.restoreFrame(frame);
+        this._restoreTrails(simulation, k);
+        this.position = k;
+        return true;
+    }
+
+    /**
+     * Rebuild every boid's trail from the positions in the frames up to the
+     * `k`-th, as if the run had just reached it.
+     * @param {import("./simulation.js").Simulation|import("./worker-simulation.js").WorkerSimulation} simulation
+     * @param {number} k
+     * @private
+     */
+    _restoreTrails(simulation, k) {
+        const { flock } = simulation;
+        const enabled = simulation.params.ghostTrailEnabled;
+        for (let i = 0; i < flock.length; i++) {
+            const boid = flock[i];
+            boid.trailPositions = [];
+            if (!enabled) continue;
+            for (let j = k; j >= 0 && k - j < boid.maxTrailLength; j--) {
+                const { state, count } = this.frame(j);
+                // State buffers hold whole columns: x, y, previousX, previousY, vx, vy, ...
+                boid.trailPositions.push({
+                    x: state[i],
+                    y: state[count + i],
+                    angle: Math.atan2(state[5 * count + i], state[4 * count + i]),
+                });
+            }
+        }
+    }
+}
+
+export { Recorder, RECORDER_SETTINGS, captureFrame };
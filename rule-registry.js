@@ -0,0 +1,260 @@
+import { FLOCK_COLUMNS } from "./flock-store.js";
+import {
+    alignmentRule,
+    alignmentSteering,
+    cohesionRule,
+    cohesionSteering,
+    foragingRule,
+    foragingSteering,
+    separationRule,
+    separationSteering,
+} from "./rules.js";
+
+/**
+ * A steering rule every boid applies each update. The rule function writes
+ * the boid's unweighted steering vector; updateBoid (rules.js) weights it,
+ * sums it with the other rules and integrates the result.
+ * @typedef {Object} SteeringRule
+ * @property {string} name - Unique key, also the rule's key in `params.ruleWeights`.
+ * @property {string} label - Shown next to the rule's slider and toggle.
+ * @property {function(import("./flock-store.js").FlockStore, number, import("./rules.js").StepContext, import("./vector.js").Vector2D):void} rule
+ *   `rule(store, i, context, out)` writes the steering vector of boid `i`
+ *   into `out`; `context.neighbors` holds the boid's neighbors. It must not
+ *   allocate, as it runs for every boid every update.
+ * @property {Function|null} steering - The rule in the steering model (see
+ *   RULE_MODELS), with the same signature: writes a steering force, desired
+ *   minus current velocity capped at `context.maxForce`. Null applies `rule`
+ *   in both models.
+ * @property {number} weight - Default weight, replaced by `params.ruleWeights[name]` when set.
+ *   A rule whose weight, times the boid's coefficient, is 0 or less is skipped.
+ * @property {string|null} coefficient - FlockStore column of per-boid weights
+ *   the rule is also multiplied by (the built-in rules use the boids'
+ *   species-scaled, distributed coefficients), or null.
+ * @property {number|null} variation - Phase offset in radians of the rule's
+ *   variation wave, or null for a rule the waves leave alone.
+ * @property {function(number):number} wave - The variation wave, a function
+ *   of the phase in [-1, 1]: Math.sin unless the rule gives another.
+ * @property {string|null} color - Color of the rule's debug vector, or null to draw none.
+ * @property {number} scale - Factor the debug vector is drawn at.
+ * @property {string|null} steer - Key of `Boid.steer` the applied vector is
+ *   stored in for every boid; built-in rules only, the columns are fixed.
+ * @property {string|null} steerX - Column of `steer`'s x component.
+ * @property {string|null} steerY - Column of `steer`'s y component.
+ */
+
+/**
+ * Build a steering rule from a description, filling in the defaults.
+ * @param {{name:string, label?:string, rule:Function, steering?:Function|null, weight?:number, coefficient?:string|null, variation?:number|null, wave?:function(number):number, color?:string|null, scale?:number, steer?:string|null}} spec
+ * @returns {SteeringRule}
+ * @throws {Error} When the name, function, weight, coefficient, phase, wave or scale is invalid.
+ */
+function createRule({ name, label = name, rule, steering = null, weight = 1, coefficient = null, variation = null, wave = Math.sin, color = null, scale = 100, steer = null }) {
+    if (typeof name !== "string" || name === "") {
+        throw new Error("A steering rule needs a name");
+    }
+    if (typeof rule !== "function" || (steering !== null && typeof steering !== "function")) {
+        throw new Error(`Steering rule ${name} needs a rule function`);
+    }
+    if (!Number.isFinite(weight) || !(scale > 0)) {
+        throw new Error(`Steering rule ${name} needs a finite weight and a positive scale`);
+    }
+    if ((variation !== null && !Number.isFinite(variation)) || typeof wave !== "function") {
+        throw new Error(`Steering rule ${name} has an invalid variation phase or wave`);
+    }
+    for (const column of [coefficient, steer && `${steer}X`, steer && `${steer}Y`]) {
+        if (column && !(column in FLOCK_COLUMNS)) {
+            throw new Error(`Unknown flock column for steering rule ${name}: ${column}`);
+        }
+    }
+
+    return {
+        name,
+        label: String(label),
+        rule,
+        steering,
+        weight,
+        coefficient,
+        variation,
+        wave,
+        color,
+        scale,
+        steer,
+        steerX: steer && `${steer}X`,
+        steerY: steer && `${steer}Y`,
+    };
+}
+
+/**
+ * Check a set of rule weights, as stored in `params.ruleWeights`.
+ * @param {Object<string, number>} weights - Rule name to weight.
+ * @returns {Object<string, number>} A copy of `weights`.
+ * @throws {Error} When a weight is not a finite number.
+ */
+function createRuleWeights(weights) {
+    const copy = {};
+    for (const [name, weight] of Object.entries(weights)) {
+        if (!Number.isFinite(weight)) {
+            throw new Error(`Weight of steering rule ${name} must be a finite number`);
+        }
+        copy[name] = weight;
+    }
+    return copy;
+}
+
+/**
+ * The three boids rules, in their pseudocode and steering formulations,
+ * registered with every default registry. Their strength is the boids' cohesion, separation and alignment coefficients
+ * (the "Force" sliders), and their variation waves keep the phase offsets
+ * they always had, cohesion's on a cosine as in the pseudocode, so a seed
+ * replays the same flock as before the registry. Foraging, the pull of hungry boids towards food, follows
+ * them with a plain weight and no variation.
+ * @type {Object[]}
+ */
+const BUILT_IN_RULES = [
+    {
+        name: "cohesion",
+        label: "Cohesion",
+        rule: cohesionRule,
+        steering: cohesionSteering,
+        coefficient: "cohereCoefficient",
+        variation: Math.PI * 1.2,
+        wave: Math.cos,
+        color: "#3b82f6",
+        scale: 300,
+        steer: "cohere",
+    },
+    {
+        name: "separation",
+        label: "Separation",
+        rule: separationRule,
+        steering: separationSteering,
+        coefficient: "separationCoefficient",
+        variation: Math.PI * 0.4,
+        color: "#10b981",
+        scale: 100,
+        steer: "separate",
+    },
+    {
+        name: "alignment",
+        label: "Alignment",
+        rule: alignmentRule,
+        steering: alignmentSteering,
+        coefficient: "alignCoefficient",
+        variation: Math.PI * 2.0,
+        color: "#f59e0b",
+        scale: 500,
+        steer: "align",
+    },
+    {
+        name: "foraging",
+        label: "Foraging",
+        rule: foragingRule,
+        steering: foragingSteering,
+        color: "#ca8a04",
+        scale: 100,
+        steer: "forage",
+    },
+];
+
+/**
+ * RuleRegistry
+ *
+ * The steering rules a simulation applies, in registration order. Rules can
+ * be registered and unregistered at any time: simulations pick the change up
+ * on their next step (by `version`), and subscribers such as the UI are told
+ * right away so they can rebuild their controls.
+ */
+class RuleRegistry {
+    /**
+     * @param {Object[]} [rules=[]] - Rule descriptions to register (see createRule).
+     */
+    constructor(rules = []) {
+        this._rules = new Map();
+        this._list = [];
+        this._listeners = new Set();
+        this.version = 0;
+        rules.forEach((rule) => this.register(rule));
+    }
+
+    /**
+     * Register a steering rule, e.g.
+     * `register({ name: "wander", rule: (store, i, context, out) => { ... }, weight: 0.5, color: "#a855f7" })`.
+     * @param {{name:string, rule:Function}} spec - Rule description (see createRule).
+     * @returns {SteeringRule} The rule registered.
+     * @throws {Error} When the description is invalid or the name is taken.
+     */
+    register(spec) {
+        const rule = createRule(spec);
+        if (this._rules.has(rule.name)) {
+            throw new Error(`A steering rule named ${rule.name} is already registered`);
+        }
+        this._rules.set(rule.name, rule);
+        this._changed();
+        return rule;
+    }
+
+    /**
+     * Remove a steering rule.
+     * @param {string} name
+     * @returns {boolean} Whether a rule was removed.
+     */
+    unregister(name) {
+        if (!this._rules.delete(name)) return false;
+        this._changed();
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {SteeringRule|null}
+     */
+    get(name) {
+        return this._rules.get(name) ?? null;
+    }
+
+    /**
+     * The registered rules in registration order. The array is replaced, not
+     * mutated, when rules change.
+     * @returns {SteeringRule[]}
+     */
+    list() {
+        return this._list;
+    }
+
+    /**
+     * The rules registered beyond the built-in ones (see BUILT_IN_RULES),
+     * which a simulation worker cannot run.
+     * @returns {SteeringRule[]}
+     */
+    customRules() {
+        return this._list.filter((rule) => !BUILT_IN_RULES.some((builtIn) => builtIn.name === rule.name));
+    }
+
+    /**
+     * Call `listener(registry)` whenever a rule is registered or unregistered.
+     * @param {function(RuleRegistry):void} listener
+     * @returns {function():void} Call to unsubscribe.
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    _changed() {
+        this._list = [...this._rules.values()];
+        this.version++;
+        this._listeners.forEach((listener) => listener(this));
+    }
+}
+
+/**
+ * The registry simulations use unless given another: the built-in rules plus
+ * whatever the page registers.
+ * @type {RuleRegistry}
+ */
+const steeringRules = new RuleRegistry(BUILT_IN_RULES);
+
+export { BUILT_IN_RULES, RuleRegistry, createRule, createRuleWeights, steeringRules };
@@ -0,0 +1,1307 @@
+import { Boid, DEFAULT_SETTINGS, VARIATION } from "./boid.js";
+import { BOUNDARY_MODES, boundaryForce, constrainToBounds } from "./boundaries.js";
+import { FLOW_FIELD_TYPES, flowAt } from "./flow-fields.js";
+import { obstacleDistance } from "./obstacles.js";
+import { PREDATOR_STRATEGIES } from "./predator.js";
+import { INTERACTION_CODES, SPECIES_INTERACTIONS } from "./species.js";
+import { wrapDelta } from "./utils.js";
+import { Vector2D } from "./vector.js";
+import { WORLD } from "./world.js";
+
+/**
+ * Constants that influence the math of the three boids rules.
+ * @enum {number}
+ */
+const BOIDS_RULES = {
+    COHESION_FACTOR: 500,
+    SEPARATION_DISTANCE: 5,
+    ALIGNMENT_FACTOR: 90
+};
+
+/**
+ * How the boids rules turn what a boid sees into a change of velocity.
+ * - pseudocode: the classic boids pseudocode; each rule nudges the velocity
+ *   directly by a fraction of the offset it measures
+ * - steering: Reynolds' steering behaviors; each rule asks for a desired
+ *   velocity at full speed and steers by desired minus current velocity,
+ *   capped at maxForce, and the summed rule force accelerates the boid by
+ *   force / mass
+ * @enum {string}
+ */
+const RULE_MODELS = {
+    PSEUDOCODE: "pseudocode",
+    STEERING: "steering",
+};
+
+/**
+ * Which boids count as a boid's neighbors (its flockmates; boids of avoided
+ * species are always kept away from across the whole range).
+ * - metric: every flockmate within range and inside the field of view
+ * - topological: the `topologicalCount` nearest flockmates inside the field
+ *   of view, however far away, as starlings interact with a fixed number of
+ *   neighbors (about seven) regardless of distance
+ * - hybrid: the `topologicalCount` nearest flockmates within range and
+ *   inside the field of view
+ * @enum {string}
+ */
+const NEIGHBORHOOD_MODES = {
+    METRIC: "metric",
+    TOPOLOGICAL: "topological",
+    HYBRID: "hybrid",
+};
+
+/**
+ * Default number of neighbors in the topological and hybrid neighborhoods.
+ * @const {number}
+ */
+const TOPOLOGICAL_COUNT = 7;
+
+/**
+ * Defaults of the steering model: the cap on each rule's steering force per
+ * 60 Hz frame, the boids' mass, and the distance within which separation
+ * steers away from a neighbor (the pseudocode's SEPARATION_DISTANCE only
+ * keeps boids from touching).
+ * @enum {number}
+ */
+const STEERING_RULES = {
+    MAX_FORCE: 0.05,
+    MASS: 1,
+    SEPARATION_DISTANCE: 25,
+};
+
+/**
+ * Tuning of obstacle avoidance. A boid probes PROBES evenly spaced points
+ * along its velocity, up to LOOK_AHEAD pixels ahead (never beyond its range),
+ * and steers sideways once a probe comes within CLEARANCE pixels of an
+ * obstacle. The push peaks at FORCE × maxSpeed for the nearest probe.
+ * @enum {number}
+ */
+const OBSTACLE_AVOIDANCE = {
+    LOOK_AHEAD: 80,
+    PROBES: 4,
+    CLEARANCE: 12,
+    FORCE: 0.5,
+};
+
+/**
+ * Tuning of predators and the flee rule. A predator closes TURN of the gap
+ * between its velocity and full speed towards its target per 60 Hz frame. A
+ * boid with a predator at the edge of its range flees with no force, rising
+ * to FLEE_FORCE × maxSpeed (times its flee coefficient) at point blank.
+ * @enum {number}
+ */
+const PREDATOR_RULES = {
+    TURN: 0.08,
+    FLEE_FORCE: 0.6,
+};
+
+/**
+ * Tuning of attractors: an attractor of strength 1 pulls a boid at its point
+ * with FORCE × the boid's max speed per 60 Hz frame, fading linearly to
+ * nothing at its falloff radius.
+ * @enum {number}
+ */
+const ATTRACTOR_RULES = {
+    FORCE: 0.25,
+};
+
+/**
+ * Tuning of flow fields: a field of strength 1 pushes a boid with FORCE
+ * pixels per 60 Hz frame per unit of flow, whatever the boid's own speed, so
+ * slow boids drift further than fast ones.
+ * @enum {number}
+ */
+const FLOW_RULES = {
+    FORCE: 0.04,
+};
+
+/**
+ * Tuning of foraging. DRAIN is the default of the `energyDrain` parameter,
+ * the energy a boid uses per second. Boids below HUNGER energy seek the
+ * nearest food patch with food left within SENSE_RANGE pixels, harder the
+ * hungrier they are: at empty the pull is FORCE × maxSpeed per 60 Hz frame
+ * (pseudocode model). On a patch a boid eats EAT_RATE energy per second
+ * until full, and every unit of energy takes FOOD_PER_ENERGY food out of
+ * the patch.
+ * @enum {number}
+ */
+const FORAGING_RULES = {
+    DRAIN: 0.02,
+    HUNGER: 0.6,
+    SENSE_RANGE: 300,
+    FORCE: 0.1,
+    EAT_RATE: 0.25,
+    FOOD_PER_ENERGY: 20,
+};
+
+/**
+ * Tuning of species interactions: a boid steers away from the boids of
+ * species it avoids with up to AVOID_FORCE × its max speed (times its
+ * separation coefficient) per 60 Hz frame, when they are all close by and
+ * on the same side.
+ * @enum {number}
+ */
+const SPECIES_RULES = {
+    AVOID_FORCE: 0.1,
+};
+
+// Interaction codes looked up per neighbor candidate
+const IGNORE = INTERACTION_CODES[SPECIES_INTERACTIONS.IGNORE];
+const AVOID = INTERACTION_CODES[SPECIES_INTERACTIONS.AVOID];
+
+/**
+ * Scaled time delta of one 60 Hz frame. The rules were tuned as per-frame
+ * velocity nudges at this rate; updates with other deltas scale the nudges
+ * proportionally so behavior depends on simulated time, not on update count.
+ * @const {number}
+ */
+const RULE_REFERENCE_DELTA_T = (1000 / 60) * WORLD.TIME_SCALE;
+
+/**
+ * NeighborList
+ *
+ * Reusable list of the neighbors found for one boid: their slots, offsets
+ * from the boid (wrapped in a toroidal world) and distances, in flock order.
+ * Only flockmates are listed; boids of species the boid avoids are summed
+ * into `avoidX`/`avoidY` instead (unit vectors away from each, weighted by
+ * proximity), `avoidCount` of them. One list is shared by every update of a
+ * step.
+ */
+class NeighborList {
+    /**
+     * @param {number} [capacity=64]
+     */
+    constructor(capacity = 64) {
+        this.count = 0;
+        this.avoidX = 0;
+        this.avoidY = 0;
+        this.avoidCount = 0;
+        this._allocate(capacity);
+    }
+
+    /**
+     * Make room for up to `capacity` neighbors (a boid can see the whole flock).
+     * @param {number} capacity
+     */
+    ensureCapacity(capacity) {
+        if (this.indices.length < capacity) {
+            this._allocate(capacity);
+        }
+    }
+
+    /**
+     * Drop all but the `k` nearest neighbors, keeping the survivors in flock
+     * order. Equally distant neighbors are kept in flock order too, so the
+     * result depends only on which boids were listed, not on their order.
+     * @param {number} k
+     */
+    keepNearest(k) {
+        if (this.count <= k) return;
+
+        // Partial selection sort: move the k nearest to the front...
+        for (let m = 0; m < k; m++) {
+            let nearest = m;
+            for (let n = m + 1; n < this.count; n++) {
+                if (this.distances[n] < this.distances[nearest]
+                    || (this.distances[n] === this.distances[nearest] && this.indices[n] < this.indices[nearest])) {
+                    nearest = n;
+                }
+            }
+            this._swap(m, nearest);
+        }
+        this.count = k;
+
+        // ...then restore flock order among them
+        for (let m = 1; m < k; m++) {
+            for (let n = m; n > 0 && this.indices[n] < this.indices[n - 1]; n--) {
+                this._swap(n, n - 1);
+            }
+        }
+    }
+
+    /**
+     * @param {number} a
+     * @param {number} b
+     * @private
+     */
+    _swap(a, b) {
+        if (a === b) return;
+        const { indices, offsetX, offsetY, distances } = this;
+        const index = indices[a];
+        const x = offsetX[a];
+        const y = offsetY[a];
+        const distance = distances[a];
+        indices[a] = indices[b];
+        offsetX[a] = offsetX[b];
+        offsetY[a] = offsetY[b];
+        distances[a] = distances[b];
+        indices[b] = index;
+        offsetX[b] = x;
+        offsetY[b] = y;
+        distances[b] = distance;
+    }
+
+    /**
+     * @param {number} capacity
+     * @private
+     */
+    _allocate(capacity) {
+        this.indices = new Int32Array(capacity);
+        this.offsetX = new Float64Array(capacity);
+        this.offsetY = new Float64Array(capacity);
+        this.distances = new Float64Array(capacity);
+    }
+}
+
+/**
+ * FieldOfView
+ *
+ * The field of view of one boid held as unit vectors along its left and
+ * right edges, so testing an offset takes two cross products instead of the
+ * `Math.atan2` isInFieldOfView spends on it. Both agree on which offsets
+ * are seen (the view is open at its edges, and each side is capped at half
+ * a turn as the normalized angle is); a zero offset has no direction and is
+ * left to isInFieldOfView. One instance is aimed at each boid in turn.
+ */
+class FieldOfView {
+    constructor() {
+        this.store = null;
+        this.index = 0;
+        this.heading = 0;
+        this.leftX = 1;
+        this.leftY = 0;
+        this.rightX = 1;
+        this.rightY = 0;
+        this.width = 0;
+    }
+
+    /**
+     * Take the heading and field of view of boid `i`.
+     * @param {import("./flock-store.js").FlockStore} store
+     * @param {number} i
+     */
+    aim(store, i) {
+        const left = Math.max(-Math.PI, Math.min(Math.PI, store.leftSideFOV[i]));
+        const right = Math.max(-Math.PI, Math.min(Math.PI, store.rightSideFOV[i]));
+        this.store = store;
+        this.index = i;
+        this.heading = Math.atan2(store.vy[i], store.vx[i]);
+        this.leftX = Math.cos(this.heading - left);
+        this.leftY = Math.sin(this.heading - left);
+        this.rightX = Math.cos(this.heading + right);
+        this.rightY = Math.sin(this.heading + right);
+        this.width = left + right;
+    }
+
+    /**
+     * Whether the offset (deltaX, deltaY) from the boid lies inside its field of view.
+     * @param {number} deltaX
+     * @param {number} deltaY
+     * @returns {boolean}
+     */
+    contains(deltaX, deltaY) {
+        if (deltaX === 0 && deltaY === 0) {
+            return isInFieldOfView(this.store, this.index, this.heading, deltaX, deltaY);
+        }
+        // Positive when the offset is counterclockwise of the left edge, clockwise of the right one
+        const fromLeft = this.leftX * deltaY - this.leftY * deltaX;
+        const toRight = deltaX * this.rightY - deltaY * this.rightX;
+        if (this.width <= 0) return false;
+        if (this.width <= Math.PI) return fromLeft > 0 && toRight > 0;
+        if (this.width < 2 * Math.PI) return fromLeft > 0 || toRight > 0;
+        // A full turn: everything but straight behind, where both edges point
+        return fromLeft !== 0 || this.leftX * deltaX + this.leftY * deltaY < 0;
+    }
+}
+
+/**
+ * StepContext
+ *
+ * Per-update inputs shared by every boid of a pass. The simulation keeps one
+ * instance and refreshes it before each pass, so updates allocate nothing.
+ * @typedef {Object} StepContext
+ * @property {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number, TIME_SCALE:number}} world
+ * @property {string} boundary - One of BOUNDARY_MODES.
+ * @property {number} deltaT - Scaled time delta of this update.
+ * @property {number} time - Simulation clock in seconds, drives the variation waves.
+ * @property {import("./spatial-grid.js").SpatialGrid|null} grid - Grid for
+ *   neighbor queries; null scans the whole flock.
+ * @property {NeighborList} neighbors - Receives the updated boid's neighbors.
+ * @property {string} neighborhood - One of NEIGHBORHOOD_MODES.
+ * @property {number} topologicalCount - Neighbors kept in the topological and hybrid neighborhoods.
+ * @property {boolean} occlusion - Whether nearer boids and obstacles hide
+ *   the boids behind them from view.
+ * @property {number} bodyRadius - Radius of the disc a boid blocks the view with.
+ * @property {import("./occlusion.js").OccluderList} occluders - Receives the
+ *   bodies around the updated boid when `occlusion` is on.
+ * @property {import("./obstacles.js").Obstacle[]} obstacles - Static obstacles to steer around.
+ * @property {import("./flock-store.js").FlockStore} predators - Predators boids flee from.
+ * @property {import("./attractors.js").Attractor[]} attractors - Points boids are pulled to or pushed from.
+ * @property {import("./flow-fields.js").FlowField} flowField - Wind or current pushing every boid.
+ * @property {import("./food.js").FoodPatch[]} food - Food patches boids eat from; eating lowers their `amount`.
+ * @property {number} energyDrain - Energy a boid uses per second.
+ * @property {Uint8Array} interactions - How each species treats each other
+ *   (see interactionTable in species.js).
+ * @property {number} speciesCount - Number of species, the side of `interactions`.
+ * @property {string} model - One of RULE_MODELS.
+ * @property {number} maxForce - Cap on each rule's steering force in the steering model.
+ * @property {number} mass - Boid mass in the steering model.
+ * @property {import("./rule-registry.js").SteeringRule[]} rules - Steering rules
+ *   applied to every boid, in order.
+ * @property {Float64Array} ruleWeights - Weight of each of `rules`.
+ * @property {Float64Array} ruleForces - Receives the applied vector of each of
+ *   `rules` for the last boid updated, as x, y pairs.
+ */
+
+// Scratch vectors the rules write into, so an update allocates nothing
+const ruleForce = new Vector2D(0, 0);
+const boundForce = new Vector2D(0, 0);
+const avoidForce = new Vector2D(0, 0);
+const fleeForce = new Vector2D(0, 0);
+const chaseForce = new Vector2D(0, 0);
+const attractForce = new Vector2D(0, 0);
+const flowForce = new Vector2D(0, 0);
+const foodOffset = new Vector2D(0, 0);
+const closestPoint = new Vector2D(0, 0);
+
+// Field of view of the boid whose neighbors are being collected
+const fieldOfView = new FieldOfView();
+
+/**
+ * Collect the neighbors of boid `i` inside its field of view, as flockmates
+ * or boids to avoid depending on the species interactions (boids of ignored
+ * species are skipped). With `context.occlusion` on, boids hidden behind a
+ * nearer boid or an obstacle are not seen either. Which flockmates count follows `context.neighborhood`
+ * (see NEIGHBORHOOD_MODES); boids to avoid are those within range. When a
+ * spatial grid is given only the boids in nearby cells are tested;
+ * candidates come back in flock order, so the list is identical to the
+ * brute-force scan. In wrap mode offsets and distances are measured across
+ * the world edges.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context - `context.neighbors` is filled in place.
+ */
+function findNeighbors(store, i, context) {
+    const { grid, neighbors, neighborhood, topologicalCount } = context;
+    const range = store.range[i];
+
+    if (neighborhood === NEIGHBORHOOD_MODES.METRIC) {
+        collectNeighbors(store, i, context, range);
+        return;
+    }
+
+    // Topological and hybrid: search a small disc first and widen the search
+    // until it holds enough flockmates. Every flockmate within the
+    // radius searched is listed, so the k nearest of them are the k nearest
+    // overall (within range for hybrid). Boids of avoided species count
+    // across the whole range, so a boid that avoids any starts from its
+    // range. Past the world's diagonal the grid cannot narrow the search
+    // anymore and the whole flock is scanned.
+    const hybrid = neighborhood === NEIGHBORHOOD_MODES.HYBRID;
+    const limit = hybrid ? range : Math.hypot(context.world.CANVAS_WIDTH, context.world.CANVAS_HEIGHT);
+    let radius = hybrid ? range : Infinity;
+    if (grid) {
+        // Wide enough to hold about twice the flockmates needed were the boid's cell evenly crowded
+        const crowding = Math.max(1, grid.cellCount(store.x[i], store.y[i]));
+        const start = grid.cellSize * Math.sqrt((2 * topologicalCount) / (Math.PI * crowding));
+        radius = avoidsAnySpecies(store, i, context) ? range : Math.min(range, start);
+    }
+    collectNeighbors(store, i, context, radius);
+    while (neighbors.count < topologicalCount && radius < (hybrid ? limit : Infinity)) {
+        if (hybrid) {
+            radius = Math.min(radius * 2, limit);
+        } else {
+            radius = radius * 2 < limit ? radius * 2 : Infinity;
+        }
+        collectNeighbors(store, i, context, radius);
+    }
+    neighbors.keepNearest(topologicalCount);
+}
+
+/**
+ * Whether boid `i` avoids the boids of any species (see INTERACTION_CODES).
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @returns {boolean}
+ */
+function avoidsAnySpecies(store, i, context) {
+    const row = store.species[i] * context.speciesCount;
+    for (let k = 0; k < context.speciesCount; k++) {
+        if (context.interactions[row + k] === AVOID) return true;
+    }
+    return false;
+}
+
+/**
+ * Fill `context.neighbors` with the flockmates of boid `i` within `radius`
+ * and the boids to avoid within its range, inside its field of view and,
+ * with occlusion on, in sight. Every boid within `radius`, whatever its
+ * species, can block the view.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {number} radius - Search radius for flockmates, at least the boid's
+ *   range; Infinity scans the whole flock.
+ */
+function collectNeighbors(store, i, context, radius) {
+    const { grid, neighbors, interactions } = context;
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    const width = wrap ? context.world.CANVAS_WIDTH : 0;
+    const height = wrap ? context.world.CANVAS_HEIGHT : 0;
+    const row = store.species[i] * context.speciesCount;
+    const occluders = context.occlusion ? context.occluders : null;
+    neighbors.count = 0;
+    neighbors.avoidX = 0;
+    neighbors.avoidY = 0;
+    neighbors.avoidCount = 0;
+    occluders?.reset(store.x[i], store.y[i], context.obstacles, width, height);
+    fieldOfView.aim(store, i);
+
+    if (grid && radius < Infinity) {
+        const count = grid.query(store.x[i], store.y[i], radius, wrap);
+        const candidates = grid.queryBuffer;
+        if (occluders) {
+            for (let k = 0; k < count; k++) {
+                addOccluder(store, i, candidates[k], width, height, radius, context.bodyRadius, occluders);
+            }
+        }
+        for (let k = 0; k < count; k++) {
+            const j = candidates[k];
+            considerNeighbor(store, i, j, fieldOfView, width, height, radius, interactions[row + store.species[j]], occluders, neighbors);
+        }
+    } else {
+        if (occluders) {
+            for (let j = 0; j < store.count; j++) {
+                addOccluder(store, i, j, width, height, radius, context.bodyRadius, occluders);
+            }
+        }
+        for (let j = 0; j < store.count; j++) {
+            considerNeighbor(store, i, j, fieldOfView, width, height, radius, interactions[row + store.species[j]], occluders, neighbors);
+        }
+    }
+}
+
+/**
+ * Add boid `j` to the bodies that may hide others from boid `i` if it is
+ * within `radius`.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {number} j
+ * @param {number} width - World width to wrap offsets by, or 0 not to wrap.
+ * @param {number} height - World height to wrap offsets by, or 0 not to wrap.
+ * @param {number} radius - Search radius; farther boids hide nothing listed.
+ * @param {number} bodyRadius
+ * @param {import("./occlusion.js").OccluderList} occluders
+ */
+function addOccluder(store, i, j, width, height, radius, bodyRadius, occluders) {
+    if (j === i) return;
+
+    let deltaX = store.x[j] - store.x[i];
+    let deltaY = store.y[j] - store.y[i];
+    if (width > 0) {
+        deltaX = wrapDelta(deltaX, width);
+        deltaY = wrapDelta(deltaY, height);
+    }
+    const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+    if (distance <= radius) {
+        occluders.add(j, deltaX, deltaY, distance, bodyRadius);
+    }
+}
+
+/**
+ * Append boid `j` to the neighbors of boid `i` if it is a flockmate within
+ * `radius` (or, for a boid to avoid, add it to the avoidance sum if it is
+ * within range), inside its field of view and not hidden by `occluders`.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {number} j
+ * @param {FieldOfView} fieldOfView - Boid `i`'s field of view.
+ * @param {number} width - World width to wrap offsets by, or 0 not to wrap.
+ * @param {number} height - World height to wrap offsets by, or 0 not to wrap.
+ * @param {number} radius - Search radius for flockmates.
+ * @param {number} interaction - Code of how `i`'s species treats `j`'s (see INTERACTION_CODES).
+ * @param {import("./occlusion.js").OccluderList|null} occluders - Bodies
+ *   blocking the view, or null to see through them.
+ * @param {NeighborList} neighbors
+ */
+function considerNeighbor(store, i, j, fieldOfView, width, height, radius, interaction, occluders, neighbors) {
+    if (j === i || interaction === IGNORE) return;
+
+    let deltaX = store.x[j] - store.x[i];
+    let deltaY = store.y[j] - store.y[i];
+    if (width > 0) {
+        deltaX = wrapDelta(deltaX, width);
+        deltaY = wrapDelta(deltaY, height);
+    }
+    const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+    if (distance > (interaction === AVOID ? store.range[i] : radius)
+        || !fieldOfView.contains(deltaX, deltaY)
+        || (occluders !== null && occluders.hides(j, deltaX, deltaY, distance))) return;
+
+    if (interaction === AVOID) {
+        if (distance > 0) {
+            const proximity = (store.range[i] - distance) / store.range[i];
+            neighbors.avoidX -= (deltaX / distance) * proximity;
+            neighbors.avoidY -= (deltaY / distance) * proximity;
+            neighbors.avoidCount++;
+        }
+    } else {
+        const k = neighbors.count++;
+        neighbors.indices[k] = j;
+        neighbors.offsetX[k] = deltaX;
+        neighbors.offsetY[k] = deltaY;
+        neighbors.distances[k] = distance;
+    }
+}
+
+/**
+ * Whether the offset (deltaX, deltaY) from boid `i` lies inside its field of
+ * view around `heading`.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {number} heading - Angle of boid `i`'s velocity.
+ * @param {number} deltaX
+ * @param {number} deltaY
+ * @returns {boolean}
+ */
+function isInFieldOfView(store, i, heading, deltaX, deltaY) {
+    // Angle to the target relative to the heading, normalized to (-π, π]
+    let angle = Math.atan2(deltaY, deltaX) - heading;
+    if (angle > Math.PI) {
+        angle -= 2 * Math.PI;
+    } else if (angle <= -Math.PI) {
+        angle += 2 * Math.PI;
+    }
+    return angle > -store.leftSideFOV[i] && angle < store.rightSideFOV[i];
+}
+
+/**
+ * Rule 1 (cohesion): fly towards the centre of mass of the neighbors.
+ * Unweighted: updateBoid applies the boid's cohesion coefficient.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context - `context.neighbors` holds the boid's neighbors.
+ * @param {Vector2D} out - Receives the steering vector.
+ */
+function cohesionRule(store, i, context, out) {
+    const { neighbors } = context;
+    out.x = 0;
+    out.y = 0;
+    if (neighbors.count === 0) return;
+
+    // Center of mass relative to this boid
+    let centerX = 0;
+    let centerY = 0;
+    for (let k = 0; k < neighbors.count; k++) {
+        centerX += neighbors.offsetX[k];
+        centerY += neighbors.offsetY[k];
+    }
+    centerX /= neighbors.count;
+    centerY /= neighbors.count;
+
+    // Move a fraction of the way towards the center (as per pseudocode)
+    out.x = centerX / BOIDS_RULES.COHESION_FACTOR;
+    out.y = centerY / BOIDS_RULES.COHESION_FACTOR;
+}
+
+/**
+ * Rule 2 (separation): keep a small distance away from other boids. The
+ * repulsion is scaled by proximity so closer neighbors push harder. Boids of
+ * species this one avoids (see NeighborList) push it away across its whole
+ * range, averaged over them. Unweighted: updateBoid applies the boid's
+ * separation coefficient.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context - `context.neighbors` holds the boid's neighbors.
+ * @param {Vector2D} out - Receives the steering vector.
+ */
+function separationRule(store, i, context, out) {
+    const { neighbors } = context;
+    out.x = 0;
+    out.y = 0;
+
+    for (let k = 0; k < neighbors.count; k++) {
+        const distance = neighbors.distances[k];
+        if (distance >= BOIDS_RULES.SEPARATION_DISTANCE || distance <= 0) continue;
+
+        const repulsionStrength = (BOIDS_RULES.SEPARATION_DISTANCE - distance) / BOIDS_RULES.SEPARATION_DISTANCE;
+        out.x -= neighbors.offsetX[k] * repulsionStrength;
+        out.y -= neighbors.offsetY[k] * repulsionStrength;
+    }
+    if (neighbors.avoidCount > 0) {
+        const scale = (store.maxSpeed[i] * SPECIES_RULES.AVOID_FORCE) / neighbors.avoidCount;
+        out.x += neighbors.avoidX * scale;
+        out.y += neighbors.avoidY * scale;
+    }
+}
+
+/**
+ * Rule 3 (alignment): steer a fraction of the way towards the neighbors'
+ * average velocity. Unweighted: updateBoid applies the boid's alignment
+ * coefficient.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context - `context.neighbors` holds the boid's neighbors.
+ * @param {Vector2D} out - Receives the steering vector.
+ */
+function alignmentRule(store, i, context, out) {
+    const { neighbors } = context;
+    out.x = 0;
+    out.y = 0;
+    if (neighbors.count === 0) return;
+
+    let averageX = 0;
+    let averageY = 0;
+    for (let k = 0; k < neighbors.count; k++) {
+        const j = neighbors.indices[k];
+        averageX += store.vx[j];
+        averageY += store.vy[j];
+    }
+    averageX /= neighbors.count;
+    averageY /= neighbors.count;
+
+    out.x = (averageX - store.vx[i]) / BOIDS_RULES.ALIGNMENT_FACTOR;
+    out.y = (averageY - store.vy[i]) / BOIDS_RULES.ALIGNMENT_FACTOR;
+}
+
+/**
+ * Steer boid `i` towards a desired direction at full speed: the desired
+ * velocity minus the current one, truncated to `context.maxForce`. A zero
+ * direction steers nothing.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {number} directionX
+ * @param {number} directionY
+ * @param {Vector2D} out - Receives the steering force.
+ */
+function steerTowards(store, i, context, directionX, directionY, out) {
+    out.x = 0;
+    out.y = 0;
+    const length = Math.sqrt(directionX * directionX + directionY * directionY);
+    if (length === 0) return;
+
+    const maxSpeed = store.maxSpeed[i];
+    out.x = (directionX / length) * maxSpeed - store.vx[i];
+    out.y = (directionY / length) * maxSpeed - store.vy[i];
+    const force = Math.sqrt(out.x * out.x + out.y * out.y);
+    if (force > context.maxForce) {
+        out.x *= context.maxForce / force;
+        out.y *= context.maxForce / force;
+    }
+}
+
+/**
+ * Cohesion in the steering model: steer towards the neighbors' centre of
+ * mass at full speed.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering force.
+ */
+function cohesionSteering(store, i, context, out) {
+    const { neighbors } = context;
+    let centerX = 0;
+    let centerY = 0;
+    for (let k = 0; k < neighbors.count; k++) {
+        centerX += neighbors.offsetX[k];
+        centerY += neighbors.offsetY[k];
+    }
+    steerTowards(store, i, context, centerX, centerY, out);
+}
+
+/**
+ * Separation in the steering model: steer away from the neighbors within
+ * STEERING_RULES.SEPARATION_DISTANCE, each weighted by the inverse of its
+ * distance, and from the boids of species this one avoids.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering force.
+ */
+function separationSteering(store, i, context, out) {
+    const { neighbors } = context;
+    let awayX = neighbors.avoidX;
+    let awayY = neighbors.avoidY;
+    for (let k = 0; k < neighbors.count; k++) {
+        const distance = neighbors.distances[k];
+        if (distance >= STEERING_RULES.SEPARATION_DISTANCE || distance <= 0) continue;
+
+        awayX -= neighbors.offsetX[k] / (distance * distance);
+        awayY -= neighbors.offsetY[k] / (distance * distance);
+    }
+    steerTowards(store, i, context, awayX, awayY, out);
+}
+
+/**
+ * Alignment in the steering model: steer towards the neighbors' average
+ * heading at full speed.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering force.
+ */
+function alignmentSteering(store, i, context, out) {
+    const { neighbors } = context;
+    let headingX = 0;
+    let headingY = 0;
+    for (let k = 0; k < neighbors.count; k++) {
+        const j = neighbors.indices[k];
+        headingX += store.vx[j];
+        headingY += store.vy[j];
+    }
+    steerTowards(store, i, context, headingX, headingY, out);
+}
+
+/**
+ * How hungry a boid is: 0 at or above FORAGING_RULES.HUNGER energy, rising
+ * to 1 when it is out of energy.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @returns {number}
+ */
+function hungerOf(store, i) {
+    return Math.max(0, (FORAGING_RULES.HUNGER - store.energy[i]) / FORAGING_RULES.HUNGER);
+}
+
+/**
+ * Find the nearest food patch with food left within sensing range of boid
+ * `i` and write the offset to its center into `out`.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the offset; left at zero when no patch is found.
+ * @returns {boolean} Whether a patch was found.
+ */
+function nearestFood(store, i, context, out) {
+    const { food } = context;
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    let nearest = FORAGING_RULES.SENSE_RANGE;
+    out.x = 0;
+    out.y = 0;
+    for (let k = 0; k < food.length; k++) {
+        const patch = food[k];
+        if (patch.amount <= 0) continue;
+        let deltaX = patch.x - store.x[i];
+        let deltaY = patch.y - store.y[i];
+        if (wrap) {
+            deltaX = wrapDelta(deltaX, context.world.CANVAS_WIDTH);
+            deltaY = wrapDelta(deltaY, context.world.CANVAS_HEIGHT);
+        }
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        if (distance < nearest) {
+            nearest = distance;
+            out.x = deltaX;
+            out.y = deltaY;
+        }
+    }
+    return nearest < FORAGING_RULES.SENSE_RANGE;
+}
+
+/**
+ * Seek food: a hungry boid heads for the nearest food patch with food left,
+ * harder the hungrier it is, competing with the flocking rules. Unweighted:
+ * updateBoid applies the rule's weight.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering vector.
+ */
+function foragingRule(store, i, context, out) {
+    out.x = 0;
+    out.y = 0;
+    const hunger = hungerOf(store, i);
+    if (hunger === 0 || !nearestFood(store, i, context, foodOffset)) return;
+
+    const distance = Math.sqrt(foodOffset.x * foodOffset.x + foodOffset.y * foodOffset.y);
+    if (distance === 0) return;
+    const pull = hunger * store.maxSpeed[i] * FORAGING_RULES.FORCE;
+    out.x = (foodOffset.x / distance) * pull;
+    out.y = (foodOffset.y / distance) * pull;
+}
+
+/**
+ * Seek food (steering model): steer towards the nearest food patch with
+ * food left, scaled by hunger.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering force.
+ */
+function foragingSteering(store, i, context, out) {
+    out.x = 0;
+    out.y = 0;
+    const hunger = hungerOf(store, i);
+    if (hunger === 0 || !nearestFood(store, i, context, foodOffset)) return;
+
+    steerTowards(store, i, context, foodOffset.x, foodOffset.y, out);
+    out.x *= hunger;
+    out.y *= hunger;
+}
+
+/**
+ * Drain boid `i`'s energy over this update, then let it eat from the first
+ * food patch it is on until full or the patch is empty.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context - Eating lowers the patch's `amount` in place.
+ */
+function eat(store, i, context) {
+    const { food } = context;
+    const seconds = context.deltaT / (1000 * context.world.TIME_SCALE);
+    let energy = Math.max(0, store.energy[i] - context.energyDrain * seconds);
+
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    for (let k = 0; k < food.length && energy < 1; k++) {
+        const patch = food[k];
+        if (patch.amount <= 0) continue;
+        let deltaX = patch.x - store.x[i];
+        let deltaY = patch.y - store.y[i];
+        if (wrap) {
+            deltaX = wrapDelta(deltaX, context.world.CANVAS_WIDTH);
+            deltaY = wrapDelta(deltaY, context.world.CANVAS_HEIGHT);
+        }
+        if (deltaX * deltaX + deltaY * deltaY > patch.radius * patch.radius) continue;
+
+        const eaten = Math.min(FORAGING_RULES.EAT_RATE * seconds, 1 - energy, patch.amount / FORAGING_RULES.FOOD_PER_ENERGY);
+        patch.amount = Math.max(0, patch.amount - eaten * FORAGING_RULES.FOOD_PER_ENERGY);
+        energy += eaten;
+        break;
+    }
+    store.energy[i] = energy;
+}
+
+/**
+ * Flee: steer straight away from every predator within range, harder the
+ * closer it is. Unlike the flocking rules this ignores the field of view, so
+ * a predator closing in from behind still scatters the flock.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering vector.
+ */
+function fleeRule(store, i, context, out) {
+    out.x = 0;
+    out.y = 0;
+
+    const { predators } = context;
+    const coefficient = store.fleeCoefficient[i];
+    if (coefficient <= 0 || predators.count === 0) return;
+
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    const range = store.range[i];
+    for (let p = 0; p < predators.count; p++) {
+        let deltaX = store.x[i] - predators.x[p];
+        let deltaY = store.y[i] - predators.y[p];
+        if (wrap) {
+            deltaX = wrapDelta(deltaX, context.world.CANVAS_WIDTH);
+            deltaY = wrapDelta(deltaY, context.world.CANVAS_HEIGHT);
+        }
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        if (distance >= range || distance === 0) continue;
+
+        const strength = (range - distance) / range;
+        out.x += (deltaX / distance) * strength;
+        out.y += (deltaY / distance) * strength;
+    }
+
+    const scale = store.maxSpeed[i] * PREDATOR_RULES.FLEE_FORCE * coefficient;
+    out.x *= scale;
+    out.y *= scale;
+}
+
+/**
+ * Attraction: steer towards every attractor within its falloff radius, or
+ * away from it for negative strengths, with a pull that fades linearly from
+ * the point to the edge of the radius.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering vector.
+ */
+function attractionRule(store, i, context, out) {
+    out.x = 0;
+    out.y = 0;
+
+    const { attractors } = context;
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    for (let k = 0; k < attractors.length; k++) {
+        const attractor = attractors[k];
+        let deltaX = attractor.x - store.x[i];
+        let deltaY = attractor.y - store.y[i];
+        if (wrap) {
+            deltaX = wrapDelta(deltaX, context.world.CANVAS_WIDTH);
+            deltaY = wrapDelta(deltaY, context.world.CANVAS_HEIGHT);
+        }
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        if (distance >= attractor.radius || distance === 0) continue;
+
+        const pull = attractor.strength * (1 - distance / attractor.radius);
+        out.x += (deltaX / distance) * pull;
+        out.y += (deltaY / distance) * pull;
+    }
+
+    const scale = store.maxSpeed[i] * ATTRACTOR_RULES.FORCE;
+    out.x *= scale;
+    out.y *= scale;
+}
+
+/**
+ * Flow: the push of the flow field (wind, vortex or noise currents)
+ * at the boid's position.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the push.
+ */
+function flowRule(store, i, context, out) {
+    const { flowField } = context;
+    if (flowField.type === FLOW_FIELD_TYPES.NONE) {
+        out.x = 0;
+        out.y = 0;
+        return;
+    }
+
+    flowAt(flowField, store.x[i], store.y[i], context.time, context.world, out);
+    const scale = flowField.strength * FLOW_RULES.FORCE;
+    out.x *= scale;
+    out.y *= scale;
+}
+
+/**
+ * Obstacle avoidance: look ahead along the velocity and steer sideways, away
+ * from the first obstacle a probe comes close to. Only obstacles whose near
+ * side is inside the field of view are avoided, and nearer threats push
+ * harder. In wrap mode obstacles are looked up across the world edges.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the steering vector.
+ */
+function avoidanceRule(store, i, context, out) {
+    out.x = 0;
+    out.y = 0;
+
+    const { obstacles } = context;
+    const vx = store.vx[i];
+    const vy = store.vy[i];
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    if (obstacles.length === 0 || speed === 0) return;
+
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    const directionX = vx / speed;
+    const directionY = vy / speed;
+    const heading = Math.atan2(vy, vx);
+    const lookAhead = Math.min(store.range[i], OBSTACLE_AVOIDANCE.LOOK_AHEAD);
+    const maxForce = store.maxSpeed[i] * OBSTACLE_AVOIDANCE.FORCE;
+
+    for (let k = 0; k < obstacles.length; k++) {
+        const obstacle = obstacles[k];
+        let x = store.x[i];
+        let y = store.y[i];
+        if (wrap) {
+            x = obstacle.x + wrapDelta(x - obstacle.x, context.world.CANVAS_WIDTH);
+            y = obstacle.y + wrapDelta(y - obstacle.y, context.world.CANVAS_HEIGHT);
+        }
+        const reach = obstacle.boundRadius + lookAhead + OBSTACLE_AVOIDANCE.CLEARANCE;
+        if ((obstacle.x - x) ** 2 + (obstacle.y - y) ** 2 > reach * reach) continue;
+
+        for (let p = 1; p <= OBSTACLE_AVOIDANCE.PROBES; p++) {
+            const ahead = (lookAhead * p) / OBSTACLE_AVOIDANCE.PROBES;
+            const probeX = x + directionX * ahead;
+            const probeY = y + directionY * ahead;
+            const distance = obstacleDistance(obstacle, probeX, probeY, closestPoint);
+            if (distance >= OBSTACLE_AVOIDANCE.CLEARANCE) continue;
+            if (!isInFieldOfView(store, i, heading, closestPoint.x - x, closestPoint.y - y)) break;
+
+            // Away from the obstacle, keeping only the part across the heading
+            const sign = distance < 0 ? -1 : 1;
+            let awayX = (probeX - closestPoint.x) * sign;
+            let awayY = (probeY - closestPoint.y) * sign;
+            const along = awayX * directionX + awayY * directionY;
+            awayX -= along * directionX;
+            awayY -= along * directionY;
+            let length = Math.sqrt(awayX * awayX + awayY * awayY);
+            if (length < 1e-6) {
+                // Head-on: turn left
+                awayX = directionY;
+                awayY = -directionX;
+                length = 1;
+            }
+
+            const urgency = (OBSTACLE_AVOIDANCE.PROBES - p + 1) / OBSTACLE_AVOIDANCE.PROBES;
+            out.x += (awayX / length) * maxForce * urgency;
+            out.y += (awayY / length) * maxForce * urgency;
+            break;
+        }
+    }
+}
+
+/**
+ * Push boid `i` back out of any obstacle it moved into, onto the nearest
+ * point of the outline, and drop the part of its velocity pointing inwards
+ * so it slides along the obstacle instead of pressing into it.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ */
+function resolveObstacles(store, i, context) {
+    const { obstacles } = context;
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    for (let k = 0; k < obstacles.length; k++) {
+        const obstacle = obstacles[k];
+        let x = store.x[i];
+        let y = store.y[i];
+        if (wrap) {
+            x = obstacle.x + wrapDelta(x - obstacle.x, context.world.CANVAS_WIDTH);
+            y = obstacle.y + wrapDelta(y - obstacle.y, context.world.CANVAS_HEIGHT);
+        }
+        if ((obstacle.x - x) ** 2 + (obstacle.y - y) ** 2 > obstacle.boundRadius ** 2) continue;
+
+        const distance = obstacleDistance(obstacle, x, y, closestPoint);
+        if (distance >= 0) continue;
+
+        // Outward normal: from the boid to the nearest outline point
+        const normalX = (closestPoint.x - x) / -distance;
+        const normalY = (closestPoint.y - y) / -distance;
+        store.x[i] += closestPoint.x + normalX * 0.5 - x;
+        store.y[i] += closestPoint.y + normalY * 0.5 - y;
+
+        const inward = store.vx[i] * normalX + store.vy[i] * normalY;
+        if (inward < 0) {
+            store.vx[i] -= inward * normalX;
+            store.vy[i] -= inward * normalY;
+        }
+    }
+}
+
+/**
+ * Integration update of boid `i`: find its neighbors, apply the registered
+ * steering rules (see rule-registry.js), fleeing, attractors, obstacle
+ * avoidance and boundary steering, then move it along its speed-limited
+ * velocity, keep it out of obstacles and apply the boundary mode.
+ *
+ * In the steering model (see RULE_MODELS) rules use their steering
+ * formulation where they have one, and their summed forces are divided by
+ * the boid's mass before they change its velocity; the other forces are
+ * applied as accelerations, whatever the mass.
+ *
+ * Each registered rule is weighted by its weight in `context.ruleWeights`,
+ * times the boid's own coefficient when the rule names one, and, when the
+ * variation waves are on and the rule has a phase, by its variation wave;
+ * a rule whose weight and coefficient come to 0 or less is skipped.
+ * The applied vectors are left in `context.ruleForces` and, for rules backed
+ * by steer columns, stored for renderers along with the neighbor count.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {StepContext} context
+ */
+function updateBoid(store, i, context) {
+    const { neighbors, deltaT, time, rules, ruleWeights, ruleForces } = context;
+    const steering = context.model === RULE_MODELS.STEERING;
+    findNeighbors(store, i, context);
+    store.neighborCount[i] = neighbors.count;
+    eat(store, i, context);
+
+    // Variation waves map each rule's multiplier to range [0,1], with
+    // different phase offsets per rule for richer, desynchronized motion
+    let wave = 0;
+    let amp = 0;
+    if (Boid.variationEnabled) {
+        const freq = Boid.variationFrequency || VARIATION.FREQUENCY;
+        amp = typeof Boid.variationAmplitude === 'number' ? Boid.variationAmplitude : VARIATION.AMPLITUDE;
+        wave = 2 * Math.PI * freq * time + store.variationPhase[i];
+    }
+
+    let steerX = 0;
+    let steerY = 0;
+    for (let r = 0; r < rules.length; r++) {
+        const rule = rules[r];
+        const coefficient = rule.coefficient ? store[rule.coefficient][i] : 1;
+
+        // A rule weighted 0 or less (e.g. a coefficient slider at 0) is not applied at all
+        let forceX = 0;
+        let forceY = 0;
+        if (ruleWeights[r] * coefficient > 0) {
+            (steering && rule.steering ? rule.steering : rule.rule)(store, i, context, ruleForce);
+            // Mix with amplitude so amp=1 => full 0..1 range, amp=0 => constant 1
+            const multiplier = amp > 0 && rule.variation !== null
+                ? (1 - amp) + amp * 0.5 * (rule.wave(wave + rule.variation) + 1)
+                : 1;
+            // Coefficient first, then the wave, as the rules have always been scaled
+            forceX = ruleForce.x * coefficient * multiplier * ruleWeights[r];
+            forceY = ruleForce.y * coefficient * multiplier * ruleWeights[r];
+        }
+
+        ruleForces[r * 2] = forceX;
+        ruleForces[r * 2 + 1] = forceY;
+        // Remember the applied (scaled) forces so renderers can visualize them
+        if (rule.steer) {
+            store[rule.steerX][i] = forceX;
+            store[rule.steerY][i] = forceY;
+        }
+        // Summed at the 32-bit precision the steer columns store them in, as always
+        steerX += Math.fround(forceX);
+        steerY += Math.fround(forceY);
+    }
+
+    fleeRule(store, i, context, fleeForce);
+    attractionRule(store, i, context, attractForce);
+    flowRule(store, i, context, flowForce);
+    avoidanceRule(store, i, context, avoidForce);
+    boundaryForce(store, i, context.world, context.boundary, boundForce);
+
+    // Apply all velocity changes, scaled to the length of this update. In the
+    // steering model the rules' forces accelerate the boid's mass; fleeing,
+    // attractors, flow, obstacles and walls act as accelerations in both models
+    const ruleX = steering ? steerX / context.mass : steerX;
+    const ruleY = steering ? steerY / context.mass : steerY;
+    const rate = deltaT / RULE_REFERENCE_DELTA_T;
+    const vx = store.vx[i] + (ruleX + fleeForce.x + attractForce.x + flowForce.x + avoidForce.x + boundForce.x) * rate;
+    const vy = store.vy[i] + (ruleY + fleeForce.y + attractForce.y + flowForce.y + avoidForce.y + boundForce.y) * rate;
+    move(store, i, vx, vy, context);
+}
+
+/**
+ * Set the velocity of slot `i` to (vx, vy) limited to its speed range as
+ * described in the pseudocode, move it one update along it, keep it out of
+ * obstacles and apply the boundary mode.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} i
+ * @param {number} vx
+ * @param {number} vy
+ * @param {StepContext} context
+ */
+function move(store, i, vx, vy, context) {
+    // Limit velocity, keeping a minimum speed
+    const magnitude = Math.sqrt(vx * vx + vy * vy);
+    const maxSpeed = store.maxSpeed[i];
+    if (magnitude > maxSpeed) {
+        vx *= maxSpeed / magnitude;
+        vy *= maxSpeed / magnitude;
+    }
+    if (magnitude < DEFAULT_SETTINGS.MIN_SPEED && magnitude > 0) {
+        vx *= DEFAULT_SETTINGS.MIN_SPEED / magnitude;
+        vy *= DEFAULT_SETTINGS.MIN_SPEED / magnitude;
+    }
+    store.vx[i] = vx;
+    store.vy[i] = vy;
+
+    // Update position: position = position + velocity
+    store.x[i] += vx * context.deltaT;
+    store.y[i] += vy * context.deltaT;
+    resolveObstacles(store, i, context);
+    constrainToBounds(store, i, context.world, context.boundary);
+}
+
+/**
+ * Pick the boid predator `p` chases: among the boids within its range and
+ * field of view, the nearest one or the one with the most neighbors,
+ * depending on `strategy`. Ties go to the boid earlier in the flock.
+ * @param {import("./flock-store.js").FlockStore} predators
+ * @param {number} p
+ * @param {string} strategy - One of PREDATOR_STRATEGIES.
+ * @param {import("./flock-store.js").FlockStore} store - The flock.
+ * @param {StepContext} context
+ * @param {Vector2D} out - Receives the offset to the target.
+ * @returns {number} The target's flock slot, or -1 when no boid is in view.
+ */
+function findPrey(predators, p, strategy, store, context, out) {
+    const { grid } = context;
+    const wrap = context.boundary === BOUNDARY_MODES.WRAP;
+    const x = predators.x[p];
+    const y = predators.y[p];
+    const range = predators.range[p];
+    const heading = Math.atan2(predators.vy[p], predators.vx[p]);
+    const count = grid ? grid.query(x, y, range, wrap) : store.count;
+    const candidates = grid ? grid.queryBuffer : null;
+
+    let target = -1;
+    let bestDistance = Infinity;
+    let bestNeighbors = -1;
+    for (let k = 0; k < count; k++) {
+        const j = candidates ? candidates[k] : k;
+        let deltaX = store.x[j] - x;
+        let deltaY = store.y[j] - y;
+        if (wrap) {
+            deltaX = wrapDelta(deltaX, context.world.CANVAS_WIDTH);
+            deltaY = wrapDelta(deltaY, context.world.CANVAS_HEIGHT);
+        }
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        if (distance > range || !isInFieldOfView(predators, p, heading, deltaX, deltaY)) continue;
+
+        const neighbors = strategy === PREDATOR_STRATEGIES.DENSEST ? store.neighborCount[j] : 0;
+        if (neighbors > bestNeighbors || (neighbors === bestNeighbors && distance < bestDistance)) {
+            target = j;
+            bestDistance = distance;
+            bestNeighbors = neighbors;
+            out.x = deltaX;
+            out.y = deltaY;
+        }
+    }
+    return target;
+}
+
+/**
+ * Integration update of predator `p`: pick a target in the flock (see
+ * findPrey) and turn towards it at full speed, steer around obstacles and
+ * walls, then move like a boid. Without prey in view it keeps its course.
+ * @param {import("./flock-store.js").FlockStore} predators
+ * @param {number} p
+ * @param {string} strategy - One of PREDATOR_STRATEGIES.
+ * @param {import("./flock-store.js").FlockStore} store - The flock.
+ * @param {StepContext} context
+ * @returns {number} The flock slot chased, or -1.
+ */
+function updatePredator(predators, p, strategy, store, context) {
+    chaseForce.x = 0;
+    chaseForce.y = 0;
+    const target = findPrey(predators, p, strategy, store, context, chaseForce);
+    if (target >= 0) {
+        const distance = chaseForce.magnitude();
+        const maxSpeed = predators.maxSpeed[p];
+        chaseForce.x = distance > 0 ? ((chaseForce.x / distance) * maxSpeed - predators.vx[p]) * PREDATOR_RULES.TURN : 0;
+        chaseForce.y = distance > 0 ? ((chaseForce.y / distance) * maxSpeed - predators.vy[p]) * PREDATOR_RULES.TURN : 0;
+    }
+    avoidanceRule(predators, p, context, avoidForce);
+    boundaryForce(predators, p, context.world, context.boundary, boundForce);
+
+    const rate = context.deltaT / RULE_REFERENCE_DELTA_T;
+    const vx = predators.vx[p] + (chaseForce.x + avoidForce.x + boundForce.x) * rate;
+    const vy = predators.vy[p] + (chaseForce.y + avoidForce.y + boundForce.y) * rate;
+    move(predators, p, vx, vy, context);
+    return target;
+}
+
+export {
+    BOIDS_RULES,
+    RULE_MODELS,
+    NEIGHBORHOOD_MODES,
+    TOPOLOGICAL_COUNT,
+    STEERING_RULES,
+    OBSTACLE_AVOIDANCE,
+    PREDATOR_RULES,
+    ATTRACTOR_RULES,
+    FLOW_RULES,
+    FORAGING_RULES,
+    SPECIES_RULES,
+    NeighborList,
+    FieldOfView,
+    findNeighbors,
+    isInFieldOfView,
+    cohesionRule,
+    separationRule,
+    alignmentRule,
+    cohesionSteering,
+    separationSteering,
+    alignmentSteering,
+    foragingRule,
+    foragingSteering,
+    avoidanceRule,
+    fleeRule,
+    attractionRule,
+    flowRule,
+    updateBoid,
+    updatePredator,
+};
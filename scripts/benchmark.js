@@ -0,0 +1,89 @@
+/**
+ * Time simulation steps headless, for the performance notes in README.md.
+ *
+ *     node scripts/benchmark.js [--boids 1000,2000,5000] [--ranges 50,100,150]
+ *         [--neighborhood metric] [--search grid] [--width 800] [--height 600]
+ *         [--warmup 120] [--steps 30] [--seed 1]
+ *
+ * For every flock size and range a seeded simulation flocks for `warmup`
+ * steps (flocks contract as they form, which makes steps dearer), then
+ * `steps` more are timed one by one. Prints a Markdown table of the median
+ * milliseconds per step, with the mean number of neighbors per boid in
+ * parentheses.
+ */
+import { parseArgs } from "node:util";
+import { Simulation } from "../simulation.js";
+
+const { values: options } = parseArgs({
+    options: {
+        boids: { type: "string", default: "1000,2000,5000" },
+        ranges: { type: "string", default: "50,100,150" },
+        neighborhood: { type: "string", default: "metric" },
+        search: { type: "string", default: "grid" },
+        width: { type: "string", default: "800" },
+        height: { type: "string", default: "600" },
+        warmup: { type: "string", default: "120" },
+        steps: { type: "string", default: "30" },
+        seed: { type: "string", default: "1" },
+    },
+});
+
+/**
+ * Parse a comma-separated list of numbers.
+ * @param {string} list
+ * @returns {number[]}
+ */
+function numbers(list) {
+    return list.split(",").map(Number);
+}
+
+/**
+ * Flock a simulation for the warmup, then time its steps.
+ * @param {number} boids
+ * @param {number} range
+ * @returns {{median:number, neighbors:number}} Median milliseconds per
+ *   timed step and mean neighbors per boid over them.
+ */
+function measure(boids, range) {
+    const simulation = new Simulation({
+        numBoids: boids,
+        seed: Number(options.seed),
+        world: { CANVAS_WIDTH: Number(options.width), CANVAS_HEIGHT: Number(options.height) },
+    });
+    simulation.setParameter("range", range);
+    simulation.setParameter("neighborhood", options.neighborhood);
+    simulation.setParameter("neighborSearch", options.search);
+    for (let s = 0; s < Number(options.warmup); s++) {
+        simulation.step();
+    }
+
+    const { store } = simulation;
+    const times = [];
+    let neighbors = 0;
+    for (let s = 0; s < Number(options.steps); s++) {
+        const start = performance.now();
+        simulation.step();
+        times.push(performance.now() - start);
+        for (let i = 0; i < store.count; i++) {
+            neighbors += store.neighborCount[i];
+        }
+    }
+    times.sort((a, b) => a - b);
+    return {
+        median: times[times.length >> 1],
+        neighbors: neighbors / (store.count * times.length),
+    };
+}
+
+const ranges = numbers(options.ranges);
+console.log(`${options.neighborhood} neighborhood, ${options.search} search, ${options.width}×${options.height} world, ms per step (neighbors per boid)`);
+console.log();
+console.log(`| Boids | ${ranges.map((range) => `Range ${range}`).join(" | ")} |`);
+console.log(`| ----- | ${ranges.map(() => "---").join(" | ")} |`);
+for (const boids of numbers(options.boids)) {
+    const cells = ranges.map((range) => {
+        const { median, neighbors } = measure(boids, range);
+        return `${median.toFixed(1)} ms (${Math.round(neighbors)})`;
+    });
+    console.log(`| ${boids} | ${cells.join(" | ")} |`);
+}
@@ -0,0 +1,215 @@
+import { FixedStepClock } from "./clock.js";
+import { Simulation } from "./simulation.js";
+import {
+    TRACE_COLUMNS,
+    highlightLength,
+    packFlock,
+    packHighlight,
+    stateLength,
+    unpackFlock,
+    writeColumns,
+} from "./flock-store.js";
+
+/**
+ * Simulation worker
+ *
+ * Module worker started by `WorkerSimulation`. It owns the simulation that is
+ * actually stepped, runs its own fixed-step clock from the elapsed times the
+ * main thread posts, and answers every "advance" request with the new flock
+ * state. Messages are handled in the order they were posted.
+ */
+
+let simulation = null;
+let clock = null;
+/** @type {ArrayBuffer[]} Buffers returned with the current request, free for packStep. */
+let pool = [];
+// Highlight buffers only grow (by powers of two), so one size keeps fitting
+// while the highlighted boid's neighbor count changes
+let highlightCapacity = 0;
+
+/**
+ * @typedef {Object} StepState
+ * @property {Float32Array} state - Flock state buffer (see packFlock).
+ * @property {Float32Array} predatorState
+ * @property {Float32Array} highlight - Highlight buffer (see packHighlight).
+ * @property {Float32Array} food - Food left in each patch.
+ * @property {Float32Array|null} trace - Trace buffer, or null when not tracing.
+ * @property {number} time
+ * @property {number} stepCount
+ */
+
+/**
+ * A Float32Array of `length` numbers, on a pooled buffer when one has the
+ * right size.
+ * @param {number} length
+ * @returns {Float32Array}
+ */
+function takeArray(length) {
+    const byteLength = length * Float32Array.BYTES_PER_ELEMENT;
+    for (let k = 0; k < pool.length; k++) {
+        if (pool[k].byteLength === byteLength) {
+            const buffer = pool[k];
+            pool[k] = pool[pool.length - 1];
+            pool.pop();
+            return new Float32Array(buffer);
+        }
+    }
+    return new Float32Array(length);
+}
+
+/**
+ * Copy the state of the step just taken into buffers to post, taken from
+ * the pool when they fit.
+ * @param {boolean} trace - Also pack every boid's rule vectors and neighbor count.
+ * @returns {StepState}
+ */
+function packStep(trace) {
+    const { store, predatorStore, highlighted, foodPatches } = simulation;
+    const state = takeArray(stateLength(store.count));
+    packFlock(store, state);
+    const predatorState = takeArray(stateLength(predatorStore.count));
+    packFlock(predatorStore, predatorState);
+    if (highlighted) {
+        highlightCapacity = Math.max(highlightCapacity, 2 ** Math.ceil(Math.log2(highlightLength(highlighted))));
+    }
+    const highlight = highlighted
+        ? packHighlight(highlighted, takeArray(highlightCapacity))
+        : takeArray(0);
+    const food = takeArray(foodPatches.length);
+    for (let k = 0; k < foodPatches.length; k++) {
+        food[k] = foodPatches[k].amount;
+    }
+    const traceState = trace ? takeArray(stateLength(store.count, TRACE_COLUMNS)) : null;
+    if (traceState) packFlock(store, traceState, TRACE_COLUMNS);
+    return { state, predatorState, highlight, food, trace: traceState, time: simulation.time, stepCount: simulation.stepCount };
+}
+
+/**
+ * Buffers of a packed step, for the transfer list.
+ * @param {StepState} step
+ * @returns {ArrayBuffer[]}
+ */
+function stepBuffers({ state, predatorState, highlight, food, trace }) {
+    return [state.buffer, predatorState.buffer, highlight.buffer, food.buffer, ...(trace ? [trace.buffer] : [])];
+}
+
+/**
+ * Message handlers keyed by message type.
+ * @type {Object<string, function(Object):void>}
+ */
+const HANDLERS = {
+    /**
+     * Rebuild the main thread's simulation from its seed, parameters and
+     * state, when the worker starts and whenever a snapshot is loaded.
+     */
+    init({ world, seed, timestep, params, time, stepCount, obstacles, attractors, foodPatches, species, interactions, columns, predatorState }) {
+        simulation = new Simulation({ world, numBoids: columns.x.length, seed, timestep });
+        simulation.setSpecies(species, interactions);
+        Object.entries(params).forEach(([name, value]) => simulation.setParameter(name, value));
+        simulation.setObstacles(obstacles);
+        simulation.setAttractors(attractors);
+        simulation.setFoodPatches(foodPatches);
+        writeColumns(simulation.store, 0, columns);
+        unpackFlock(simulation.predatorStore, predatorState);
+        simulation.time = time;
+        simulation.stepCount = stepCount;
+        clock = new FixedStepClock({ stepMs: timestep });
+    },
+
+    /**
+     * Run the steps due after `elapsed` milliseconds, plus `steps` more asked
+     * for one by one (which leave the clock alone), and post the state back,
+     * packed into the buffers the main thread returned where they fit. When
+     * several steps were due, the state after each earlier one is posted
+     * along in `frames`, so the main thread sees every step. With `trace`,
+     * every step also carries every boid's rule vectors and neighbor count.
+     * Returned buffers left over are posted back in `spare`.
+     */
+    advance({ elapsed, steps: requested, generation, trace, buffers }) {
+        pool = buffers;
+        const steps = clock.advance(elapsed) + requested;
+        const frames = [];
+        for (let i = 0; i < steps; i++) {
+            simulation.step();
+            if (i < steps - 1) frames.push(packStep(trace));
+        }
+        const last = packStep(trace);
+        // Unused buffers of the sizes still in use go back for the next update
+        const used = stepBuffers(last);
+        const spare = pool.filter((buffer) => used.some(({ byteLength }) => byteLength === buffer.byteLength));
+        pool = [];
+
+        self.postMessage({
+            type: "state",
+            ...last,
+            frames,
+            spare,
+            generation,
+            steps,
+            alpha: clock.alpha,
+        }, [...frames.flatMap(stepBuffers), ...used, ...spare]);
+    },
+
+    /**
+     * Apply a parameter change forwarded from the UI.
+     */
+    setParameter({ name, value }) {
+        simulation.setParameter(name, value);
+    },
+
+    /**
+     * Replace the obstacles with the main thread's list.
+     */
+    setObstacles({ obstacles }) {
+        simulation.setObstacles(obstacles);
+    },
+
+    /**
+     * Replace the attractors with the main thread's list.
+     */
+    setAttractors({ attractors }) {
+        simulation.setAttractors(attractors);
+    },
+
+    /**
+     * Replace the food patches with the main thread's list.
+     */
+    setFoodPatches({ foodPatches }) {
+        simulation.setFoodPatches(foodPatches);
+    },
+
+    /**
+     * Replace the species and their interactions with the main thread's.
+     */
+    setSpecies({ species, interactions }) {
+        simulation.setSpecies(species, interactions);
+    },
+
+    /**
+     * Add the boids spawned on the main thread, with their columns copied over.
+     */
+    addBoids({ columns }) {
+        const start = simulation.store.count;
+        for (let k = 0; k < columns.x.length; k++) {
+            simulation.addBoid();
+        }
+        writeColumns(simulation.store, start, columns);
+    },
+
+    /**
+     * Despawn the boids in the given slots, in the main thread's order.
+     */
+    removeBoids({ indices }) {
+        indices.forEach((index) => simulation.removeBoid(simulation.flock[index]));
+    },
+
+    /**
+     * Respawn from a seed and drop any time left on the clock.
+     */
+    reset({ seed }) {
+        simulation.reset(seed);
+        clock.reset();
+    },
+};
+
+self.addEventListener("message", (e) => HANDLERS[e.data.type](e.data));
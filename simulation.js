@@ -0,0 +1,1035 @@
+import { attractorAt, createAttractor } from "./attractors.js";
+import { Boid, DEFAULT_SETTINGS } from "./boid.js";
+import { BOUNDARY_MODES } from "./boundaries.js";
+import { DISTRIBUTED_PARAMETERS, createDistribution, sampleParameter } from "./distributions.js";
+import { FlockStore, unpackFlock, unpackHighlight } from "./flock-store.js";
+import { FLOW_FIELD_SETTINGS, FLOW_FIELD_TYPES, createFlowField } from "./flow-fields.js";
+import { FOOD_SETTINGS, createFoodPatch, foodPatchAt, regrowFood } from "./food.js";
+import { createObstacle, obstacleAt } from "./obstacles.js";
+import { BODY_RADIUS, OccluderList } from "./occlusion.js";
+import { PREDATOR_SETTINGS, PREDATOR_STRATEGIES, Predator } from "./predator.js";
+import { createRandom, hashInts, randomSeed } from "./random.js";
+import { createRuleWeights, steeringRules } from "./rule-registry.js";
+import {
+    FORAGING_RULES,
+    NEIGHBORHOOD_MODES,
+    NeighborList,
+    RULE_MODELS,
+    STEERING_RULES,
+    TOPOLOGICAL_COUNT,
+    updateBoid,
+    updatePredator,
+} from "./rules.js";
+import { BOID_STATICS, DISPLAY_FLAGS, createSnapshot, validateSnapshot, writeSlot } from "./snapshot.js";
+import { SpatialGrid } from "./spatial-grid.js";
+import { DEFAULT_SPECIES, MAX_SPECIES, createInteractions, createSpecies, interactionTable } from "./species.js";
+import { WORLD } from "./world.js";
+
+/**
+ * Color of the highlighted boid. Other boids are painted with the colors of
+ * their species.
+ * @type {{HIGHLIGHTED:string}}
+ */
+const BOID_COLORS = {
+    HIGHLIGHTED: "#000000ff",
+};
+
+/**
+ * Parameters that are written to every boid in the flock. Each entry maps a
+ * parameter name to the function applying it to a single boid. Values arrive
+ * as the boid's own: sampled when the parameter is a distribution (see
+ * DISTRIBUTED_PARAMETERS) and scaled by its species (see
+ * SPECIES_SCALED_PARAMETERS).
+ * @type {Object<string, function(Boid, *):void>}
+ */
+const BOID_PARAMETERS = {
+    range: (boid, value) => { boid.range = value; },
+    fovAngle: (boid, value) => boid.setFOVAngle(value),
+    separationCoefficient: (boid, value) => { boid.separationCoefficient = value; },
+    cohereCoefficient: (boid, value) => { boid.cohereCoefficient = value; },
+    alignCoefficient: (boid, value) => { boid.alignCoefficient = value; },
+    fleeCoefficient: (boid, value) => { boid.fleeCoefficient = value; },
+    // Never below the minimum speed, or a boid drawing a low value would stall
+    maxSpeed: (boid, value) => { boid.maxSpeed = Math.max(DEFAULT_SETTINGS.MIN_SPEED, value); },
+    trailLength: (boid, value) => boid.setTrailLength(value),
+};
+
+/**
+ * Parameters that are written to every predator, like BOID_PARAMETERS.
+ * @type {Object<string, function(Predator, *):void>}
+ */
+const PREDATOR_PARAMETERS = {
+    predatorStrategy: (predator, value) => { predator.strategy = value; },
+    predatorSpeed: (predator, value) => { predator.maxSpeed = value; },
+    predatorFOV: (predator, value) => predator.setFOVAngle(value),
+};
+
+/**
+ * Parameters describing the flow field, mapped to the FlowField property
+ * each one sets.
+ * @type {Object<string, string>}
+ */
+const FLOW_PARAMETERS = {
+    flowType: "type",
+    flowStrength: "strength",
+    flowDirection: "direction",
+    flowScale: "scale",
+    flowEvolution: "evolution",
+};
+
+/**
+ * Parameters backed by class-level flags on `Boid`.
+ * @type {Object<string, string>}
+ */
+const CLASS_PARAMETERS = {
+    ghostTrailEnabled: "ghostTrailEnabled",
+    variationEnabled: "variationEnabled",
+    variationFrequency: "variationFrequency",
+    variationAmplitude: "variationAmplitude",
+};
+
+/**
+ * Ways of finding the boids within range (see `params.neighborSearch`): the
+ * spatial grid, or a scan of the whole flock.
+ * @enum {string}
+ */
+const NEIGHBOR_SEARCH_MODES = {
+    GRID: "grid",
+    BRUTE: "brute",
+};
+
+/**
+ * Parameters taking one of a fixed set of values, mapped to that set.
+ * @type {Object<string, Object<string, string>>}
+ */
+const CHOICE_PARAMETERS = {
+    neighborSearch: NEIGHBOR_SEARCH_MODES,
+    neighborhood: NEIGHBORHOOD_MODES,
+    ruleModel: RULE_MODELS,
+    boundary: BOUNDARY_MODES,
+    predatorStrategy: PREDATOR_STRATEGIES,
+    flowType: FLOW_FIELD_TYPES,
+};
+
+/**
+ * Simulation
+ *
+ * Headless flocking core. Owns the flock, the world bounds and the current
+ * parameter set, and advances the model one step at a time. It never touches
+ * the DOM, so the same class drives the browser view and Node batch runs;
+ * renderers read `simulation.flock` after each step to draw it.
+ *
+ * Boid state is stored column-wise in `simulation.store` (a FlockStore) and
+ * stepped by index, so a step allocates nothing; `flock[i]` is the Boid view
+ * of slot `i`.
+ *
+ * Predators hunting the flock (`params.predatorCount`) live in a store of
+ * their own, `predatorStore`, with `predators[p]` as the view of slot `p`.
+ *
+ * Boids steer by the rules registered in `rules` (a RuleRegistry), each
+ * weighted by its entry in `params.ruleWeights` or its default weight.
+ *
+ * A flow field (`params.flowType`: uniform wind, a vortex or evolving noise
+ * currents, see FLOW_FIELD_TYPES) pushes every boid along; `flowField` is
+ * the field built from the flow parameters and the seed.
+ *
+ * Boids carry energy that drains over time (`params.energyDrain`); hungry
+ * boids seek the `foodPatches`, which deplete as boids eat and regrow
+ * (`params.foodRegrowth`).
+ *
+ * Every boid belongs to one of `species`, dealt out round-robin by slot.
+ * A species scales some parameters for its boids and paints them, and the
+ * `interactions` matrix says how each species treats each other one.
+ *
+ * All randomness comes from a generator seeded with `simulation.seed`, so two
+ * simulations created (or reset) with the same seed spawn identical flocks.
+ * Time only advances in fixed steps on the simulation's own clock (`time`),
+ * so a run is independent of how often (or how smoothly) it is rendered.
+ * `toSnapshot()` captures all of this state and `loadSnapshot()` restores it
+ * (see snapshot.js), generator included, so a loaded run carries on exactly.
+ */
+class Simulation {
+    /**
+     * Create a simulation and spawn its initial flock.
+     * @param {{world?:{CANVAS_WIDTH:number, CANVAS_HEIGHT:number, TIME_SCALE?:number}, numBoids?:number, flock?:Boid[], seed?:number, timestep?:number, rules?:import("./rule-registry.js").RuleRegistry}} [options]
+     *   `world` is copied into `simulation.world`, with WORLD's TIME_SCALE
+     *   unless it has its own. `flock` lets a caller
+     *   supply the array the boids are stored in (the browser passes the
+     *   shared array from world.js). `seed` defaults to a
+     *   fresh random seed. `timestep` is the simulated milliseconds per step.
+     *   `rules` defaults to the shared `steeringRules` registry.
+     */
+    constructor({ world = WORLD, numBoids = WORLD.NUM_BOIDS, flock = [], seed = randomSeed(), timestep = WORLD.FIXED_TIMESTEP, rules = steeringRules } = {}) {
+        // Copied, so resizing this world (e.g. loading a snapshot) leaves
+        // the shared WORLD and every other simulation alone
+        this.world = { TIME_SCALE: WORLD.TIME_SCALE, ...world };
+        this.rules = rules;
+        this.flock = flock;
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+        this.timestep = timestep;
+        this.time = 0; // simulation clock, seconds
+        this.stepCount = 0;
+        this.params = {
+            range: DEFAULT_SETTINGS.RANGE,
+            fovAngle: DEFAULT_SETTINGS.FOV_ANGLE,
+            separationCoefficient: 1.0,
+            cohereCoefficient: 1.0,
+            alignCoefficient: 1.0,
+            fleeCoefficient: 1.0,
+            maxSpeed: DEFAULT_SETTINGS.MAX_SPEED,
+            trailLength: 12,
+            ghostTrailEnabled: Boid.ghostTrailEnabled,
+            variationEnabled: Boid.variationEnabled,
+            variationFrequency: Boid.variationFrequency,
+            variationAmplitude: Boid.variationAmplitude,
+            substeps: WORLD.SUBSTEPS,
+            neighborSearch: NEIGHBOR_SEARCH_MODES.GRID,
+            neighborhood: NEIGHBORHOOD_MODES.METRIC,
+            topologicalCount: TOPOLOGICAL_COUNT,
+            occlusion: false,
+            bodyRadius: BODY_RADIUS,
+            ruleModel: RULE_MODELS.PSEUDOCODE,
+            maxForce: STEERING_RULES.MAX_FORCE,
+            mass: STEERING_RULES.MASS,
+            boundary: BOUNDARY_MODES.SOFT,
+            boidCount: numBoids,
+            predatorCount: 0,
+            predatorStrategy: PREDATOR_STRATEGIES.NEAREST,
+            predatorSpeed: PREDATOR_SETTINGS.MAX_SPEED,
+            predatorFOV: PREDATOR_SETTINGS.FOV_ANGLE,
+            ruleWeights: {},
+            flowType: FLOW_FIELD_TYPES.NONE,
+            flowStrength: FLOW_FIELD_SETTINGS.STRENGTH,
+            flowDirection: FLOW_FIELD_SETTINGS.DIRECTION,
+            flowScale: FLOW_FIELD_SETTINGS.SCALE,
+            flowEvolution: FLOW_FIELD_SETTINGS.EVOLUTION,
+            showFlowField: false,
+            energyDrain: FORAGING_RULES.DRAIN,
+            foodRegrowth: FOOD_SETTINGS.REGROWTH,
+        };
+        /**
+         * The flow field, replaced (never mutated) whenever a flow parameter
+         * or the seed changes.
+         * @type {import("./flow-fields.js").FlowField}
+         */
+        this.flowField = this._createFlowField();
+        /**
+         * Static obstacles. The array is replaced (never mutated) on every
+         * change, so renderers can tell by identity when to redraw them.
+         * @type {import("./obstacles.js").Obstacle[]}
+         */
+        this.obstacles = [];
+        /**
+         * Attractors and repellers, replaced on every change like `obstacles`.
+         * @type {import("./attractors.js").Attractor[]}
+         */
+        this.attractors = [];
+        /**
+         * Food patches, replaced on every addition or removal like
+         * `obstacles`. Their `amount` changes in place as boids eat.
+         * @type {import("./food.js").FoodPatch[]}
+         */
+        this.foodPatches = [];
+        /** @type {import("./species.js").Species[]} */
+        this.species = [createSpecies(DEFAULT_SPECIES[0], 0)];
+        /** @type {string[][]} `interactions[a][b]` is how species `a` treats species `b` */
+        this.interactions = createInteractions(1);
+        this.store = new FlockStore(numBoids);
+        /** @type {Predator[]} Predator views, slot for slot with `predatorStore` */
+        this.predators = [];
+        this.predatorStore = new FlockStore(4);
+        this.grid = new SpatialGrid();
+        this._gridStep = -1; // step `grid` was last built for, -1 once boids moved otherwise
+        /** @type {import("./rules.js").StepContext} */
+        this.context = {
+            world,
+            boundary: this.params.boundary,
+            deltaT: 0,
+            time: 0,
+            grid: null,
+            neighbors: new NeighborList(numBoids),
+            neighborhood: this.params.neighborhood,
+            topologicalCount: this.params.topologicalCount,
+            occlusion: this.params.occlusion,
+            bodyRadius: this.params.bodyRadius,
+            occluders: new OccluderList(numBoids),
+            obstacles: this.obstacles,
+            predators: this.predatorStore,
+            attractors: this.attractors,
+            flowField: this.flowField,
+            food: this.foodPatches,
+            energyDrain: this.params.energyDrain,
+            interactions: interactionTable(this.interactions),
+            speciesCount: 1,
+            model: this.params.ruleModel,
+            maxForce: this.params.maxForce,
+            mass: this.params.mass,
+            rules: [],
+            ruleWeights: new Float64Array(0),
+            ruleForces: new Float64Array(0),
+        };
+        this._rulesVersion = -1;
+        this._ruleWeights = null;
+
+        this.populate(numBoids);
+    }
+
+    /**
+     * Replace the flock with `count` freshly spawned boids. The first boid is
+     * the highlighted one used for visualizations. Boids added later get ids
+     * counting up from `count`.
+     * @param {number} count
+     */
+    populate(count) {
+        this.flock.length = 0;
+        this.store.clear();
+        for (let i = 0; i < count; i++) {
+            this.flock.push(this._createBoid(i));
+        }
+        this.nextId = count;
+        this.params.boidCount = count;
+        this._gridStep = -1;
+    }
+
+    /**
+     * Spawn one boid with the current parameters, at a random position and
+     * heading unless given.
+     * @param {{x?:number, y?:number, vx?:number, vy?:number}} [spawn] - Position and velocity to start from.
+     * @returns {Boid} The new boid, appended to `flock`.
+     */
+    addBoid({ x, y, vx, vy } = {}) {
+        const boid = this._createBoid(this.nextId++);
+        if (x !== undefined) boid.position.x = boid.previousPosition.x = x;
+        if (y !== undefined) boid.position.y = boid.previousPosition.y = y;
+        if (vx !== undefined) boid.velocity.x = vx;
+        if (vy !== undefined) boid.velocity.y = vy;
+        this.flock.push(boid);
+        this.params.boidCount = this.flock.length;
+        this._gridStep = -1;
+        return boid;
+    }
+
+    /**
+     * Despawn a boid. The last boid of the flock moves into its store slot
+     * (and its place in `flock`), keeping slots dense.
+     * @param {Boid} boid
+     * @throws {Error} When the boid is not in the flock or is the highlighted one.
+     */
+    removeBoid(boid) {
+        const { flock, store } = this;
+        if (flock[boid.index] !== boid) {
+            throw new Error(`Boid ${boid.id} is not in the flock`);
+        }
+        if (boid === this.highlighted) {
+            throw new Error("The highlighted boid cannot be removed");
+        }
+
+        const { index } = boid;
+        const last = store.remove(index);
+        const moved = flock.pop();
+        if (index !== last) {
+            moved.index = index;
+            flock[index] = moved;
+        }
+        this.highlighted.neighbors.delete(boid);
+        this.highlighted.neighborDistances.delete(boid);
+        this.params.boidCount = flock.length;
+        this._gridStep = -1;
+    }
+
+    /**
+     * Reseed the generator, rewind the clock and respawn every boid in place.
+     * Boids keep their parameters and display flags; positions, velocities,
+     * variation phases, colors and the boids' own values of distributed
+     * parameters are drawn again from the new seed, exactly as on creation.
+     * Boids start with full energy and food patches are refilled.
+     * @param {number} [seed=this.seed] - Seed to replay; defaults to the current one.
+     */
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+        this.time = 0;
+        this.stepCount = 0;
+        this.flowField = this._createFlowField();
+        this.foodPatches = this.foodPatches.map((patch) => createFoodPatch({ ...patch, amount: patch.capacity }));
+
+        this.flock.forEach((boid) => {
+            boid.respawn(this.random);
+            boid.traitSeed = hashInts(this.seed, boid.index);
+            this._applyParameters(boid);
+            this._pickColor(boid);
+            this._paint(boid);
+        });
+        this.predators.forEach((predator) => predator.respawn(this.random));
+        this._gridStep = -1;
+    }
+
+    /**
+     * Create a boid configured with the current parameter set.
+     * @param {number} id
+     * @returns {Boid}
+     * @private
+     */
+    _createBoid(id) {
+        const isHighlighted = id === 0;
+        const boid = new Boid({ id, isHighlighted, store: this.store, world: this.world, random: this.random });
+        boid.traitSeed = hashInts(this.seed, boid.index);
+
+        this._pickColor(boid);
+        this._assignSpecies(boid);
+
+        return boid;
+    }
+
+    /**
+     * Put a boid in its species (round-robin by store slot) and apply the
+     * current parameter set and the species' colors to it.
+     * @param {Boid} boid
+     * @private
+     */
+    _assignSpecies(boid) {
+        boid.species = boid.index % this.species.length;
+        this._applyParameters(boid);
+        this._paint(boid);
+    }
+
+    /**
+     * Write every boid parameter to a boid.
+     * @param {Boid} boid
+     * @private
+     */
+    _applyParameters(boid) {
+        Object.keys(BOID_PARAMETERS).forEach((name) => this._applyParameter(boid, name));
+    }
+
+    /**
+     * Write a parameter to a boid: its own sample when the parameter is a
+     * distribution, scaled by the boid's species.
+     * @param {Boid} boid
+     * @param {string} name - A key of BOID_PARAMETERS.
+     * @private
+     */
+    _applyParameter(boid, name) {
+        const scale = this.species[boid.species].scales[name] ?? 1;
+        const value = sampleParameter(this.params[name], boid.traitSeed, DISTRIBUTED_PARAMETERS.indexOf(name));
+        BOID_PARAMETERS[name](boid, value * scale);
+    }
+
+    /**
+     * Draw which of its species' colors a boid is painted with. The highlighted
+     * boid keeps its own color and draws nothing.
+     * @param {Boid} boid
+     * @private
+     */
+    _pickColor(boid) {
+        boid.colorPick = boid.highlighted ? 0 : this.random();
+    }
+
+    /**
+     * Paint a boid with the color of its species it picked (the highlighted
+     * boid keeps its own color).
+     * @param {Boid} boid
+     * @private
+     */
+    _paint(boid) {
+        const { colors } = this.species[boid.species];
+        boid.setColor(boid.highlighted
+            ? BOID_COLORS.HIGHLIGHTED
+            : colors[Math.floor(boid.colorPick * colors.length)]);
+    }
+
+    /**
+     * Spawn or despawn boids until there are `count`. Despawning drops the
+     * boids in the last slots.
+     * @param {number} count - At least 1, for the highlighted boid.
+     * @private
+     */
+    _setBoidCount(count) {
+        const { flock } = this;
+        while (flock.length < count) {
+            this.addBoid();
+        }
+        while (flock.length > count) {
+            this.removeBoid(flock[flock.length - 1]);
+        }
+    }
+
+    /**
+     * Add or remove predators until there are `count`. New predators spawn
+     * like boids, with the current predator parameters; removal drops the
+     * most recently added ones.
+     * @param {number} count
+     * @private
+     */
+    _setPredatorCount(count) {
+        const { predators, predatorStore } = this;
+        while (predators.length < count) {
+            const predator = new Predator({ id: predators.length, store: predatorStore, world: this.world, random: this.random });
+            Object.entries(PREDATOR_PARAMETERS).forEach(([name, apply]) => apply(predator, this.params[name]));
+            predators.push(predator);
+        }
+        while (predators.length > count) {
+            predators.pop();
+            predatorStore.remove(predatorStore.count - 1);
+        }
+    }
+
+    /**
+     * The boid used for single-boid visualizations (FOV, neighbor lines, steer vectors).
+     * @returns {Boid|undefined}
+     */
+    get highlighted() {
+        return this.flock[0];
+    }
+
+    /**
+     * Set a simulation parameter and apply it to the flock (or, for the
+     * predator parameters, to the predators; `boidCount` and `predatorCount`
+     * spawn or despawn boids and predators, and are stored rounded, with at
+     * least one boid kept). Parameters that are neither
+     * per-agent nor class-level (e.g. `substeps`) are only stored.
+     *
+     * The parameters in DISTRIBUTED_PARAMETERS also take a distribution,
+     * `{ mean, spread, shape }` (see createDistribution), from which every
+     * boid samples its own value, e.g.
+     * `setParameter("maxSpeed", { mean: 3, spread: 0.2, shape: "normal" })`.
+     *
+     * `ruleWeights` maps rule names to weights overriding the registered
+     * defaults; names of rules not (yet) registered are kept.
+     *
+     * The flow parameters (see FLOW_PARAMETERS) rebuild `flowField`;
+     * `flowDirection` is in radians. `showFlowField` only tells renderers to
+     * draw the field.
+     *
+     * `neighborhood` picks which boids are neighbors (see NEIGHBORHOOD_MODES)
+     * and `topologicalCount` how many the topological and hybrid
+     * neighborhoods keep. With `occlusion` on, boids only see the boids no
+     * nearer boid (a disc of `bodyRadius`) or obstacle hides.
+     *
+     * Values are checked before anything changes: the parameters in
+     * CHOICE_PARAMETERS take one of their set's values, and the others keep
+     * the type of their default (a finite number, or a boolean).
+     * @param {string} name - One of the keys of `this.params`.
+     * @param {*} value
+     * @throws {Error} When the parameter is unknown, or the value or the
+     *   distribution invalid.
+     */
+    setParameter(name, value) {
+        if (!(name in this.params)) {
+            throw new Error(`Unknown simulation parameter: ${name}`);
+        }
+        const distributed = DISTRIBUTED_PARAMETERS.includes(name);
+        if (distributed && value !== null && typeof value === "object") {
+            value = createDistribution(value);
+        } else if ((distributed || typeof this.params[name] === "number") && !Number.isFinite(value)) {
+            throw new Error(`${name} must be a finite number`);
+        }
+        if (typeof this.params[name] === "boolean" && typeof value !== "boolean") {
+            throw new Error(`${name} must be true or false`);
+        }
+        if (name in CHOICE_PARAMETERS && !Object.values(CHOICE_PARAMETERS[name]).includes(value)) {
+            throw new Error(`${name} must be one of ${Object.values(CHOICE_PARAMETERS[name]).join(", ")}`);
+        }
+        if (name === "ruleWeights") {
+            value = createRuleWeights(value);
+        }
+        if ((name === "mass" || name === "maxForce") && !(value > 0)) {
+            throw new Error(`${name} must be a positive number`);
+        }
+        if ((name === "energyDrain" || name === "foodRegrowth") && !(value >= 0 && value < Infinity)) {
+            throw new Error(`${name} must be a non-negative number`);
+        }
+        if (name === "bodyRadius" && !(value > 0 && value < Infinity)) {
+            throw new Error("bodyRadius must be a positive number");
+        }
+        if (name === "topologicalCount" && !(Number.isInteger(value) && value >= 1)) {
+            throw new Error("topologicalCount must be a positive integer");
+        }
+        if (name === "boidCount") {
+            // The highlighted boid always stays
+            value = Math.max(1, Math.round(value));
+        }
+        if (name === "predatorCount") {
+            value = Math.max(0, Math.round(value));
+        }
+        if (name in FLOW_PARAMETERS) {
+            this.flowField = this._createFlowField({ [FLOW_PARAMETERS[name]]: value });
+        }
+        this.params[name] = value;
+
+        if (name in CLASS_PARAMETERS) {
+            Boid[CLASS_PARAMETERS[name]] = value;
+            return;
+        }
+        if (name === "boidCount") {
+            this._setBoidCount(value);
+            return;
+        }
+        if (name === "predatorCount") {
+            this._setPredatorCount(value);
+            return;
+        }
+        if (name in PREDATOR_PARAMETERS) {
+            this.predators.forEach((predator) => PREDATOR_PARAMETERS[name](predator, value));
+            return;
+        }
+
+        if (name in BOID_PARAMETERS) {
+            this.flock.forEach((boid) => this._applyParameter(boid, name));
+        }
+    }
+
+    /**
+     * The weight a steering rule is applied with.
+     * @param {string} name - Name of a registered rule.
+     * @returns {number}
+     * @throws {Error} When no rule of that name is registered.
+     */
+    ruleWeight(name) {
+        const rule = this.rules.get(name);
+        if (!rule) {
+            throw new Error(`Unknown steering rule: ${name}`);
+        }
+        return this.params.ruleWeights[name] ?? rule.weight;
+    }
+
+    /**
+     * Change the weight of a steering rule (see `params.ruleWeights`).
+     * @param {string} name - Name of a registered rule.
+     * @param {number} weight
+     * @throws {Error} When no rule of that name is registered.
+     */
+    setRuleWeight(name, weight) {
+        if (!this.rules.get(name)) {
+            throw new Error(`Unknown steering rule: ${name}`);
+        }
+        this.setParameter("ruleWeights", { ...this.params.ruleWeights, [name]: weight });
+    }
+
+    /**
+     * Replace the species and their interaction matrix. Boids are dealt out
+     * to the new species round-robin by slot and get their scaled parameters
+     * and colors; positions and velocities are kept.
+     * @param {{name?:string, colors?:string[], scales?:Object<string, number>}[]} species
+     *   Species descriptions (see createSpecies), at least one.
+     * @param {string[][]} [interactions=this.interactions] - `interactions[a][b]`
+     *   is how species `a` treats species `b` (see SPECIES_INTERACTIONS).
+     *   Missing entries default to flocking with their own kind and avoiding
+     *   the others.
+     */
+    setSpecies(species, interactions = this.interactions) {
+        if (species.length < 1 || species.length > MAX_SPECIES) {
+            throw new Error(`A simulation needs between 1 and ${MAX_SPECIES} species`);
+        }
+        const created = species.map(createSpecies);
+        this.interactions = createInteractions(species.length, interactions);
+        this.species = created;
+        this.context.interactions = interactionTable(this.interactions);
+        this.context.speciesCount = species.length;
+        this.flock.forEach((boid) => this._assignSpecies(boid));
+    }
+
+    /**
+     * Change how species `a` treats species `b`.
+     * @param {number} a
+     * @param {number} b
+     * @param {string} interaction - One of SPECIES_INTERACTIONS.
+     */
+    setInteraction(a, b, interaction) {
+        if (!this.interactions[a]?.[b]) {
+            throw new Error(`Unknown species pair: ${a}, ${b}`);
+        }
+        const interactions = this.interactions.map((row) => [...row]);
+        interactions[a][b] = interaction;
+        this.setSpecies(this.species, interactions);
+    }
+
+    /**
+     * Add a static obstacle. Obstacles stay in place across resets.
+     * @param {{shape:string}} spec - Shape description (see createObstacle).
+     * @returns {import("./obstacles.js").Obstacle} The obstacle added.
+     */
+    addObstacle(spec) {
+        const obstacle = createObstacle(spec);
+        this.obstacles = [...this.obstacles, obstacle];
+        return obstacle;
+    }
+
+    /**
+     * Remove an obstacle previously returned by `addObstacle` or `obstacleAt`.
+     * @param {import("./obstacles.js").Obstacle} obstacle
+     */
+    removeObstacle(obstacle) {
+        this.obstacles = this.obstacles.filter((other) => other !== obstacle);
+    }
+
+    /**
+     * Replace every obstacle, e.g. with the list of another simulation.
+     * @param {{shape:string}[]} specs - Shape descriptions (see createObstacle).
+     */
+    setObstacles(specs) {
+        this.obstacles = specs.map(createObstacle);
+    }
+
+    /**
+     * The topmost obstacle at a point, if any.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [tolerance=0] - Extra pixels around each obstacle that still count as a hit.
+     * @returns {import("./obstacles.js").Obstacle|null}
+     */
+    obstacleAt(x, y, tolerance = 0) {
+        return obstacleAt(this.obstacles, x, y, tolerance);
+    }
+
+    /**
+     * Add an attractor (positive strength) or repeller (negative strength).
+     * Attractors stay in place across resets.
+     * @param {{x:number, y:number, strength?:number, radius?:number, pinned?:boolean}} spec
+     *   See createAttractor for the defaults.
+     * @returns {import("./attractors.js").Attractor} The attractor added.
+     */
+    addAttractor(spec) {
+        const attractor = createAttractor(spec);
+        this.attractors = [...this.attractors, attractor];
+        return attractor;
+    }
+
+    /**
+     * Move or retune an attractor in place, e.g. to follow a pointer.
+     * @param {import("./attractors.js").Attractor} attractor
+     * @param {{x?:number, y?:number, strength?:number, radius?:number, pinned?:boolean}} changes
+     */
+    updateAttractor(attractor, changes) {
+        Object.assign(attractor, createAttractor({ ...attractor, ...changes }));
+    }
+
+    /**
+     * Remove an attractor previously returned by `addAttractor` or `attractorAt`.
+     * @param {import("./attractors.js").Attractor} attractor
+     */
+    removeAttractor(attractor) {
+        this.attractors = this.attractors.filter((other) => other !== attractor);
+    }
+
+    /**
+     * Replace every attractor, e.g. with the list of another simulation.
+     * @param {{x:number, y:number, strength?:number, radius?:number, pinned?:boolean}[]} specs
+     */
+    setAttractors(specs) {
+        this.attractors = specs.map(createAttractor);
+    }
+
+    /**
+     * The topmost attractor whose point is near (x, y), if any.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [tolerance=8]
+     * @returns {import("./attractors.js").Attractor|null}
+     */
+    attractorAt(x, y, tolerance = 8) {
+        return attractorAt(this.attractors, x, y, tolerance);
+    }
+
+    /**
+     * Add a food patch. Patches stay in place across resets, which refill them.
+     * @param {{x:number, y:number, radius?:number, capacity?:number, amount?:number}} spec
+     *   See createFoodPatch for the defaults.
+     * @returns {import("./food.js").FoodPatch} The patch added.
+     */
+    addFoodPatch(spec) {
+        const patch = createFoodPatch(spec);
+        this.foodPatches = [...this.foodPatches, patch];
+        return patch;
+    }
+
+    /**
+     * Remove a food patch previously returned by `addFoodPatch` or `foodPatchAt`.
+     * @param {import("./food.js").FoodPatch} patch
+     */
+    removeFoodPatch(patch) {
+        this.foodPatches = this.foodPatches.filter((other) => other !== patch);
+    }
+
+    /**
+     * Replace every food patch, e.g. with the list of another simulation.
+     * @param {{x:number, y:number, radius?:number, capacity?:number, amount?:number}[]} specs
+     */
+    setFoodPatches(specs) {
+        this.foodPatches = specs.map(createFoodPatch);
+    }
+
+    /**
+     * The topmost food patch under (x, y), if any.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [tolerance=0]
+     * @returns {import("./food.js").FoodPatch|null}
+     */
+    foodPatchAt(x, y, tolerance = 0) {
+        return foodPatchAt(this.foodPatches, x, y, tolerance);
+    }
+
+    /**
+     * Capture the full state of the simulation as a JSON-ready snapshot
+     * (see createSnapshot).
+     * @returns {import("./snapshot.js").Snapshot}
+     */
+    toSnapshot() {
+        return createSnapshot(this);
+    }
+
+    /**
+     * Replace the whole state of the simulation with a snapshot from
+     * toSnapshot: the world is resized in place, the parameters, species and
+     * placed objects are set, and the flock and predators are respawned to
+     * the saved size with every column, id, color and trail written back.
+     * The generator and clock resume where they were saved, so stepping on
+     * continues exactly as the saved run would have.
+     * @param {import("./snapshot.js").Snapshot} snapshot
+     * @throws {Error} When the snapshot is malformed, of another version, or
+     *   holds an unknown parameter or an invalid value. The simulation is
+     *   left as it was.
+     */
+    loadSnapshot(snapshot) {
+        validateSnapshot(snapshot);
+        const unknown = Object.keys(snapshot.params).find((name) => !(name in this.params));
+        if (unknown) {
+            throw new Error(`Invalid snapshot: unknown simulation parameter ${unknown}`);
+        }
+
+        const current = this.toSnapshot();
+        try {
+            this._restoreSnapshot(snapshot);
+        } catch (error) {
+            this._restoreSnapshot(current);
+            throw new Error(`Invalid snapshot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write a validated snapshot over the whole state (see loadSnapshot).
+     * @param {import("./snapshot.js").Snapshot} snapshot
+     * @private
+     */
+    _restoreSnapshot(snapshot) {
+        this.world.CANVAS_WIDTH = snapshot.world.CANVAS_WIDTH;
+        this.world.CANVAS_HEIGHT = snapshot.world.CANVAS_HEIGHT;
+        this.seed = snapshot.seed >>> 0;
+        this.timestep = snapshot.timestep;
+        this.setSpecies(snapshot.species, snapshot.interactions);
+        Object.entries(snapshot.params).forEach(([name, value]) => {
+            if (name !== "boidCount" && name !== "predatorCount") this.setParameter(name, value);
+        });
+        BOID_STATICS.forEach((name) => this.setParameter(name, snapshot.boidStatics[name]));
+        this.flowField = this._createFlowField();
+        this.setObstacles(snapshot.obstacles);
+        this.setAttractors(snapshot.attractors);
+        this.setFoodPatches(snapshot.foodPatches);
+
+        this.populate(snapshot.boids.length);
+        snapshot.boids.forEach((record, k) => {
+            const boid = this.flock[k];
+            writeSlot(this.store, boid.index, record);
+            boid.id = record.id;
+            boid.colorPick = record.colorPick;
+            boid.trailPositions = record.trail.map(({ x, y, angle }) => ({ x, y, angle }));
+            this._paint(boid);
+        });
+        this.nextId = snapshot.nextId;
+        const { highlighted } = this;
+        DISPLAY_FLAGS.forEach((flag) => { highlighted[flag] = Boolean(snapshot.display[flag]); });
+        highlighted.shownRules = new Set(snapshot.display.shownRules);
+
+        this._setPredatorCount(0);
+        this.params.predatorCount = snapshot.predators.length;
+        this._setPredatorCount(snapshot.predators.length);
+        snapshot.predators.forEach((record, p) => {
+            writeSlot(this.predatorStore, p, record);
+            this.predators[p].id = record.id;
+        });
+
+        this.random = createRandom(this.seed, snapshot.randomState);
+        this.time = snapshot.time;
+        this.stepCount = snapshot.stepCount;
+    }
+
+    /**
+     * Put the flock back in the state of a frame captured by captureFrame
+     * (see recorder.js): positions, velocities, variation phases and energy
+     * of the boids and predators, the food left in each patch, the
+     * highlighted boid's steer vectors and neighbors, and the clock. Stepping
+     * on from a restored frame replays the run from there, unless parameters
+     * changed in the meantime. Trails are left to the recorder.
+     * @param {import("./recorder.js").Frame} frame - Captured from a flock of
+     *   the current size.
+     */
+    restoreFrame({ state, predatorState, food, highlight, time, stepCount }) {
+        unpackFlock(this.store, state);
+        unpackFlock(this.predatorStore, predatorState);
+        if (food.length === this.foodPatches.length) {
+            this.foodPatches.forEach((patch, k) => { patch.amount = food[k]; });
+        }
+        if (this.highlighted) {
+            unpackHighlight(this.highlighted, this.flock, highlight);
+        }
+        this.time = time;
+        this.stepCount = stepCount;
+        this._gridStep = -1;
+    }
+
+    /**
+     * Advance the simulation by one fixed step of `this.timestep` simulated
+     * milliseconds, split into `params.substeps` integration updates.
+     * Each boid's `previousPosition` is kept so renderers can interpolate.
+     * Neighbor queries use the spatial grid unless `params.neighborSearch`
+     * is "brute"; both produce identical results. Which boids are neighbors
+     * follows `params.neighborhood` (see NEIGHBORHOOD_MODES) and, with
+     * `params.occlusion` on, line of sight. The boids rules follow
+     * `params.ruleModel` (see RULE_MODELS), so the same seed can be replayed
+     * under either model. World edges are handled
+     * according to `params.boundary` (see BOUNDARY_MODES), and boids steer
+     * around `obstacles` and towards (or away from) `attractors`, and drift
+     * with `flowField`. Boids eat from `foodPatches`, which then regrow. Predators
+     * move after the boids in every update.
+     */
+    step() {
+        const { flock, store, predators, predatorStore, context } = this;
+        const count = store.count;
+        const substeps = Math.max(1, Math.round(this.params.substeps));
+        const stepSeconds = this.timestep / 1000;
+
+        store.previousX.set(store.x.subarray(0, count));
+        store.previousY.set(store.y.subarray(0, count));
+        predatorStore.previousX.set(predatorStore.x.subarray(0, predatorStore.count));
+        predatorStore.previousY.set(predatorStore.y.subarray(0, predatorStore.count));
+        context.neighbors.ensureCapacity(count);
+        context.occluders.ensureCapacity(count);
+        context.world = this.world;
+        context.boundary = this.params.boundary;
+        context.obstacles = this.obstacles;
+        context.attractors = this.attractors;
+        context.flowField = this.flowField;
+        context.food = this.foodPatches;
+        context.energyDrain = this.params.energyDrain;
+        context.deltaT = (this.timestep * this.world.TIME_SCALE) / substeps;
+        context.model = this.params.ruleModel;
+        context.maxForce = this.params.maxForce;
+        context.mass = this.params.mass;
+        context.neighborhood = this.params.neighborhood;
+        context.topologicalCount = this.params.topologicalCount;
+        context.occlusion = this.params.occlusion;
+        context.bodyRadius = this.params.bodyRadius;
+        this._syncRules();
+
+        for (let s = 0; s < substeps; s++) {
+            context.time = this.time + (stepSeconds * s) / substeps;
+            context.grid = this.params.neighborSearch === NEIGHBOR_SEARCH_MODES.BRUTE
+                ? null
+                : this._rebuildGrid(context.deltaT);
+            for (let i = 0; i < count; i++) {
+                updateBoid(store, i, context);
+                if (flock[i].highlighted) {
+                    flock[i].setNeighbors(context.neighbors, flock);
+                    flock[i].setRuleForces(context.rules, context.ruleForces);
+                }
+            }
+            for (let p = 0; p < predatorStore.count; p++) {
+                predators[p].targetIndex = updatePredator(predatorStore, p, predators[p].strategy, store, context);
+            }
+            regrowFood(this.foodPatches, (this.params.foodRegrowth * stepSeconds) / substeps);
+        }
+
+        this.time = (this.stepCount + 1) * stepSeconds;
+        this.stepCount++;
+        this._gridStep = context.grid ? this.stepCount : -1;
+        this.recordTrails();
+    }
+
+    /**
+     * The spatial grid over the flock's current positions, for neighbor
+     * searches between steps (e.g. metrics). The grid the last step built is
+     * returned as is while no other change moved the boids; otherwise the
+     * grid is rebuilt first.
+     * @returns {SpatialGrid}
+     */
+    neighborGrid() {
+        if (this._gridStep !== this.stepCount) {
+            this._rebuildGrid(0);
+            this._gridStep = this.stepCount;
+        }
+        return this.grid;
+    }
+
+    /**
+     * Sample every boid's trail history, or clear it while trails are off.
+     * Called once per step; a simulation mirrored from elsewhere (see
+     * WorkerSimulation) calls it whenever it receives new state.
+     */
+    recordTrails() {
+        const { flock } = this;
+        for (let i = 0; i < flock.length; i++) {
+            if (Boid.ghostTrailEnabled) {
+                flock[i].recordTrail();
+            } else if (flock[i].trailPositions.length > 0) {
+                flock[i].trailPositions = [];
+            }
+        }
+    }
+
+    /**
+     * Build the flow field of the current flow parameters and seed.
+     * @param {Object} [changes] - FlowField properties overriding the parameters.
+     * @returns {import("./flow-fields.js").FlowField}
+     * @throws {Error} When the parameters do not describe a valid field.
+     * @private
+     */
+    _createFlowField(changes = {}) {
+        const spec = { seed: this.seed };
+        Object.entries(FLOW_PARAMETERS).forEach(([name, property]) => { spec[property] = this.params[name]; });
+        return createFlowField({ ...spec, ...changes });
+    }
+
+    /**
+     * Point the step context at the registered rules and their weights,
+     * when either changed since the last step.
+     * @private
+     */
+    _syncRules() {
+        const { context, rules, params } = this;
+        if (this._rulesVersion === rules.version && this._ruleWeights === params.ruleWeights) return;
+
+        const list = rules.list();
+        context.rules = list;
+        context.ruleWeights = Float64Array.from(list, (rule) => params.ruleWeights[rule.name] ?? rule.weight);
+        context.ruleForces = new Float64Array(list.length * 2);
+        this._rulesVersion = rules.version;
+        this._ruleWeights = params.ruleWeights;
+    }
+
+    /**
+     * Rebuild the spatial grid for the coming update pass. Boids updated
+     * earlier in a pass have already moved, so queries search cells as far
+     * out as a boid can travel in one update beyond their radius; this keeps
+     * the grid from missing any of the brute-force neighbors.
+     * @param {number} deltaT - Scaled time delta of the coming updates.
+     * @returns {SpatialGrid}
+     * @private
+     */
+    _rebuildGrid(deltaT) {
+        const { store } = this;
+        let maxRange = 0;
+        let maxSpeed = DEFAULT_SETTINGS.MIN_SPEED;
+        for (let i = 0; i < store.count; i++) {
+            maxRange = Math.max(maxRange, store.range[i]);
+            maxSpeed = Math.max(maxSpeed, store.maxSpeed[i]);
+        }
+
+        const padding = maxSpeed * deltaT + 1;
+        this.grid.rebuild(store, maxRange, padding, this.world.CANVAS_WIDTH, this.world.CANVAS_HEIGHT);
+        return this.grid;
+    }
+}
+
+export { Simulation, BOID_COLORS, NEIGHBOR_SEARCH_MODES };
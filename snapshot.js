@@ -0,0 +1,218 @@
+import { FLOCK_COLUMNS } from "./flock-store.js";
+
+/**
+ * Value of the `format` field every snapshot starts with.
+ * @const {string}
+ */
+const SNAPSHOT_FORMAT = "boids-snapshot";
+
+/**
+ * Version of the snapshot layout written by createSnapshot. Bumped whenever
+ * the layout changes; files of any other version are refused rather than
+ * loaded half-right.
+ * @const {number}
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Class-level `Boid` settings saved alongside the flock.
+ * @type {string[]}
+ */
+const BOID_STATICS = ["ghostTrailEnabled", "variationEnabled", "variationFrequency", "variationAmplitude"];
+
+/**
+ * Display flags of the highlighted boid saved with the snapshot, so the
+ * visualization toggles come back as they were.
+ * @type {string[]}
+ */
+const DISPLAY_FLAGS = ["FOVEnabled", "showNeighbors", "showRepel"];
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} format - Always SNAPSHOT_FORMAT.
+ * @property {number} version - SNAPSHOT_VERSION of the page that wrote it.
+ * @property {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} world
+ * @property {number} seed
+ * @property {number} randomState - Generator state, so a loaded run
+ *   continues exactly as the saved one would have.
+ * @property {number} timestep
+ * @property {number} time
+ * @property {number} stepCount
+ * @property {number} nextId
+ * @property {Object<string, *>} params - The simulation parameters.
+ * @property {Object<string, *>} boidStatics - The BOID_STATICS values.
+ * @property {{FOVEnabled:boolean, showNeighbors:boolean, showRepel:boolean, shownRules:string[]}} display
+ * @property {Object[]} species
+ * @property {string[][]} interactions
+ * @property {Object[]} obstacles
+ * @property {Object[]} attractors
+ * @property {Object[]} foodPatches
+ * @property {Object[]} boids - Per boid, slot by slot: `id`, `colorPick`,
+ *   `trail` (most recent first) and a value for every FLOCK_COLUMNS column.
+ * @property {Object[]} predators - Per predator: `id` and every column.
+ */
+
+/**
+ * The columns of one store slot as a plain object.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} index
+ * @returns {Object<string, number>}
+ */
+function slotColumns(store, index) {
+    const columns = {};
+    for (const name in FLOCK_COLUMNS) {
+        columns[name] = store[name][index];
+    }
+    return columns;
+}
+
+/**
+ * Write a record's column values (see slotColumns) into a store slot.
+ * @param {import("./flock-store.js").FlockStore} store
+ * @param {number} index
+ * @param {Object<string, number>} record
+ */
+function writeSlot(store, index, record) {
+    for (const name in FLOCK_COLUMNS) {
+        store[name][index] = record[name];
+    }
+}
+
+/**
+ * Capture the full state of a simulation as a plain, JSON-ready object:
+ * the world size, seed and generator state, clock, parameters, the `Boid`
+ * class settings, species, placed objects, and every boid and predator
+ * with its trail and all of its store columns.
+ * @param {import("./simulation.js").Simulation} simulation
+ * @returns {Snapshot}
+ */
+function createSnapshot(simulation) {
+    const { world, highlighted } = simulation;
+    const boidStatics = {};
+    BOID_STATICS.forEach((name) => { boidStatics[name] = simulation.params[name]; });
+    const display = { shownRules: highlighted ? [...highlighted.shownRules] : [] };
+    DISPLAY_FLAGS.forEach((flag) => { display[flag] = Boolean(highlighted?.[flag]); });
+
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        world: { CANVAS_WIDTH: world.CANVAS_WIDTH, CANVAS_HEIGHT: world.CANVAS_HEIGHT },
+        seed: simulation.seed,
+        randomState: simulation.random.state,
+        timestep: simulation.timestep,
+        time: simulation.time,
+        stepCount: simulation.stepCount,
+        nextId: simulation.nextId,
+        params: structuredClone(simulation.params),
+        boidStatics,
+        display,
+        species: structuredClone(simulation.species),
+        interactions: structuredClone(simulation.interactions),
+        obstacles: structuredClone(simulation.obstacles),
+        attractors: structuredClone(simulation.attractors),
+        foodPatches: structuredClone(simulation.foodPatches),
+        boids: simulation.flock.map((boid) => ({
+            id: boid.id,
+            colorPick: boid.colorPick,
+            trail: boid.trailPositions.map(({ x, y, angle }) => ({ x, y, angle })),
+            ...slotColumns(simulation.store, boid.index),
+        })),
+        predators: simulation.predators.map((predator) => ({
+            id: predator.id,
+            ...slotColumns(simulation.predatorStore, predator.index),
+        })),
+    };
+}
+
+/**
+ * Throw a snapshot error unless `condition` holds.
+ * @param {boolean} condition
+ * @param {string} message - What is wrong, completing "Invalid snapshot: ".
+ */
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(`Invalid snapshot: ${message}`);
+    }
+}
+
+/**
+ * Check that an agent record carries a finite value for every store column.
+ * @param {Object} record
+ * @param {string} label - E.g. "boid 3", for the error message.
+ */
+function checkColumns(record, label) {
+    check(record !== null && typeof record === "object", `${label} is not an object`);
+    check(Number.isInteger(record.id), `${label} has no integer id`);
+    for (const name in FLOCK_COLUMNS) {
+        check(Number.isFinite(record[name]), `${label} has no valid ${name}`);
+    }
+}
+
+/**
+ * Check that an object is a snapshot this page can load: the right format
+ * and version, and every field createSnapshot writes, well-formed. Parameter
+ * values and placed objects are checked again when they are applied.
+ * @param {*} snapshot
+ * @returns {Snapshot} The same object.
+ * @throws {Error} Naming the first problem found.
+ */
+function validateSnapshot(snapshot) {
+    check(snapshot !== null && typeof snapshot === "object" && !Array.isArray(snapshot), "not a JSON object");
+    check(snapshot.format === SNAPSHOT_FORMAT, `not a boids snapshot (format is ${JSON.stringify(snapshot.format)})`);
+    check(Number.isInteger(snapshot.version), "missing version");
+    if (snapshot.version < SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${snapshot.version} is older than the supported version ${SNAPSHOT_VERSION} and cannot be loaded`);
+    }
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${snapshot.version} is newer than the supported version ${SNAPSHOT_VERSION} and cannot be loaded`);
+    }
+
+    const { world } = snapshot;
+    check(world?.CANVAS_WIDTH > 0 && world?.CANVAS_HEIGHT > 0
+        && Number.isFinite(world.CANVAS_WIDTH) && Number.isFinite(world.CANVAS_HEIGHT), "world size must be positive");
+    for (const name of ["seed", "randomState", "nextId", "stepCount"]) {
+        check(Number.isInteger(snapshot[name]) && snapshot[name] >= 0, `${name} must be a non-negative integer`);
+    }
+    check(snapshot.timestep > 0 && Number.isFinite(snapshot.timestep), "timestep must be a positive number");
+    check(snapshot.time >= 0 && Number.isFinite(snapshot.time), "time must be a non-negative number");
+    check(snapshot.params !== null && typeof snapshot.params === "object", "missing params");
+    Object.entries(snapshot.params).forEach(([name, value]) => {
+        check(Number.isFinite(value) || typeof value === "boolean" || typeof value === "string"
+            || (value !== null && typeof value === "object" && !Array.isArray(value)),
+        `parameter ${name} has no valid value`);
+    });
+    check(snapshot.boidStatics !== null && typeof snapshot.boidStatics === "object"
+        && BOID_STATICS.every((name) => name in snapshot.boidStatics), "missing Boid settings");
+    check(Array.isArray(snapshot.display?.shownRules), "missing display flags");
+    for (const name of ["species", "interactions", "obstacles", "attractors", "foodPatches", "predators"]) {
+        check(Array.isArray(snapshot[name]), `${name} must be an array`);
+    }
+
+    check(Array.isArray(snapshot.boids) && snapshot.boids.length > 0, "it needs at least one boid");
+    snapshot.boids.forEach((boid, k) => {
+        checkColumns(boid, `boid ${k}`);
+        check(Number.isFinite(boid.colorPick), `boid ${k} has no valid colorPick`);
+        check(Array.isArray(boid.trail) && boid.trail.every((point) => Number.isFinite(point?.x) && Number.isFinite(point?.y)),
+            `boid ${k} has no valid trail`);
+    });
+    snapshot.predators.forEach((predator, k) => checkColumns(predator, `predator ${k}`));
+    return snapshot;
+}
+
+/**
+ * Parse and validate the text of a snapshot file.
+ * @param {string} text
+ * @returns {Snapshot}
+ * @throws {Error} When the text is not JSON or not a loadable snapshot.
+ */
+function parseSnapshot(text) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid snapshot: not valid JSON (${error.message})`);
+    }
+    return validateSnapshot(snapshot);
+}
+
+export { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, BOID_STATICS, DISPLAY_FLAGS, createSnapshot, validateSnapshot, parseSnapshot, writeSlot };
@@ -0,0 +1,386 @@
+import { wrapDelta } from "./utils.js";
+
+/**
+ * Spatial grid defaults.
+ * - CELLS_PER_RANGE: cells spanning the largest query radius (plus padding)
+ *   along each axis. Smaller cells fit a query's disc more tightly, so fewer
+ *   boids beyond its radius are tested, at the cost of more cells per query.
+ * @type {{CELLS_PER_RANGE:number}}
+ */
+const GRID_SETTINGS = {
+    CELLS_PER_RANGE: 3,
+};
+
+/**
+ * SpatialGrid
+ *
+ * Uniform grid over the world used to answer "which boids are near (x, y)"
+ * without scanning the whole flock. The grid is rebuilt from scratch before
+ * each update pass with a fraction of the biggest query radius as cell size
+ * (see GRID_SETTINGS), and a query visits, row by row, only the cells its
+ * disc overlaps.
+ *
+ * Boids are bucketed with a counting sort into flat typed arrays, so a rebuild
+ * is O(n) and allocates nothing once the arrays are large enough. Queries
+ * drop the boids beyond their radius while scanning the cells and return
+ * the rest as flock indices in ascending order, i.e. the same order a
+ * brute-force scan over the flock would visit them, which keeps results
+ * bit-identical. Queries allocate nothing either. Queries can wrap around
+ * the world edges for toroidal worlds.
+ */
+class SpatialGrid {
+    constructor() {
+        this.cellSize = 1;
+        this.padding = 0;
+        this.cols = 1;
+        this.rows = 1;
+        this.cellStart = new Int32Array(2);
+        this.cellItems = new Int32Array(0);
+        this.itemCells = new Int32Array(0);
+        this.queryBuffer = new Int32Array(0); // indices the last query found
+        this.marks = new Int32Array(0); // one bit per boid, set while a query collects it
+        this.width = 1;
+        this.height = 1;
+        // Position columns of the store last rebuilt from, read by queries
+        this.x = new Float32Array(0);
+        this.y = new Float32Array(0);
+        // Column and row ranges of the current query, as [start, end] pairs
+        this._colRanges = new Int32Array(4);
+        this._rowRanges = new Int32Array(4);
+    }
+
+    /**
+     * Bucket every boid of the flock into the grid.
+     * @param {import("./flock-store.js").FlockStore} store - Flock positions.
+     * @param {number} range - Largest query radius that will be used.
+     * @param {number} padding - Extra distance queries widen their search by
+     *   to cover boids that move after the rebuild (at most one update's travel).
+     * @param {number} width - World width; positions outside it are clamped to the edge cells.
+     * @param {number} height - World height.
+     */
+    rebuild(store, range, padding, width, height) {
+        const { count } = store;
+        this.padding = padding;
+        this.width = width;
+        this.height = height;
+        this.x = store.x;
+        this.y = store.y;
+        // Never more cells than boids, so a short range over a large world stays cheap to rebuild
+        this.cellSize = Math.max(1, (range + padding) / GRID_SETTINGS.CELLS_PER_RANGE, Math.sqrt((width * height) / Math.max(1, count)));
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+        const cellCount = this.cols * this.rows;
+        if (this.cellStart.length < cellCount + 1) {
+            this.cellStart = new Int32Array(cellCount + 1);
+        } else {
+            this.cellStart.fill(0, 0, cellCount + 1);
+        }
+        if (this.cellItems.length < count) {
+            this.cellItems = new Int32Array(count);
+            this.itemCells = new Int32Array(count);
+            this.queryBuffer = new Int32Array(count);
+            this.marks = new Int32Array((count + 31) >> 5);
+        }
+
+        // Count boids per cell (shifted by one so the prefix sum yields start offsets)
+        for (let i = 0; i < count; i++) {
+            const cell = this._cellIndex(this._col(store.x[i]), this._row(store.y[i]));
+            this.itemCells[i] = cell;
+            this.cellStart[cell + 1]++;
+        }
+        for (let c = 0; c < cellCount; c++) {
+            this.cellStart[c + 1] += this.cellStart[c];
+        }
+
+        // Scatter indices in flock order so each cell's bucket stays sorted
+        for (let i = 0; i < count; i++) {
+            const cell = this.itemCells[i];
+            this.cellItems[this.cellStart[cell]++] = i;
+        }
+        // Scattering advanced each start to the next cell's start; shift back
+        for (let c = cellCount; c > 0; c--) {
+            this.cellStart[c] = this.cellStart[c - 1];
+        }
+        this.cellStart[0] = 0;
+    }
+
+    /**
+     * Collect the flock indices of the boids that are, at their current
+     * position, within `radius` of (x, y). The cells visited are widened by
+     * the padding, as boids may have moved that far since the rebuild, so
+     * no boid within `radius` now is missed. Distances are measured as the
+     * rules measure them (offsets wrapped across the edges when `wrap` is
+     * on, then `Math.sqrt`), so the result is exactly the boids a scan of
+     * the whole flock would find within `radius`; callers still apply
+     * their other tests.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @param {boolean} [wrap=false] - Let the search wrap around the world
+     *   edges (toroidal world) instead of being cut off at them.
+     * @returns {number} Number of indices found, in ascending order at the
+     *   start of `queryBuffer`, which the next query overwrites.
+     */
+    query(x, y, radius, wrap = false) {
+        const reach = radius + this.padding;
+        const rowRangeCount = this._ranges(y, reach, this.height, this.rows, wrap, this._rowRanges);
+        const { cellStart, cellItems, queryBuffer, marks, width, height } = this;
+        const xs = this.x;
+        const ys = this.y;
+        // Squared distances past this are beyond `radius` whatever the rounding of the square root
+        const rejectBeyond = radius * radius * (1 + 1e-9);
+
+        let count = 0;
+        let low = Infinity;
+        let high = -1;
+        for (let r = 0; r < rowRangeCount; r++) {
+            for (let row = this._rowRanges[2 * r]; row <= this._rowRanges[2 * r + 1]; row++) {
+                // Rows away from the point only need the columns of the disc's chord through them
+                const gap = this._gap(y, row, this.height, this.rows, wrap);
+                if (gap > reach) continue;
+                const chord = Math.sqrt(reach * reach - gap * gap);
+                const colRangeCount = this._ranges(x, chord, width, this.cols, wrap, this._colRanges);
+                for (let c = 0; c < colRangeCount; c++) {
+                    const first = this._cellIndex(this._colRanges[2 * c], row);
+                    // Cells of a row are adjacent, so their buckets are too
+                    const end = cellStart[first + this._colRanges[2 * c + 1] - this._colRanges[2 * c] + 1];
+                    for (let k = cellStart[first]; k < end; k++) {
+                        const j = cellItems[k];
+                        let deltaX = xs[j] - x;
+                        let deltaY = ys[j] - y;
+                        if (wrap) {
+                            deltaX = wrapDelta(deltaX, width);
+                            deltaY = wrapDelta(deltaY, height);
+                        }
+                        const squared = deltaX * deltaX + deltaY * deltaY;
+                        if (squared <= rejectBeyond && Math.sqrt(squared) <= radius) {
+                            queryBuffer[count++] = j;
+                            marks[j >> 5] |= 1 << (j & 31);
+                            if (j < low) low = j;
+                            if (j > high) high = j;
+                        }
+                    }
+                }
+            }
+        }
+
+        this._sortResults(count, low >> 5, high >> 5);
+        return count;
+    }
+
+    /**
+     * Number of boids bucketed in the cell holding (x, y), a measure of how
+     * crowded the flock is there.
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    cellCount(x, y) {
+        const cell = this._cellIndex(this._col(x), this._row(y));
+        return this.cellStart[cell + 1] - this.cellStart[cell];
+    }
+
+    /**
+     * Distance from boid `index` to the nearest other boid, searching the
+     * cells around it ring by ring until no cell farther out can hold a
+     * nearer one. Boids may have moved up to `padding` since the rebuild.
+     * @param {number} index
+     * @param {boolean} [wrap=false] - Measure across the world edges
+     *   (toroidal world), as the rules do.
+     * @returns {number} Infinity when there is no other boid.
+     */
+    nearestDistance(index, wrap = false) {
+        const { cellStart, cellItems, cellSize, cols, rows, width, height } = this;
+        const xs = this.x;
+        const ys = this.y;
+        const x = xs[index];
+        const y = ys[index];
+        const col = this._col(x);
+        const row = this._row(y);
+        // A wrapped ring can cross the narrower last column or row once
+        const slack = (wrap ? 2 : 1) * cellSize + this.padding;
+
+        let best = Infinity;
+        const lastRing = Math.max(cols, rows);
+        for (let ring = 0; ring <= lastRing; ring++) {
+            // Cells `ring` or more cells away are at least this far
+            const reach = ring * cellSize - slack;
+            if (reach > 0 && best <= reach * reach) break;
+
+            for (let r = row - ring; r <= row + ring; r++) {
+                const wrappedRow = wrap ? ((r % rows) + rows) % rows : r;
+                if (wrappedRow < 0 || wrappedRow >= rows) continue;
+                // Only the ring's border: every cell of its first and last rows, the two ends of the others
+                const stride = ring > 0 && r !== row - ring && r !== row + ring ? 2 * ring : 1;
+                for (let c = col - ring; c <= col + ring; c += stride) {
+                    const wrappedCol = wrap ? ((c % cols) + cols) % cols : c;
+                    if (wrappedCol < 0 || wrappedCol >= cols) continue;
+                    const cell = this._cellIndex(wrappedCol, wrappedRow);
+                    const end = cellStart[cell + 1];
+                    for (let k = cellStart[cell]; k < end; k++) {
+                        const j = cellItems[k];
+                        if (j === index) continue;
+                        let deltaX = xs[j] - x;
+                        let deltaY = ys[j] - y;
+                        if (wrap) {
+                            deltaX = wrapDelta(deltaX, width);
+                            deltaY = wrapDelta(deltaY, height);
+                        }
+                        const squared = deltaX * deltaX + deltaY * deltaY;
+                        if (squared < best) best = squared;
+                    }
+                }
+            }
+        }
+        return Math.sqrt(best);
+    }
+
+    /**
+     * Put the indices a query collected into ascending order in
+     * `queryBuffer` and clear their marks. Many indices are read back in
+     * order from the marks (one bit per boid), a few are insertion sorted.
+     * @param {number} count - Indices collected.
+     * @param {number} firstWord - Word of `marks` holding the lowest index.
+     * @param {number} lastWord - Word of `marks` holding the highest index.
+     * @private
+     */
+    _sortResults(count, firstWord, lastWord) {
+        const { queryBuffer, marks } = this;
+        if (count * count < 4 * (lastWord - firstWord + 1)) {
+            for (let k = 0; k < count; k++) {
+                const j = queryBuffer[k];
+                marks[j >> 5] = 0;
+                let n = k;
+                for (; n > 0 && queryBuffer[n - 1] > j; n--) {
+                    queryBuffer[n] = queryBuffer[n - 1];
+                }
+                queryBuffer[n] = j;
+            }
+            return;
+        }
+
+        let k = 0;
+        for (let word = firstWord; word <= lastWord; word++) {
+            let bits = marks[word];
+            if (bits === 0) continue;
+            marks[word] = 0;
+            while (bits !== 0) {
+                // Lowest set bit first
+                queryBuffer[k++] = (word << 5) | (31 - Math.clz32(bits & -bits));
+                bits &= bits - 1;
+            }
+        }
+    }
+
+    /**
+     * Distance along one axis from `center` to the nearest point of a row
+     * or column of cells. Without wrapping the edge cells extend beyond the
+     * world, as positions outside it are clamped into them.
+     * @param {number} center
+     * @param {number} cell
+     * @param {number} size - World size along the axis.
+     * @param {number} cells - Number of cells along the axis.
+     * @param {boolean} wrap
+     * @returns {number}
+     * @private
+     */
+    _gap(center, cell, size, cells, wrap) {
+        const start = cell * this.cellSize;
+        const end = Math.min(start + this.cellSize, size);
+        if (wrap) {
+            // Walk forward from the start of the cells to the center, around the world if need be
+            const offset = (((center - start) % size) + size) % size;
+            return offset <= end - start ? 0 : Math.min(offset - (end - start), size - offset);
+        }
+        if (center < start && cell > 0) return start - center;
+        if (center > end && cell < cells - 1) return center - end;
+        return 0;
+    }
+
+    /**
+     * Split the interval [center - radius, center + radius] along one axis
+     * into non-overlapping cell ranges. Without wrapping the interval is
+     * clamped to the grid; with wrapping the parts beyond an edge continue
+     * from the opposite edge.
+     * @param {number} center
+     * @param {number} radius
+     * @param {number} size - World size along the axis.
+     * @param {number} cells - Number of cells along the axis.
+     * @param {boolean} wrap
+     * @param {Int32Array} ranges - Receives [start, end] cell pairs.
+     * @returns {number} Number of ranges written (1 or 2).
+     * @private
+     */
+    _ranges(center, radius, size, cells, wrap, ranges) {
+        const min = center - radius;
+        const max = center + radius;
+        ranges[0] = this._cell(min, cells);
+        ranges[1] = this._cell(max, cells);
+        if (!wrap || (min >= 0 && max < size)) return 1;
+
+        const last = cells - 1;
+        if (max - min >= size) {
+            ranges[0] = 0;
+            ranges[1] = last;
+            return 1;
+        }
+
+        // The wrapped part continues from the opposite edge
+        const wrappedStart = min < 0 ? this._cell(min + size, cells) : 0;
+        const wrappedEnd = min < 0 ? last : this._cell(max - size, cells);
+        if (wrappedStart <= ranges[1] + 1 && wrappedEnd >= ranges[0] - 1) {
+            // Overlapping or adjacent ranges cover everything in between
+            ranges[0] = Math.min(ranges[0], wrappedStart);
+            ranges[1] = Math.max(ranges[1], wrappedEnd);
+            return 1;
+        }
+        ranges[2] = wrappedStart;
+        ranges[3] = wrappedEnd;
+        return 2;
+    }
+
+    /**
+     * Column of an x coordinate, clamped to the grid.
+     * @param {number} x
+     * @returns {number}
+     * @private
+     */
+    _col(x) {
+        return this._cell(x, this.cols);
+    }
+
+    /**
+     * Row of a y coordinate, clamped to the grid.
+     * @param {number} y
+     * @returns {number}
+     * @private
+     */
+    _row(y) {
+        return this._cell(y, this.rows);
+    }
+
+    /**
+     * Cell along one axis of a coordinate, clamped to [0, cells - 1].
+     * @param {number} value
+     * @param {number} cells
+     * @returns {number}
+     * @private
+     */
+    _cell(value, cells) {
+        return Math.min(cells - 1, Math.max(0, Math.floor(value / this.cellSize)));
+    }
+
+    /**
+     * Flat index of a cell.
+     * @param {number} col
+     * @param {number} row
+     * @returns {number}
+     * @private
+     */
+    _cellIndex(col, row) {
+        return row * this.cols + col;
+    }
+}
+
+export { SpatialGrid, GRID_SETTINGS };
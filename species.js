@@ -0,0 +1,134 @@
+/**
+ * How boids of one species treat boids of another they can see.
+ * - flock: a flockmate, counted for cohesion, separation and alignment
+ * - avoid: kept away from across the whole perception range
+ * - ignore: not perceived at all
+ * @enum {string}
+ */
+const SPECIES_INTERACTIONS = {
+    FLOCK: "flock",
+    AVOID: "avoid",
+    IGNORE: "ignore",
+};
+
+/**
+ * Numeric codes of the interactions in the table the rules read (see
+ * interactionTable).
+ * @type {Object<string, number>}
+ */
+const INTERACTION_CODES = {
+    [SPECIES_INTERACTIONS.IGNORE]: 0,
+    [SPECIES_INTERACTIONS.FLOCK]: 1,
+    [SPECIES_INTERACTIONS.AVOID]: 2,
+};
+
+/**
+ * Simulation parameters a species scales for its boids. A boid's value is
+ * the simulation-wide parameter times its species' scale, so the sliders keep
+ * working with several species.
+ * @type {string[]}
+ */
+const SPECIES_SCALED_PARAMETERS = ["cohereCoefficient", "separationCoefficient", "alignCoefficient", "maxSpeed", "fovAngle"];
+
+/**
+ * Species offered by the UI, in order. The first one is the default flock
+ * with the original blue palette.
+ * @type {{name:string, colors:string[]}[]}
+ */
+const DEFAULT_SPECIES = [
+    { name: "Blue", colors: ["#3b82f6", "#106db9ff", "#0bf5f5ff", "#44b9efff"] },
+    { name: "Orange", colors: ["#f97316"] },
+    { name: "Lime", colors: ["#84cc16"] },
+    { name: "Pink", colors: ["#ec4899"] },
+];
+
+/**
+ * Limit on the number of species; the species column is a byte per boid.
+ * @const {number}
+ */
+const MAX_SPECIES = 255;
+
+/**
+ * A named kind of boid. Species are plain data, so they can be posted to a
+ * worker.
+ * @typedef {Object} Species
+ * @property {string} name
+ * @property {string[]} colors - Boids are painted with one of these at random.
+ * @property {Object<string, number>} scales - Multiplier per SPECIES_SCALED_PARAMETERS entry.
+ */
+
+/**
+ * Build a species from a description, filling in the defaults: scales of 1
+ * and the colors of the DEFAULT_SPECIES entry at the same position.
+ * @param {{name?:string, colors?:string[], scales?:Object<string, number>}} spec
+ * @param {number} index - Position of the species in its list.
+ * @returns {Species}
+ * @throws {Error} When it has no color, or a scale is negative, not finite or unknown.
+ */
+function createSpecies({ name, colors, scales = {} }, index) {
+    const template = DEFAULT_SPECIES[index % DEFAULT_SPECIES.length];
+    colors = colors ?? template.colors;
+    if (!Array.isArray(colors) || colors.length === 0) {
+        throw new Error("A species needs at least one color");
+    }
+
+    const normalized = {};
+    for (const parameter of SPECIES_SCALED_PARAMETERS) {
+        normalized[parameter] = scales[parameter] ?? 1;
+        if (!Number.isFinite(normalized[parameter]) || normalized[parameter] < 0) {
+            throw new Error(`Species scale for ${parameter} must be a non-negative number`);
+        }
+    }
+    const unknown = Object.keys(scales).find((parameter) => !SPECIES_SCALED_PARAMETERS.includes(parameter));
+    if (unknown) {
+        throw new Error(`Species cannot scale parameter: ${unknown}`);
+    }
+
+    return { name: String(name ?? template.name), colors: [...colors], scales: normalized };
+}
+
+/**
+ * Build the interaction matrix of `count` species: `matrix[a][b]` is how
+ * species `a` treats species `b`. Entries missing from `interactions` default
+ * to flocking with their own kind and avoiding the others.
+ * @param {number} count
+ * @param {string[][]} [interactions=[]] - Rows of SPECIES_INTERACTIONS values.
+ * @returns {string[][]}
+ * @throws {Error} When an entry is not a known interaction.
+ */
+function createInteractions(count, interactions = []) {
+    return Array.from({ length: count }, (_, a) => Array.from({ length: count }, (_, b) => {
+        const interaction = interactions[a]?.[b]
+            ?? (a === b ? SPECIES_INTERACTIONS.FLOCK : SPECIES_INTERACTIONS.AVOID);
+        if (!(interaction in INTERACTION_CODES)) {
+            throw new Error(`Unknown species interaction: ${interaction}`);
+        }
+        return interaction;
+    }));
+}
+
+/**
+ * Flatten an interaction matrix into the table the rules read: the code of
+ * `matrix[a][b]` (see INTERACTION_CODES) at `a * count + b`.
+ * @param {string[][]} matrix
+ * @returns {Uint8Array}
+ */
+function interactionTable(matrix) {
+    const count = matrix.length;
+    const table = new Uint8Array(count * count);
+    matrix.forEach((row, a) => row.forEach((interaction, b) => {
+        table[a * count + b] = INTERACTION_CODES[interaction];
+    }));
+    return table;
+}
+
+export {
+    SPECIES_INTERACTIONS,
+    INTERACTION_CODES,
+    SPECIES_SCALED_PARAMETERS,
+    DEFAULT_SPECIES,
+    MAX_SPECIES,
+    createSpecies,
+    createInteractions,
+    interactionTable,
+};
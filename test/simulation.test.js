@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { STATE_COLUMNS } from "../flock-store.js";
+import { Simulation } from "../simulation.js";
+
+/**
+ * A seeded simulation of a small world with the given parameters set.
+ * @param {Object<string, *>} [params={}]
+ * @param {number} [seed=11]
+ * @returns {Simulation}
+ */
+function createSimulation(params = {}, seed = 11) {
+    const simulation = new Simulation({ numBoids: 300, seed, world: { CANVAS_WIDTH: 700, CANVAS_HEIGHT: 500 } });
+    Object.entries(params).forEach(([name, value]) => simulation.setParameter(name, value));
+    return simulation;
+}
+
+/**
+ * The dynamic state of every boid plus its neighbor count, for exact comparisons.
+ * @param {Simulation} simulation
+ * @returns {number[]}
+ */
+function flockState(simulation) {
+    const { store } = simulation;
+    const state = [];
+    for (const name of [...STATE_COLUMNS, "neighborCount"]) {
+        state.push(...store[name].subarray(0, store.count));
+    }
+    return state;
+}
+
+/**
+ * Step a simulation `steps` times.
+ * @param {Simulation} simulation
+ * @param {number} steps
+ */
+function run(simulation, steps) {
+    for (let s = 0; s < steps; s++) {
+        simulation.step();
+    }
+}
+
+const NEIGHBOR_CASES = {
+    "metric": {},
+    "metric, wrapped": { boundary: "wrap" },
+    "metric, narrow field of view": { fovAngle: 0.3 },
+    "topological, wrapped": { neighborhood: "topological", boundary: "wrap" },
+    "hybrid": { neighborhood: "hybrid" },
+    "hybrid with occlusion, wrapped": { neighborhood: "hybrid", occlusion: true, boundary: "wrap" },
+    "predators": { predatorCount: 2 },
+    "distributed ranges": { range: { mean: 60, spread: 0.5, shape: "normal" } },
+};
+
+for (const [label, params] of Object.entries(NEIGHBOR_CASES)) {
+    test(`grid and brute-force neighbor search step identically (${label})`, () => {
+        const grid = createSimulation({ ...params, neighborSearch: "grid" });
+        const brute = createSimulation({ ...params, neighborSearch: "brute" });
+        run(grid, 40);
+        run(brute, 40);
+        assert.deepEqual(flockState(grid), flockState(brute));
+    });
+}
+
+test("grid and brute-force search step identically with two species", () => {
+    const [grid, brute] = ["grid", "brute"].map((search) => {
+        const simulation = createSimulation({ neighborhood: "hybrid", neighborSearch: search });
+        simulation.setSpecies([{}, {}]);
+        run(simulation, 40);
+        return simulation;
+    });
+    assert.deepEqual(flockState(grid), flockState(brute));
+});
+
+test("a seed replays the same run", () => {
+    const first = createSimulation({ boundary: "wrap" }, 1234);
+    const second = createSimulation({ boundary: "wrap" }, 1234);
+    run(first, 60);
+    run(second, 60);
+    assert.deepEqual(flockState(first), flockState(second));
+
+    const other = createSimulation({ boundary: "wrap" }, 4321);
+    run(other, 60);
+    assert.notDeepEqual(flockState(other), flockState(first));
+});
+
+test("reset with the same seed starts the run over", () => {
+    const simulation = createSimulation({}, 99);
+    run(simulation, 30);
+    const after30 = flockState(simulation);
+    simulation.reset(99);
+    run(simulation, 30);
+    assert.deepEqual(flockState(simulation), after30);
+});
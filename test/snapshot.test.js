@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { STATE_COLUMNS } from "../flock-store.js";
+import { Simulation } from "../simulation.js";
+import { SNAPSHOT_VERSION, parseSnapshot } from "../snapshot.js";
+
+/**
+ * A seeded simulation that has flocked for a while, with a few settings
+ * away from their defaults so the snapshot has something to carry.
+ * @returns {Simulation}
+ */
+function createSimulation() {
+    const simulation = new Simulation({ numBoids: 120, seed: 5, world: { CANVAS_WIDTH: 640, CANVAS_HEIGHT: 480 } });
+    simulation.setParameter("boundary", "wrap");
+    simulation.setParameter("range", 80);
+    simulation.setParameter("predatorCount", 1);
+    for (let s = 0; s < 30; s++) {
+        simulation.step();
+    }
+    return simulation;
+}
+
+/**
+ * The dynamic state of every boid and predator, for exact comparisons.
+ * @param {Simulation} simulation
+ * @returns {number[]}
+ */
+function state(simulation) {
+    const values = [simulation.stepCount, simulation.time];
+    for (const store of [simulation.store, simulation.predatorStore]) {
+        for (const name of STATE_COLUMNS) {
+            values.push(...store[name].subarray(0, store.count));
+        }
+    }
+    return values;
+}
+
+test("a snapshot saved as JSON loads into a simulation that continues the run", () => {
+    const original = createSimulation();
+    const text = JSON.stringify(original.toSnapshot());
+
+    const loaded = new Simulation({ numBoids: 10, seed: 1 });
+    loaded.loadSnapshot(parseSnapshot(text));
+    assert.equal(loaded.world.CANVAS_WIDTH, original.world.CANVAS_WIDTH);
+    assert.equal(loaded.world.CANVAS_HEIGHT, original.world.CANVAS_HEIGHT);
+    assert.deepEqual(loaded.params, original.params);
+    assert.deepEqual(state(loaded), state(original));
+
+    for (let s = 0; s < 30; s++) {
+        original.step();
+        loaded.step();
+    }
+    assert.deepEqual(state(loaded), state(original));
+});
+
+/**
+ * A saved snapshot with `change` applied to it, as file text.
+ * @param {function(Object):void} change
+ * @returns {string}
+ */
+function alteredSnapshot(change) {
+    const snapshot = createSimulation().toSnapshot();
+    change(snapshot);
+    return JSON.stringify(snapshot);
+}
+
+test("snapshots of other versions are refused", () => {
+    assert.throws(() => parseSnapshot(alteredSnapshot((snapshot) => { snapshot.version = SNAPSHOT_VERSION - 1; })), /older than the supported version/);
+    assert.throws(() => parseSnapshot(alteredSnapshot((snapshot) => { snapshot.version = SNAPSHOT_VERSION + 1; })), /newer than the supported version/);
+    assert.throws(() => parseSnapshot(alteredSnapshot((snapshot) => { delete snapshot.version; })), /missing version/);
+});
+
+test("malformed snapshots are refused", () => {
+    assert.throws(() => parseSnapshot("{ not json"), /not valid JSON/);
+    assert.throws(() => parseSnapshot("[]"), /not a JSON object/);
+    assert.throws(() => parseSnapshot(alteredSnapshot((snapshot) => { snapshot.format = "something-else"; })), /not a boids snapshot/);
+    assert.throws(() => parseSnapshot(alteredSnapshot((snapshot) => { snapshot.boids = []; })), /at least one boid/);
+    assert.throws(() => parseSnapshot(alteredSnapshot((snapshot) => { snapshot.boids[3].vx = "fast"; })), /boid 3 has no valid vx/);
+    assert.throws(() => parseSnapshot(alteredSnapshot((snapshot) => { snapshot.world.CANVAS_WIDTH = -1; })), /world size must be positive/);
+});
+
+test("a refused snapshot leaves the simulation as it was", () => {
+    const simulation = createSimulation();
+    const before = state(simulation);
+    const params = structuredClone(simulation.params);
+
+    const unknownParameter = JSON.parse(alteredSnapshot((snapshot) => { snapshot.params.warpDrive = 1; }));
+    assert.throws(() => simulation.loadSnapshot(unknownParameter), /unknown simulation parameter warpDrive/);
+    const badValue = JSON.parse(alteredSnapshot((snapshot) => { snapshot.params.boundary = "nowhere"; }));
+    assert.throws(() => simulation.loadSnapshot(badValue), /Invalid snapshot/);
+
+    assert.deepEqual(state(simulation), before);
+    assert.deepEqual(simulation.params, params);
+});
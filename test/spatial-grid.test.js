@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FlockStore } from "../flock-store.js";
+import { createRandom } from "../random.js";
+import { FieldOfView, isInFieldOfView } from "../rules.js";
+import { SpatialGrid } from "../spatial-grid.js";
+import { wrapDelta } from "../utils.js";
+
+/**
+ * A store of `count` boids at seeded random positions. Unless `wrap` is on,
+ * some are outside the world, as boids can be with the soft boundary.
+ * @param {number} count
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} wrap
+ * @param {number} seed
+ * @returns {FlockStore}
+ */
+function scatter(count, width, height, wrap, seed) {
+    const random = createRandom(seed);
+    const margin = wrap ? 0 : 0.1;
+    const store = new FlockStore(count);
+    for (let n = 0; n < count; n++) {
+        const i = store.add();
+        store.x[i] = (random() * (1 + 2 * margin) - margin) * width;
+        store.y[i] = (random() * (1 + 2 * margin) - margin) * height;
+    }
+    return store;
+}
+
+/**
+ * Indices within `radius` of (x, y), found by scanning the whole store.
+ * @param {FlockStore} store
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} wrap
+ * @returns {number[]}
+ */
+function bruteQuery(store, x, y, radius, width, height, wrap) {
+    const found = [];
+    for (let j = 0; j < store.count; j++) {
+        let deltaX = store.x[j] - x;
+        let deltaY = store.y[j] - y;
+        if (wrap) {
+            deltaX = wrapDelta(deltaX, width);
+            deltaY = wrapDelta(deltaY, height);
+        }
+        if (Math.sqrt(deltaX * deltaX + deltaY * deltaY) <= radius) found.push(j);
+    }
+    return found;
+}
+
+for (const wrap of [false, true]) {
+    for (const [width, height, range] of [[800, 600, 150], [800, 600, 20], [130, 95, 150]]) {
+        test(`grid queries match a brute-force scan (${width}×${height}, range ${range}${wrap ? ", wrapped" : ""})`, () => {
+            const store = scatter(1500, width, height, wrap, 42);
+            const grid = new SpatialGrid();
+            grid.rebuild(store, range, 3, width, height);
+            for (let i = 0; i < store.count; i += 7) {
+                for (const radius of [range, range / 3]) {
+                    const count = grid.query(store.x[i], store.y[i], radius, wrap);
+                    const expected = bruteQuery(store, store.x[i], store.y[i], radius, width, height, wrap);
+                    assert.deepEqual([...grid.queryBuffer.subarray(0, count)], expected);
+                }
+            }
+        });
+    }
+}
+
+test("nearestDistance matches a brute-force scan", () => {
+    const store = scatter(500, 800, 600, false, 7);
+    const grid = new SpatialGrid();
+    grid.rebuild(store, 50, 2, 800, 600);
+    for (let i = 0; i < store.count; i += 5) {
+        let best = Infinity;
+        for (let j = 0; j < store.count; j++) {
+            if (j !== i) best = Math.min(best, Math.hypot(store.x[j] - store.x[i], store.y[j] - store.y[i]));
+        }
+        assert.ok(Math.abs(grid.nearestDistance(i) - best) < 1e-9);
+    }
+});
+
+test("FieldOfView agrees with isInFieldOfView", () => {
+    const random = createRandom(3);
+    const store = new FlockStore(1);
+    const i = store.add();
+    const fieldOfView = new FieldOfView();
+    const sides = [0, 0.4, Math.PI / 2, 2, Math.PI, 4, -0.3];
+    for (const left of sides) {
+        for (const right of sides) {
+            store.leftSideFOV[i] = left;
+            store.rightSideFOV[i] = right;
+            for (let n = 0; n < 300; n++) {
+                store.vx[i] = random() * 2 - 1;
+                store.vy[i] = random() * 2 - 1;
+                fieldOfView.aim(store, i);
+                const deltaX = n % 30 === 0 ? 0 : random() * 200 - 100;
+                const deltaY = n % 30 === 0 ? 0 : random() * 200 - 100;
+                assert.equal(fieldOfView.contains(deltaX, deltaY), isInFieldOfView(store, i, fieldOfView.heading, deltaX, deltaY));
+            }
+        }
+    }
+});
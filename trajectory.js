@@ -0,0 +1,199 @@
+/**
+ * Fields of a trajectory row, in column order: the step the row was
+ * captured after (`frame`), the simulation clock in seconds, the boid id,
+ * its position and velocity, its neighbor count, and the cohesion,
+ * separation and alignment vectors applied to it in that step (weighted,
+ * as stored in the steer columns).
+ * @type {string[]}
+ */
+const TRAJECTORY_FIELDS = [
+    "frame",
+    "time",
+    "id",
+    "x",
+    "y",
+    "vx",
+    "vy",
+    "neighborCount",
+    "cohereX",
+    "cohereY",
+    "separateX",
+    "separateY",
+    "alignX",
+    "alignY",
+];
+
+/**
+ * Store columns read for every boid: the row fields after frame, time and id.
+ * @type {string[]}
+ */
+const BOID_FIELDS = TRAJECTORY_FIELDS.slice(3);
+
+/**
+ * Export formats: comma-separated values with a header row, or one JSON
+ * object per line.
+ * @enum {string}
+ */
+const TRAJECTORY_FORMATS = {
+    CSV: "csv",
+    NDJSON: "ndjson",
+};
+
+/**
+ * MIME type of each export format.
+ * @type {Object<string, string>}
+ */
+const TRAJECTORY_MIME_TYPES = {
+    [TRAJECTORY_FORMATS.CSV]: "text/csv",
+    [TRAJECTORY_FORMATS.NDJSON]: "application/x-ndjson",
+};
+
+/**
+ * Write a number with the precision of the 32-bit store columns it came
+ * from, so exports do not carry float noise (`0.1` rather than
+ * `0.10000000149011612`).
+ * @param {number} value
+ * @returns {number}
+ */
+function roundValue(value) {
+    return Number.isInteger(value) ? value : Number(value.toPrecision(7));
+}
+
+/**
+ * TrajectoryLog
+ *
+ * The per-boid rows (see TRAJECTORY_FIELDS) of the steps in a window
+ * `(from, to]`, captured after each step and exported as CSV or NDJSON.
+ * Each frame is kept as one typed array, so long windows of large flocks
+ * stay compact until they are written out.
+ *
+ * As in the recorder, capturing a step at or before the newest frame (after
+ * seeking back on the timeline) drops the frames from that step on, so the
+ * log always holds one continuous run.
+ */
+class TrajectoryLog {
+    /**
+     * @param {{from?:number, to?:number}} [window] - Steps after `from` up to
+     *   and including `to` are captured.
+     */
+    constructor({ from = 0, to = Infinity } = {}) {
+        this.from = from;
+        this.to = to;
+        /** @type {{frame:number, time:number, ids:Int32Array, values:Float32Array}[]} */
+        this.frames = [];
+    }
+
+    /** @returns {number} Rows captured so far, one per boid per frame. */
+    get rowCount() {
+        return this.frames.reduce((rows, frame) => rows + frame.ids.length, 0);
+    }
+
+    /**
+     * Capture the rows of the step a simulation has just taken, when it falls
+     * inside the window.
+     * @param {import("./simulation.js").Simulation|import("./worker-simulation.js").WorkerSimulation} simulation
+     *   With a WorkerSimulation, turn on its `tracing` so the mirror holds
+     *   every boid's rule vectors and neighbor count.
+     */
+    capture(simulation) {
+        const { stepCount, store, flock } = simulation;
+        if (stepCount <= this.from || stepCount > this.to) return;
+        while (this.frames.length > 0 && this.frames[this.frames.length - 1].frame >= stepCount) {
+            this.frames.pop();
+        }
+
+        const { count } = store;
+        const values = new Float32Array(count * BOID_FIELDS.length);
+        BOID_FIELDS.forEach((name, c) => {
+            const column = store[name];
+            for (let i = 0; i < count; i++) {
+                values[i * BOID_FIELDS.length + c] = column[i];
+            }
+        });
+        this.frames.push({
+            frame: stepCount,
+            time: simulation.time,
+            ids: Int32Array.from(flock, (boid) => boid.id),
+            values,
+        });
+    }
+
+    /**
+     * Call `callback` with the values of every row (in TRAJECTORY_FIELDS
+     * order), frame by frame and slot by slot. The array is reused.
+     * @param {function(number[]):void} callback
+     */
+    forEachRow(callback) {
+        const row = new Array(TRAJECTORY_FIELDS.length);
+        this.frames.forEach(({ frame, time, ids, values }) => {
+            row[0] = frame;
+            row[1] = roundValue(time);
+            for (let i = 0; i < ids.length; i++) {
+                row[2] = ids[i];
+                for (let c = 0; c < BOID_FIELDS.length; c++) {
+                    row[3 + c] = roundValue(values[i * BOID_FIELDS.length + c]);
+                }
+                callback(row);
+            }
+        });
+    }
+
+    /**
+     * The rows as CSV, with a header row of the field names.
+     * @returns {string}
+     */
+    toCSV() {
+        const lines = [TRAJECTORY_FIELDS.join(",")];
+        this.forEachRow((row) => lines.push(row.join(",")));
+        return `${lines.join("\n")}\n`;
+    }
+
+    /**
+     * The rows as newline-delimited JSON, one object keyed by field name per row.
+     * @returns {string}
+     */
+    toNDJSON() {
+        const lines = [];
+        this.forEachRow((row) => {
+            const record = {};
+            TRAJECTORY_FIELDS.forEach((name, c) => { record[name] = row[c]; });
+            lines.push(JSON.stringify(record));
+        });
+        return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+    }
+
+    /**
+     * The rows in one of TRAJECTORY_FORMATS.
+     * @param {string} format
+     * @returns {string}
+     * @throws {Error} On an unknown format.
+     */
+    serialize(format) {
+        if (format === TRAJECTORY_FORMATS.CSV) return this.toCSV();
+        if (format === TRAJECTORY_FORMATS.NDJSON) return this.toNDJSON();
+        throw new Error(`Unknown trajectory format: ${format}`);
+    }
+}
+
+/**
+ * Step a simulation through `duration` seconds of simulated time and return
+ * the trajectory of every boid over those steps, e.g. for batch analysis in
+ * Node:
+ *
+ *     const csv = recordTrajectory(simulation, 10).toCSV();
+ *
+ * @param {import("./simulation.js").Simulation} simulation
+ * @param {number} duration - Seconds; rounded to whole steps.
+ * @returns {TrajectoryLog}
+ */
+function recordTrajectory(simulation, duration) {
+    const steps = Math.round((duration * 1000) / simulation.timestep);
+    const log = new TrajectoryLog({ from: simulation.stepCount, to: simulation.stepCount + steps });
+    for (let i = 0; i < steps; i++) {
+        simulation.step();
+        log.capture(simulation);
+    }
+    return log;
+}
+
+export { TRAJECTORY_FIELDS, TRAJECTORY_FORMATS, TRAJECTORY_MIME_TYPES, TrajectoryLog, recordTrajectory };
@@ -1,6 +1,141 @@
 import { flock } from "./world.js";
+import { OBSTACLE_SHAPES, regularPolygon } from "./obstacles.js";
+import { parseSeed, randomSeed } from "./random.js";
+import { parseSnapshot } from "./snapshot.js";
+import { TRAJECTORY_FORMATS, TRAJECTORY_MIME_TYPES } from "./trajectory.js";
+import {
+    BUILT_IN_PRESETS,
+    PRESET_PARAMETERS,
+    decodeSettings,
+    encodeSettings,
+    presetParameters,
+    readUserPresets,
+    writeUserPresets,
+} from "./presets.js";
+import { DISTRIBUTION_SHAPES, parameterMean } from "./distributions.js";
+import { DEFAULT_SPECIES, SPECIES_INTERACTIONS } from "./species.js";
+import { steeringRules } from "./rule-registry.js";
+import { NEIGHBORHOOD_MODES, RULE_MODELS } from "./rules.js";
+import { METRICS_SETTINGS } from "./metrics.js";
 import { Vector2D } from "./vector.js";
 
+/**
+ * Obstacles placed by clicking the main canvas, keyed by the placement
+ * selector value. Each builds a shape description centered on the click.
+ * @type {Object<string, function(number, number):Object>}
+ */
+const OBSTACLE_TEMPLATES = {
+    circle: (x, y) => ({ shape: OBSTACLE_SHAPES.CIRCLE, x, y, radius: 30 }),
+    rect: (x, y) => ({ shape: OBSTACLE_SHAPES.RECT, x, y, width: 80, height: 40 }),
+    polygon: (x, y) => ({ shape: OBSTACLE_SHAPES.POLYGON, points: regularPolygon(x, y, 36, 5) }),
+};
+
+/**
+ * Sign of the strength of pinned points placed by clicking, keyed by the
+ * placement selector value.
+ * @type {Object<string, number>}
+ */
+const PINNED_POINTS = {
+    attractor: 1,
+    repeller: -1,
+};
+
+/**
+ * A press on the canvas becomes a hold (a temporary attractor, not a click)
+ * once it lasts MS milliseconds or moves more than MOVE pixels.
+ * @type {{MS:number, MOVE:number}}
+ */
+const POINTER_HOLD = {
+    MS: 200,
+    MOVE: 5,
+};
+
+/**
+ * Columns of the species table: the scaled parameter, its header and tooltip.
+ * @type {{parameter:string, label:string, title:string}[]}
+ */
+const SPECIES_SCALE_COLUMNS = [
+    { parameter: "cohereCoefficient", label: "Coh", title: "Cohesion multiplier" },
+    { parameter: "separationCoefficient", label: "Sep", title: "Separation multiplier" },
+    { parameter: "alignCoefficient", label: "Ali", title: "Alignment multiplier" },
+    { parameter: "maxSpeed", label: "Speed", title: "Max speed multiplier" },
+    { parameter: "fovAngle", label: "FOV", title: "FOV angle multiplier" },
+];
+
+/**
+ * Labels of the interaction matrix options, keyed by interaction.
+ * @type {Object<string, string>}
+ */
+const INTERACTION_LABELS = {
+    [SPECIES_INTERACTIONS.FLOCK]: "Flock",
+    [SPECIES_INTERACTIONS.AVOID]: "Avoid",
+    [SPECIES_INTERACTIONS.IGNORE]: "Ignore",
+};
+
+/**
+ * Sliders showing a simulation parameter, for syncing them to the simulation
+ * (e.g. after loading a snapshot): the slider id prefix (`<prefix>-range`
+ * and `<prefix>-value`), the parameter, the slider position of a parameter
+ * value and the text shown for a slider position. Distributed parameters
+ * show their mean.
+ * @type {Array<[string, string, function(number):number, function(number):string]>}
+ */
+const PARAMETER_SLIDERS = [
+    ["fov", "range", (value) => value, (value) => `${value}`],
+    ["fov-angle", "fovAngle", (value) => Math.round((value * 180) / Math.PI), (value) => `${value}°`],
+    ["flee", "fleeCoefficient", (value) => Math.round(value * 100), (value) => `${value}%`],
+    ["speed", "maxSpeed", (value) => value, (value) => `${value}`],
+    ["trail-length", "trailLength", (value) => value, (value) => `${value}`],
+    ["variation-frequency", "variationFrequency", (value) => value, (value) => value.toFixed(1)],
+    ["variation-amplitude", "variationAmplitude", (value) => value, (value) => value.toFixed(2)],
+    ["substeps", "substeps", (value) => value, (value) => `${value}`],
+    ["max-force", "maxForce", (value) => value, (value) => value.toFixed(2)],
+    ["mass", "mass", (value) => value, (value) => value.toFixed(1)],
+    ["topological-count", "topologicalCount", (value) => value, (value) => `${value}`],
+    ["body-radius", "bodyRadius", (value) => value, (value) => `${value}`],
+    ["predator-count", "predatorCount", (value) => value, (value) => `${value}`],
+    ["predator-speed", "predatorSpeed", (value) => value, (value) => value.toFixed(1)],
+    ["predator-fov", "predatorFOV", (value) => Math.round((value * 180) / Math.PI), (value) => `${value}°`],
+    ["flow-strength", "flowStrength", (value) => Math.round(value * 100), (value) => `${value}%`],
+    ["flow-direction", "flowDirection", (value) => Math.round((value * 180) / Math.PI), (value) => `${value}°`],
+    ["flow-scale", "flowScale", (value) => value, (value) => `${value}`],
+    ["flow-evolution", "flowEvolution", (value) => value, (value) => value.toFixed(2)],
+    ["energy-drain", "energyDrain", (value) => value * 100, (value) => `${value.toFixed(1)}%/s`],
+    ["food-regrowth", "foodRegrowth", (value) => value * 100, (value) => `${value.toFixed(1)}%/s`],
+];
+
+/**
+ * Selects showing a simulation parameter as is, by element id.
+ * @type {Array<[string, string]>}
+ */
+const PARAMETER_SELECTS = [
+    ["neighbor-search-select", "neighborSearch"],
+    ["boundary-select", "boundary"],
+    ["predator-strategy-select", "predatorStrategy"],
+];
+
+/**
+ * Rows of the metrics panel: the metric (see metrics.js), the element id
+ * prefix (`<prefix>-value` and `<prefix>-chart`), the text shown for a value
+ * and the top of the chart's scale, or null to fit the scale to the values
+ * shown.
+ * @type {Array<[string, string, function(number):string, number|null]>}
+ */
+const METRIC_DISPLAYS = [
+    ["polarization", "metric-polarization", (value) => value.toFixed(2), 1],
+    ["angularMomentum", "metric-angular-momentum", (value) => value.toFixed(2), 1],
+    ["nearestNeighborDistance", "metric-nearest-neighbor", (value) => value.toFixed(1), null],
+    ["flockRadius", "metric-flock-radius", (value) => value.toFixed(0), null],
+    ["meanSpeed", "metric-mean-speed", (value) => value.toFixed(2), null],
+];
+
+/**
+ * Samples drawn in each metrics chart: the last 10 seconds (600 steps at 60
+ * steps per second) at the default sampling interval.
+ * @const {number}
+ */
+const SPARKLINE_SAMPLES = 600 / METRICS_SETTINGS.INTERVAL;
+
 /**
  * UIController
  *
@@ -24,6 +159,17 @@ class UIController {
         this.minSpeed = 0.5;
         this.maxSpeed = 3.0;
 
+        // Strength and falloff radius of new attractors and repellers
+        this.attractorStrength = 1;
+        this.attractorRadius = 250;
+        this.pointerAttractors = new Map(); // pointerId -> held temporary attractor
+        this.suppressClick = false;
+
+        // Parameters the page started with, which presets and links fall back to
+        this.defaultParameters = null;
+        this.trajectoryRecording = false; // record button currently shows Stop
+        this.metricsDrawnStep = null; // newest metrics sample the panel shows
+
         this.initializeUI();
         this.initializeDemoCanvas();
         this.startFPSCounter();
@@ -40,13 +186,56 @@ class UIController {
         this.setupPanelToggles();
         this.setupParameterControls();
         this.setupSimulationControls();
+        this.setupSpeciesControls();
+        this.setupEnvironmentControls();
+        this.setupRuleControls();
+        this.setupPresetControls();
+        this.setupTrajectoryControls();
         this.setupAlgorithmTabs();
 
         // Visualization controls are safe to set up even before boids exist.
         this.setupVisualizationControls();
         window.addEventListener("boids-ready", () => {
+            this.renderRuleControls();
+            this.syncRuleModelControls();
+            this.syncNeighborhoodControls();
+            this.syncEnvironmentControls();
             this.syncVisualizationState();
+            this.updateSeedDisplay();
+            this.syncPopulation();
+            this.syncDistributionControls();
+            this.renderSpeciesPanel();
+            this.initializeLinkSettings();
         });
+        // The simulation may already be running by the time the UI is created.
+        if (this.simulation) {
+            this.renderRuleControls();
+            this.syncRuleModelControls();
+            this.syncNeighborhoodControls();
+            this.syncEnvironmentControls();
+            this.syncVisualizationState();
+            this.updateSeedDisplay();
+            this.syncPopulation();
+            this.syncDistributionControls();
+            this.renderSpeciesPanel();
+            this.initializeLinkSettings();
+        }
+    }
+
+    /**
+     * The running simulation published by index.js, or null before it starts.
+     * @returns {import("./simulation.js").Simulation|null}
+     */
+    get simulation() {
+        return window.simulation || null;
+    }
+
+    /**
+     * The recorder published by index.js, or null before it starts.
+     * @returns {import("./recorder.js").Recorder|null}
+     */
+    get recorder() {
+        return window.recorder || null;
     }
 
     /**
@@ -60,40 +249,82 @@ class UIController {
 
         // Ensure the boids use the current FOV slider value
         this.initializeFOVAngles();
+        this.syncVisualizationToggles();
+    }
+
+    /**
+     * Show the highlighted boid's display flags and the simulation-wide
+     * ghost trail and variation switches in their toggles.
+     */
+    syncVisualizationToggles() {
+        const first = flock[0];
+        if (!first) return;
 
         const mappings = [
             ["fov-switch", "FOVEnabled"],
             ["neighbor-switch", "showNeighbors"],
-            ["separate-switch", "showSeparate"],
-            ["cohere-switch", "showCohere"],
-            ["align-switch", "showAlign"],
         ];
 
         mappings.forEach(([id, prop]) => {
             const el = document.getElementById(id);
             if (el) el.checked = !!first[prop];
         });
+        steeringRules.list().forEach((rule) => {
+            const el = document.getElementById(`rule-${rule.name}-switch`);
+            if (el) el.checked = first.shownRules.has(rule.name);
+        });
 
-        // Ghost trails and variation are static flags on the Boid class; import
-        // the class dynamically to read the defaults without creating a circular
-        // dependency at module load time.
+        // Ghost trails and variation are simulation-wide parameters.
         const ghostTrailSwitch = document.getElementById("ghost-trail-switch");
-        if (ghostTrailSwitch) {
-            import("./boid.js")
-                .then((module) => {
-                    const { Boid } = module;
-                    ghostTrailSwitch.checked = Boid.ghostTrailEnabled;
-                })
-                .catch((err) => {
-                    console.warn("Failed to sync ghost trail state:", err);
-                });
+        if (ghostTrailSwitch && this.simulation) {
+            ghostTrailSwitch.checked = this.simulation.params.ghostTrailEnabled;
         }
-
-        if (first.updateFOVDisplay) {
-            first.updateFOVDisplay();
+        const variationSwitch = document.getElementById("variation-switch");
+        if (variationSwitch && this.simulation) {
+            variationSwitch.checked = this.simulation.params.variationEnabled;
         }
     }
 
+    /**
+     * Show the simulation's parameters on the sliders and selects listed in
+     * PARAMETER_SLIDERS and PARAMETER_SELECTS. Sliders snap values to their
+     * step, so a slider may show a value slightly off the parameter's.
+     */
+    syncParameterControls() {
+        const params = this.simulation?.params;
+        if (!params) return;
+
+        PARAMETER_SLIDERS.forEach(([id, name, toSlider, format]) => {
+            const range = document.getElementById(`${id}-range`);
+            if (!range) return;
+            range.value = toSlider(parameterMean(params[name]));
+            const valueDisplay = document.getElementById(`${id}-value`);
+            if (valueDisplay) valueDisplay.textContent = format(parseFloat(range.value));
+        });
+        PARAMETER_SELECTS.forEach(([id, name]) => {
+            const select = document.getElementById(id);
+            if (select) select.value = params[name];
+        });
+    }
+
+    /**
+     * Show the whole simulation state in the controls, e.g. after loading a
+     * snapshot. Unlike the startup sync, no slider value is written back to
+     * the simulation.
+     */
+    syncControls() {
+        this.syncParameterControls();
+        this.renderRuleControls();
+        this.syncRuleModelControls();
+        this.syncNeighborhoodControls();
+        this.syncEnvironmentControls();
+        this.syncVisualizationToggles();
+        this.updateSeedDisplay();
+        this.syncPopulation();
+        this.syncDistributionControls();
+        this.renderSpeciesPanel();
+    }
+
     /**
      * Attach click handlers to the main tab buttons. Expects each tab element
      * to have a `data-tab` attribute matching a panel id suffix.
@@ -125,144 +356,65 @@ class UIController {
     /**
      * Wire visualization toggles (FOV, neighbor lines, steer vectors, trails,
      * variation) to UI controls. These toggles mostly affect the highlighted
-     * boid used for visualization, or global Boid flags for class-level features.
+     * boid used for visualization, or simulation-wide parameters for class-level
+     * features. The renderer picks up flag changes on its next frame.
      */
     setupVisualizationControls() {
-        // Field of view toggle
-        const fovSwitch = document.getElementById("fov-switch");
-        if (fovSwitch) {
-            if (flock[0]) fovSwitch.checked = flock[0].FOVEnabled;
-            fovSwitch.addEventListener("change", (e) => {
-                if (flock[0]) {
-                    flock[0].FOVEnabled = e.target.checked;
-                    flock[0].updateFOVDisplay();
-                }
-            });
-        }
-
-        // Neighbor lines toggle
-        const neighborSwitch = document.getElementById("neighbor-switch");
-        if (neighborSwitch) {
-            if (flock[0]) neighborSwitch.checked = flock[0].showNeighbors;
-            neighborSwitch.addEventListener("change", (e) => {
-                if (flock[0]) flock[0].showNeighbors = e.target.checked;
-            });
-        }
-
-        // Separation toggle
-        const separateSwitch = document.getElementById("separate-switch");
-        if (separateSwitch) {
-            if (flock[0]) separateSwitch.checked = flock[0].showSeparate;
-            separateSwitch.addEventListener("change", (e) => {
-                if (flock[0]) {
-                    flock[0].showSeparate = e.target.checked;
-                    if (!e.target.checked && flock[0].separateSteerElement) {
-                        flock[0].separateSteerElement.style.display = "none";
-                        flock[0].separateSteerElement.style.height = "0px";
-                    } else if (e.target.checked && flock[0].separateSteerElement) {
-                        flock[0].separateSteerElement.style.display = "block";
-                    }
-                }
-            });
-        }
-
-        // Cohesion toggle
-        const cohereSwitch = document.getElementById("cohere-switch");
-        if (cohereSwitch) {
-            if (flock[0]) cohereSwitch.checked = flock[0].showCohere;
-            cohereSwitch.addEventListener("change", (e) => {
-                if (flock[0]) {
-                    flock[0].showCohere = e.target.checked;
-                    if (!e.target.checked && flock[0].cohereSteerElement) {
-                        flock[0].cohereSteerElement.style.display = "none";
-                        flock[0].cohereSteerElement.style.height = "0px";
-                    } else if (e.target.checked && flock[0].cohereSteerElement) {
-                        flock[0].cohereSteerElement.style.display = "block";
-                    }
-                }
-            });
-        }
+        const mappings = [
+            ["fov-switch", "FOVEnabled"],
+            ["neighbor-switch", "showNeighbors"],
+        ];
 
-        // Alignment toggle
-        const alignSwitch = document.getElementById("align-switch");
-        if (alignSwitch) {
-            if (flock[0]) alignSwitch.checked = flock[0].showAlign;
-            alignSwitch.addEventListener("change", (e) => {
-                if (flock[0]) {
-                    flock[0].showAlign = e.target.checked;
-                    if (!e.target.checked && flock[0].alignSteerElement) {
-                        flock[0].alignSteerElement.style.display = "none";
-                        flock[0].alignSteerElement.style.height = "0px";
-                    } else if (e.target.checked && flock[0].alignSteerElement) {
-                        flock[0].alignSteerElement.style.display = "block";
-                    }
-                }
+        mappings.forEach(([id, prop]) => {
+            const toggle = document.getElementById(id);
+            if (!toggle) return;
+            if (flock[0]) toggle.checked = !!flock[0][prop];
+            toggle.addEventListener("change", (e) => {
+                if (flock[0]) flock[0][prop] = e.target.checked;
             });
-        }
+        });
 
-        // Ghost trail toggle (class-level flag)
+        // Ghost trail toggle (simulation-wide)
         const ghostTrailSwitch = document.getElementById("ghost-trail-switch");
-        if (ghostTrailSwitch) {
-            import("./boid.js")
-                .then((module) => {
-                    const { Boid } = module;
-                    ghostTrailSwitch.checked = Boid.ghostTrailEnabled;
-                    ghostTrailSwitch.addEventListener("change", (e) => {
-                        Boid.ghostTrailEnabled = e.target.checked;
-                        flock.forEach((boid) => {
-                            if (boid.trailElements) {
-                                boid.trailElements.forEach((el) => {
-                                    if (!el) return;
-                                    el.style.display = e.target.checked ? "block" : "none";
-                                    if (!e.target.checked) el.style.opacity = "0";
-                                });
-                            }
-                        });
-                    });
-                })
-                .catch((err) => console.warn("Failed to import Boid class for ghost trail toggle:", err));
-        }
+        ghostTrailSwitch?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("ghostTrailEnabled", e.target.checked);
+        });
 
-        // Rule variation toggle (class-level flag)
+        // Rule variation toggle (simulation-wide)
         const variationSwitch = document.getElementById("variation-switch");
         if (variationSwitch) {
-            import("./boid.js")
-                .then((module) => {
-                    const { Boid } = module;
-                    variationSwitch.checked = !!Boid.variationEnabled;
-                    variationSwitch.addEventListener("change", (e) => {
-                        Boid.variationEnabled = e.target.checked;
-                    });
-                })
-                .catch((err) => console.warn("Failed to import Boid class for variation toggle:", err));
+            if (this.simulation) variationSwitch.checked = !!this.simulation.params.variationEnabled;
+            variationSwitch.addEventListener("change", (e) => {
+                this.simulation?.setParameter("variationEnabled", e.target.checked);
+            });
         }
 
-        // Make the UI slider visuals toggle the hidden checkbox inputs. This
-        // improves the clickable area for toggles.
-        const sliders = document.querySelectorAll(".toggle-slider");
-        sliders.forEach((slider) => {
-            slider.addEventListener("click", (ev) => {
-                const container = slider.closest(".toggle-item");
-                const input = container ? container.querySelector("input.toggle-switch") : null;
-                if (!input) return;
-                input.checked = !input.checked;
-                input.dispatchEvent(new Event("change", { bubbles: true }));
-                ev.stopPropagation();
-            });
-        });
+        document.querySelectorAll(".toggle-item").forEach((item) => this.bindToggleItem(item));
+    }
 
-        // Clicking an entire toggle item should also toggle the input (except
-        // when interacting with nested interactive elements).
-        const toggleItems = document.querySelectorAll(".toggle-item");
-        toggleItems.forEach((item) => {
-            item.addEventListener("click", (ev) => {
-                const targetTag = ev.target.tagName.toLowerCase();
-                if (["input", "button", "a", "label"].includes(targetTag)) return;
-                const input = item.querySelector("input.toggle-switch");
-                if (!input) return;
-                input.checked = !input.checked;
-                input.dispatchEvent(new Event("change", { bubbles: true }));
-            });
+    /**
+     * Make a toggle item's slider visual, and the item itself, toggle its
+     * hidden checkbox input. This improves the clickable area for toggles.
+     * @param {HTMLElement} item - A `.toggle-item` element.
+     */
+    bindToggleItem(item) {
+        const input = item.querySelector("input.toggle-switch");
+        if (!input) return;
+        const toggle = () => {
+            input.checked = !input.checked;
+            input.dispatchEvent(new Event("change", { bubbles: true }));
+        };
+
+        item.querySelector(".toggle-slider")?.addEventListener("click", (ev) => {
+            toggle();
+            ev.stopPropagation();
+        });
+        // Clicking the entire item also toggles the input (except when
+        // interacting with nested interactive elements).
+        item.addEventListener("click", (ev) => {
+            const targetTag = ev.target.tagName.toLowerCase();
+            if (["input", "button", "a", "label"].includes(targetTag)) return;
+            toggle();
         });
     }
 
@@ -270,14 +422,6 @@ class UIController {
      * Initialize numeric display values for sliders to match DOM defaults.
      */
     initializeParameterValues() {
-        const separationValue = document.getElementById("separation-value");
-        const cohereValue = document.getElementById("cohere-value");
-        const alignValue = document.getElementById("align-value");
-
-        if (separationValue) separationValue.textContent = "100%";
-        if (cohereValue) cohereValue.textContent = "100%";
-        if (alignValue) alignValue.textContent = "100%";
-
         const fovAngleValue = document.getElementById("fov-angle-value");
         if (fovAngleValue) fovAngleValue.textContent = "360°";
 
@@ -286,52 +430,14 @@ class UIController {
 
     /**
      * Read the FOV angle slider and set the boids' FOV accordingly.
-     *
-     * Converts degrees to radians and calls boid.setFOVAngle on existing boids
-     * if that method is available. If boid instances are plain objects or not
-     * fully constructed yet, fall back to setting FOV-related properties
-     * directly and calling updateFOVDisplay when available.
+     * Converts degrees to radians and forwards the value to the simulation.
      */
     initializeFOVAngles() {
         const fovAngleRange = document.getElementById('fov-angle-range');
         const initialAngle = fovAngleRange ? parseInt(fovAngleRange.value, 10) : 360;
         const angleInRadians = (initialAngle * Math.PI) / 180;
 
-        if (!window.flock || window.flock.length === 0) return;
-
-        window.flock.forEach(boid => {
-            try {
-                if (!boid) return;
-
-                // Preferred API: call the Boid instance method when present
-                if (typeof boid.setFOVAngle === 'function') {
-                    boid.setFOVAngle(angleInRadians);
-                    if (typeof boid.updateFOVDisplay === 'function') {
-                        boid.updateFOVDisplay();
-                    }
-                    return;
-                }
-
-                // Fallback: set common FOV properties used by visualization code.
-                // Many code paths expect leftSideFOV/rightSideFOV in radians.
-                const half = angleInRadians / 2;
-                if ('leftSideFOV' in boid && 'rightSideFOV' in boid) {
-                    boid.leftSideFOV = half;
-                    boid.rightSideFOV = half;
-                } else {
-                    // Generic fallback property
-                    boid.FOVAngle = angleInRadians;
-                }
-
-                // If the object exposes an update/display hook, call it.
-                if (typeof boid.updateFOVDisplay === 'function') {
-                    boid.updateFOVDisplay();
-                }
-            } catch (err) {
-                // Non-fatal: continue for other boids and log for debugging
-                console.warn('initializeFOVAngles: failed to apply FOV to a boid', err);
-            }
-        });
+        this.setBoidParameter("fovAngle", angleInRadians);
     }
 
     /**
@@ -346,8 +452,7 @@ class UIController {
         fovRange?.addEventListener("input", (e) => {
             const value = e.target.value;
             fovValue.textContent = value;
-            flock.forEach((boid) => (boid.range = parseInt(value)));
-            this.updateFOVDisplay();
+            this.setBoidParameter("range", parseInt(value));
         });
 
         // FOV angle
@@ -357,38 +462,16 @@ class UIController {
             const value = parseInt(e.target.value);
             fovAngleValue.textContent = value + "°";
             const angleInRadians = (value * Math.PI) / 180;
-            flock.forEach((boid) => boid.setFOVAngle(angleInRadians));
-            this.updateFOVDisplay();
-        });
-
-        // Separation coefficient
-        const separationRange = document.getElementById("separation-range");
-        const separationValue = document.getElementById("separation-value");
-        separationRange?.addEventListener("input", (e) => {
-            const value = e.target.value;
-            separationValue.textContent = value + "%";
-            const coefficient = parseFloat(value) / 100;
-            flock.forEach((boid) => (boid.separationCoefficient = coefficient));
+            this.setBoidParameter("fovAngle", angleInRadians);
         });
 
-        // Cohesion coefficient
-        const cohereRange = document.getElementById("cohere-range");
-        const cohereValue = document.getElementById("cohere-value");
-        cohereRange?.addEventListener("input", (e) => {
+        // Flee coefficient
+        const fleeRange = document.getElementById("flee-range");
+        const fleeValue = document.getElementById("flee-value");
+        fleeRange?.addEventListener("input", (e) => {
             const value = e.target.value;
-            cohereValue.textContent = value + "%";
-            const coefficient = parseFloat(value) / 100;
-            flock.forEach((boid) => (boid.cohereCoefficient = coefficient));
-        });
-
-        // Alignment coefficient
-        const alignRange = document.getElementById("align-range");
-        const alignValue = document.getElementById("align-value");
-        alignRange?.addEventListener("input", (e) => {
-            const value = e.target.value;
-            alignValue.textContent = value + "%";
-            const coefficient = parseFloat(value) / 100;
-            flock.forEach((boid) => (boid.alignCoefficient = coefficient));
+            if (fleeValue) fleeValue.textContent = value + "%";
+            this.setBoidParameter("fleeCoefficient", parseFloat(value) / 100);
         });
 
         // Max speed
@@ -397,7 +480,7 @@ class UIController {
         speedRange?.addEventListener("input", (e) => {
             const value = parseFloat(e.target.value);
             speedValue.textContent = value;
-            flock.forEach((boid) => (boid.maxSpeed = value));
+            this.setBoidParameter("maxSpeed", value);
         });
 
         // Ghost trail length
@@ -406,9 +489,7 @@ class UIController {
         trailLengthRange?.addEventListener("input", (e) => {
             const value = parseInt(e.target.value);
             trailLengthValue.textContent = value;
-            flock.forEach((boid) => {
-                if (boid.setTrailLength) boid.setTrailLength(value);
-            });
+            this.simulation?.setParameter("trailLength", value);
         });
 
         // Variation frequency
@@ -417,9 +498,7 @@ class UIController {
         variationFreqRange?.addEventListener("input", (e) => {
             const value = parseFloat(e.target.value);
             if (variationFreqValue) variationFreqValue.textContent = value.toFixed(1);
-            import("./boid.js")
-                .then((module) => (module.Boid.variationFrequency = value))
-                .catch((err) => console.warn("Failed to set Boid variation frequency:", err));
+            this.simulation?.setParameter("variationFrequency", value);
         });
 
         // Variation amplitude
@@ -428,40 +507,246 @@ class UIController {
         variationAmpRange?.addEventListener("input", (e) => {
             const value = parseFloat(e.target.value);
             if (variationAmpValue) variationAmpValue.textContent = value.toFixed(2);
-            import("./boid.js")
-                .then((module) => (module.Boid.variationAmplitude = value))
-                .catch((err) => console.warn("Failed to set Boid variation amplitude:", err));
+            this.simulation?.setParameter("variationAmplitude", value);
         });
-    }
 
-    /**
-     * Resize and update the FOV SVG elements for the highlighted boid.
-     */
-    updateFOVDisplay() {
-        if (!(flock[0] && flock[0].SVGElement && flock[0].BlindSpotElement)) return;
-        const range = flock[0].range;
-        const size = range * 2;
-        flock[0].SVGElement.setAttribute("height", size);
-        flock[0].SVGElement.setAttribute("width", size);
-        flock[0].SVGElement.setAttribute("viewBox", `0 0 ${size} ${size}`);
-        try {
-            flock[0].SVGElement.style.left = `${-size / 2}px`;
-            flock[0].SVGElement.style.top = `${-size / 2}px`;
-        } catch (e) {
-            // ignore environments where style writes are restricted
-        }
-        const totalFOVAngle = flock[0].leftSideFOV + flock[0].rightSideFOV;
-        flock[0]._setFOVSectorAttributes(flock[0].BlindSpotElement, range, totalFOVAngle);
+        // Integration substeps per fixed step
+        const substepsRange = document.getElementById("substeps-range");
+        const substepsValue = document.getElementById("substeps-value");
+        substepsRange?.addEventListener("input", (e) => {
+            const value = parseInt(e.target.value);
+            if (substepsValue) substepsValue.textContent = value;
+            this.simulation?.setParameter("substeps", value);
+        });
+
+        // Rule model (pseudocode nudges or steering forces) and the steering
+        // model's force cap and mass
+        document.getElementById("rule-model-select")?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("ruleModel", e.target.value);
+            this.syncRuleModelControls();
+        });
+        const maxForceRange = document.getElementById("max-force-range");
+        const maxForceValue = document.getElementById("max-force-value");
+        maxForceRange?.addEventListener("input", (e) => {
+            const value = parseFloat(e.target.value);
+            if (maxForceValue) maxForceValue.textContent = value.toFixed(2);
+            this.simulation?.setParameter("maxForce", value);
+        });
+        const massRange = document.getElementById("mass-range");
+        const massValue = document.getElementById("mass-value");
+        massRange?.addEventListener("input", (e) => {
+            const value = parseFloat(e.target.value);
+            if (massValue) massValue.textContent = value.toFixed(1);
+            this.simulation?.setParameter("mass", value);
+        });
+
+        // Neighbor search strategy (spatial grid or brute-force reference)
+        const neighborSearchSelect = document.getElementById("neighbor-search-select");
+        neighborSearchSelect?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("neighborSearch", e.target.value);
+        });
+
+        // Neighborhood (metric, topological or hybrid) and its neighbor count
+        document.getElementById("neighborhood-select")?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("neighborhood", e.target.value);
+            this.syncNeighborhoodControls();
+        });
+        const topologicalCountRange = document.getElementById("topological-count-range");
+        const topologicalCountValue = document.getElementById("topological-count-value");
+        topologicalCountRange?.addEventListener("input", (e) => {
+            const value = parseInt(e.target.value);
+            if (topologicalCountValue) topologicalCountValue.textContent = value;
+            this.simulation?.setParameter("topologicalCount", value);
+        });
+
+        // Line of sight: whether nearer boids and obstacles hide those behind
+        document.getElementById("occlusion-select")?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("occlusion", e.target.value === "occluded");
+            this.syncNeighborhoodControls();
+        });
+        const bodyRadiusRange = document.getElementById("body-radius-range");
+        const bodyRadiusValue = document.getElementById("body-radius-value");
+        bodyRadiusRange?.addEventListener("input", (e) => {
+            const value = parseFloat(e.target.value);
+            if (bodyRadiusValue) bodyRadiusValue.textContent = value;
+            this.simulation?.setParameter("bodyRadius", value);
+        });
+
+        // Boundary mode (soft walls, wrap-around, bounce or arena)
+        const boundarySelect = document.getElementById("boundary-select");
+        boundarySelect?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("boundary", e.target.value);
+        });
+
+        // Predators: count, target strategy, speed and FOV angle
+        const predatorCountRange = document.getElementById("predator-count-range");
+        const predatorCountValue = document.getElementById("predator-count-value");
+        predatorCountRange?.addEventListener("input", (e) => {
+            const value = parseInt(e.target.value);
+            if (predatorCountValue) predatorCountValue.textContent = value;
+            this.simulation?.setParameter("predatorCount", value);
+        });
+        document.getElementById("predator-strategy-select")?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("predatorStrategy", e.target.value);
+        });
+        const predatorSpeedRange = document.getElementById("predator-speed-range");
+        const predatorSpeedValue = document.getElementById("predator-speed-value");
+        predatorSpeedRange?.addEventListener("input", (e) => {
+            const value = parseFloat(e.target.value);
+            if (predatorSpeedValue) predatorSpeedValue.textContent = value.toFixed(1);
+            this.simulation?.setParameter("predatorSpeed", value);
+        });
+        const predatorFOVRange = document.getElementById("predator-fov-range");
+        const predatorFOVValue = document.getElementById("predator-fov-value");
+        predatorFOVRange?.addEventListener("input", (e) => {
+            const value = parseInt(e.target.value);
+            if (predatorFOVValue) predatorFOVValue.textContent = value + "°";
+            this.simulation?.setParameter("predatorFOV", (value * Math.PI) / 180);
+        });
+
+        // Individual variation: the distribution of the selected parameter
+        const distributionParameterSelect = document.getElementById("distribution-parameter-select");
+        const distributionShapeSelect = document.getElementById("distribution-shape-select");
+        const distributionSpreadRange = document.getElementById("distribution-spread-range");
+        const distributionSpreadValue = document.getElementById("distribution-spread-value");
+        distributionParameterSelect?.addEventListener("change", () => this.syncDistributionControls());
+        distributionShapeSelect?.addEventListener("change", () => this.applyDistribution());
+        distributionSpreadRange?.addEventListener("input", (e) => {
+            if (distributionSpreadValue) distributionSpreadValue.textContent = e.target.value + "%";
+            this.applyDistribution();
+        });
+
+        // Population: spawn or despawn boids
+        const populationRange = document.getElementById("population-range");
+        const populationValue = document.getElementById("population-value");
+        populationRange?.addEventListener("input", (e) => {
+            const value = parseInt(e.target.value);
+            if (populationValue) populationValue.textContent = value;
+            this.simulation?.setParameter("boidCount", value);
+            this.updateBoidCount(this.simulation?.flock.length ?? value);
+        });
+
+        // Strength and falloff radius of new attractors and repellers
+        const attractorStrengthRange = document.getElementById("attractor-strength-range");
+        const attractorStrengthValue = document.getElementById("attractor-strength-value");
+        attractorStrengthRange?.addEventListener("input", (e) => {
+            const value = e.target.value;
+            if (attractorStrengthValue) attractorStrengthValue.textContent = value + "%";
+            this.attractorStrength = parseFloat(value) / 100;
+        });
+        const attractorRadiusRange = document.getElementById("attractor-radius-range");
+        const attractorRadiusValue = document.getElementById("attractor-radius-value");
+        attractorRadiusRange?.addEventListener("input", (e) => {
+            const value = parseInt(e.target.value);
+            if (attractorRadiusValue) attractorRadiusValue.textContent = value;
+            this.attractorRadius = value;
+        });
+
+        // Simulation thread (main thread or Web Worker); index.js moves the stepping
+        const threadSelect = document.getElementById("thread-select");
+        threadSelect?.addEventListener("change", (e) => {
+            window.dispatchEvent(new CustomEvent("simulation-thread-change", { detail: { thread: e.target.value } }));
+        });
     }
 
     /**
-     * Wire simulation controls (reset, pause) to UI buttons.
+     * Wire simulation controls (reset, pause, seed, renderer, placement) to
+     * toolbar inputs, and pointer presses on the canvas to attractors.
      */
     setupSimulationControls() {
         const resetBtn = document.getElementById("reset-btn");
         const pauseBtn = document.getElementById("pause-btn");
         resetBtn?.addEventListener("click", () => this.resetSimulation());
         pauseBtn?.addEventListener("click", () => this.togglePause());
+
+        // Seed field: Enter (or leaving the field) replays the typed seed.
+        const seedInput = document.getElementById("seed-input");
+        seedInput?.addEventListener("change", (e) => {
+            const seed = parseSeed(e.target.value);
+            if (seed === null) {
+                this.updateSeedDisplay();
+                return;
+            }
+            this.resetSimulation(seed);
+        });
+        seedInput?.addEventListener("keydown", (e) => {
+            if (e.key === "Enter") e.target.blur();
+        });
+
+        // Renderer switch: index.js swaps the active renderer in place.
+        document.getElementById("renderer-select")?.addEventListener("change", (e) => {
+            window.dispatchEvent(new CustomEvent("renderer-change", { detail: { renderer: e.target.value } }));
+        });
+
+        // Snapshots: download the full state as JSON, or load a saved file
+        document.getElementById("save-snapshot-btn")?.addEventListener("click", () => this.saveSnapshot());
+        const snapshotInput = document.getElementById("snapshot-input");
+        document.getElementById("load-snapshot-btn")?.addEventListener("click", () => snapshotInput?.click());
+        snapshotInput?.addEventListener("change", (e) => {
+            const [file] = e.target.files;
+            e.target.value = "";
+            file?.text().then((text) => this.loadSnapshot(text, file.name));
+        });
+
+        // Metrics: download the recorded history as CSV
+        document.getElementById("export-metrics-btn")?.addEventListener("click", () => this.exportMetrics());
+
+        // Timeline: scrubbing or stepping pauses, play resumes from the frame shown
+        document.getElementById("timeline-range")?.addEventListener("input", (e) => {
+            this.seekFrame(parseInt(e.target.value));
+        });
+        document.getElementById("timeline-back-btn")?.addEventListener("click", () => this.stepFrame(-1));
+        document.getElementById("timeline-forward-btn")?.addEventListener("click", () => this.stepFrame(1));
+
+        // Clicking the canvas places or removes an obstacle, pinned point or
+        // food patch;
+        // the canvas is created by index.js, so listen on its container.
+        document.getElementById("clear-placed-btn")?.addEventListener("click", () => {
+            this.simulation?.setObstacles([]);
+            this.simulation?.setAttractors(this.simulation.attractors.filter((attractor) => !attractor.pinned));
+            this.simulation?.setFoodPatches([]);
+        });
+        const container = document.getElementById("canvas-container");
+        container?.addEventListener("click", (e) => {
+            const point = this.canvasPoint(e);
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            if (point) this.togglePlacedAt(point.x, point.y);
+        });
+
+        // Holding a pointer on the canvas drags a temporary attractor along
+        // (a repeller while Shift or Alt is held); one per pointer, so
+        // several touches make several attractors.
+        container?.addEventListener("pointerdown", (e) => {
+            const point = this.canvasPoint(e);
+            if (!point || !this.simulation || (e.pointerType === "mouse" && e.button !== 0)) return;
+            const attractor = this.simulation.addAttractor({
+                ...point,
+                strength: this.pointerStrength(e),
+                radius: this.attractorRadius,
+                pinned: false,
+            });
+            this.pointerAttractors.set(e.pointerId, { attractor, x: point.x, y: point.y, time: e.timeStamp, held: false });
+            container.setPointerCapture?.(e.pointerId);
+        });
+        container?.addEventListener("pointermove", (e) => {
+            const press = this.pointerAttractors.get(e.pointerId);
+            const point = press && this.canvasPoint(e, false);
+            if (!point) return;
+            if (Math.hypot(point.x - press.x, point.y - press.y) > POINTER_HOLD.MOVE) press.held = true;
+            this.simulation?.updateAttractor(press.attractor, { ...point, strength: this.pointerStrength(e) });
+        });
+        const release = (e) => {
+            const press = this.pointerAttractors.get(e.pointerId);
+            if (!press) return;
+            this.pointerAttractors.delete(e.pointerId);
+            this.simulation?.removeAttractor(press.attractor);
+            this.suppressClick = press.held || e.type === "pointercancel" || e.timeStamp - press.time >= POINTER_HOLD.MS;
+        };
+        container?.addEventListener("pointerup", release);
+        container?.addEventListener("pointercancel", release);
     }
 
     /**
@@ -900,18 +1185,77 @@ class UIController {
     }
 
     /**
-     * Reset main simulation boids to random positions and velocities. This is a
-     * convenience triggered from the UI; it does not change persistent settings.
+     * Respawn the main simulation boids from a seed. The reset button uses a
+     * fresh seed; the seed field replays a specific one. Parameters are kept.
+     *
+     * @param {number} [seed] - Seed to replay; a new random seed when omitted.
      */
-    resetSimulation() {
-        flock.forEach((boid) => {
-            boid.position.x = Math.random() * 800;
-            boid.position.y = Math.random() * 600;
-            boid.velocity.x = (Math.random() - 0.5) * 6;
-            boid.velocity.y = (Math.random() - 0.5) * 6;
-            boid.neighbors.clear();
-            boid.neighborDistances.clear();
-        });
+    resetSimulation(seed = randomSeed()) {
+        if (!this.simulation) return;
+        this.simulation.reset(seed);
+        this.updateSeedDisplay();
+    }
+
+    /**
+     * Download a JSON snapshot of the simulation, named after its seed and
+     * step count.
+     */
+    saveSnapshot() {
+        const { simulation } = this;
+        if (!simulation) return;
+
+        const blob = new Blob([JSON.stringify(simulation.toSnapshot())], { type: "application/json" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `boids-${simulation.seed}-${simulation.stepCount}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href));
+    }
+
+    /**
+     * Load a saved snapshot and show its state in every control. A malformed
+     * file, or one of another snapshot version, is reported and leaves the
+     * simulation as it was.
+     * @param {string} text - Contents of the snapshot file.
+     * @param {string} [name="snapshot"] - File name, for the error message.
+     */
+    loadSnapshot(text, name = "snapshot") {
+        const { simulation } = this;
+        if (!simulation) return;
+
+        try {
+            simulation.loadSnapshot(parseSnapshot(text));
+        } catch (error) {
+            console.error(`Could not load ${name}:`, error);
+            window.alert(`Could not load ${name}: ${error.message}`);
+            return;
+        }
+        // index.js resizes the canvas to the loaded world
+        window.dispatchEvent(new CustomEvent("simulation-loaded", { detail: { simulation } }));
+        this.syncControls();
+    }
+
+    /**
+     * Show the current seed in the toolbar and mirror it into the page URL so
+     * the address bar can be shared to replay the run: as `?seed=`, or, once
+     * the URL carries a settings hash (see copyLink), in the hash, rewritten
+     * with the current settings so a reload never replays an older seed.
+     */
+    updateSeedDisplay() {
+        if (!this.simulation) return;
+        const { seed } = this.simulation;
+
+        const seedInput = document.getElementById("seed-input");
+        if (seedInput) seedInput.value = seed;
+
+        const url = new URL(window.location.href);
+        if (this.defaultParameters && url.hash.length > 1) {
+            url.searchParams.delete("seed");
+            url.hash = encodeSettings(this.currentSettings(), this.defaultParameters);
+        } else {
+            url.searchParams.set("seed", seed);
+        }
+        window.history.replaceState(null, "", url);
     }
 
     /**
@@ -929,17 +1273,909 @@ class UIController {
         );
     }
 
-    /** Start an FPS counter that updates once per second. */
+    /**
+     * Pause the simulation unless it already is.
+     */
+    pause() {
+        if (!this.isPaused) this.togglePause();
+    }
+
+    /**
+     * Pause and show the `k`-th recorded frame. Pressing play resumes the
+     * run from it, dropping the frames recorded after it.
+     * @param {number} k
+     */
+    seekFrame(k) {
+        if (!this.simulation || !this.recorder) return;
+        this.pause();
+        this.recorder.seek(this.simulation, k);
+        this.updateTimeline();
+    }
+
+    /**
+     * Pause and move one frame back or forward through the recording. Past
+     * the newest frame, the simulation advances a single step instead (and
+     * the step is recorded).
+     * @param {number} delta - -1 or 1.
+     */
+    stepFrame(delta) {
+        const { recorder } = this;
+        if (!this.simulation || !recorder) return;
+        this.pause();
+        const target = recorder.position + delta;
+        if (target >= recorder.length) {
+            window.dispatchEvent(new CustomEvent("simulation-step"));
+        } else if (target >= 0) {
+            recorder.seek(this.simulation, target);
+        }
+        this.updateTimeline();
+    }
+
+    /**
+     * Refresh the timeline bar from the recorder: the slider range covers the
+     * recorded frames and its thumb the frame shown.
+     */
+    updateTimeline() {
+        const { recorder, simulation } = this;
+        const range = document.getElementById("timeline-range");
+        if (!recorder || !simulation || !range) return;
+
+        range.max = Math.max(0, recorder.length - 1);
+        range.value = Math.max(0, recorder.position);
+        const label = document.getElementById("timeline-label");
+        if (label) {
+            label.textContent = `step ${simulation.stepCount}, ${simulation.time.toFixed(2)} s`;
+        }
+    }
+
+    /**
+     * Position of a pointer event on the main canvas.
+     * @param {MouseEvent} e
+     * @param {boolean} [requireTarget=true] - Only accept events targeting the canvas.
+     * @returns {{x:number, y:number}|null} Canvas coordinates in pixels, or
+     *   null when the canvas does not exist (or was not the target).
+     */
+    canvasPoint(e, requireTarget = true) {
+        const canvas = document.getElementById("canvas");
+        if (!canvas || (requireTarget && !canvas.contains(e.target))) return null;
+        const rect = canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * Strength of the attractor a pointer holds: negative (a repeller) while
+     * Shift or Alt is pressed.
+     * @param {MouseEvent} e
+     * @returns {number}
+     */
+    pointerStrength(e) {
+        return (e.shiftKey || e.altKey ? -1 : 1) * this.attractorStrength;
+    }
+
+    /**
+     * Remove the pinned point, obstacle or food patch under a canvas point, or
+     * place what the toolbar selector picks there: an obstacle shape, a pinned
+     * attractor or repeller, or a food patch. With the selector set to "off",
+     * clicks only remove.
+     * @param {number} x - Canvas x coordinate in pixels.
+     * @param {number} y - Canvas y coordinate in pixels.
+     */
+    togglePlacedAt(x, y) {
+        if (!this.simulation) return;
+        const attractor = this.simulation.attractorAt(x, y, 10);
+        if (attractor?.pinned) {
+            this.simulation.removeAttractor(attractor);
+            return;
+        }
+        const obstacle = this.simulation.obstacleAt(x, y, 4);
+        if (obstacle) {
+            this.simulation.removeObstacle(obstacle);
+            return;
+        }
+        const patch = this.simulation.foodPatchAt(x, y, 4);
+        if (patch) {
+            this.simulation.removeFoodPatch(patch);
+            return;
+        }
+
+        const placement = document.getElementById("place-select")?.value ?? "circle";
+        if (placement in PINNED_POINTS) {
+            this.simulation.addAttractor({
+                x,
+                y,
+                strength: PINNED_POINTS[placement] * this.attractorStrength,
+                radius: this.attractorRadius,
+                pinned: true,
+            });
+        } else if (placement in OBSTACLE_TEMPLATES) {
+            this.simulation.addObstacle(OBSTACLE_TEMPLATES[placement](x, y));
+        } else if (placement === "food") {
+            this.simulation.addFoodPatch({ x, y });
+        }
+    }
+
+    /**
+     * Set the mean of a boid parameter from its slider. A parameter set to a
+     * distribution keeps its spread and shape.
+     * @param {string} name - A simulation parameter (see DISTRIBUTED_PARAMETERS).
+     * @param {number} mean
+     */
+    setBoidParameter(name, mean) {
+        const current = this.simulation?.params[name];
+        this.simulation?.setParameter(name, typeof current === "object" ? { ...current, mean } : mean);
+    }
+
+    /**
+     * Set the parameter picked in the Individual Variation selector to the
+     * distribution shown by the Distribution and Spread controls, around its
+     * current mean. Fixed (or a spread of 0) gives every boid the mean again.
+     */
+    applyDistribution() {
+        const name = document.getElementById("distribution-parameter-select")?.value;
+        const shape = document.getElementById("distribution-shape-select")?.value;
+        const spread = parseFloat(document.getElementById("distribution-spread-range")?.value ?? "0") / 100;
+        const { simulation } = this;
+        if (!simulation || !name) return;
+
+        const mean = parameterMean(simulation.params[name]);
+        const distributed = Object.values(DISTRIBUTION_SHAPES).includes(shape) && spread > 0;
+        simulation.setParameter(name, distributed ? { mean, spread, shape } : mean);
+    }
+
+    /**
+     * Show the distribution of the parameter picked in the Individual
+     * Variation selector in the Distribution and Spread controls.
+     */
+    syncDistributionControls() {
+        const name = document.getElementById("distribution-parameter-select")?.value;
+        const value = name && this.simulation?.params[name];
+        if (value === undefined || value === null) return;
+
+        const shapeSelect = document.getElementById("distribution-shape-select");
+        if (shapeSelect) shapeSelect.value = typeof value === "object" ? value.shape : "fixed";
+        if (typeof value === "object") {
+            const percent = Math.round(value.spread * 100);
+            const spreadRange = document.getElementById("distribution-spread-range");
+            const spreadValue = document.getElementById("distribution-spread-value");
+            if (spreadRange) spreadRange.value = percent;
+            if (spreadValue) spreadValue.textContent = percent + "%";
+        }
+    }
+
+    /**
+     * Build the slider and toggle of every registered steering rule, and
+     * rebuild them whenever rules are registered or unregistered.
+     */
+    setupRuleControls() {
+        this.renderRuleControls();
+        steeringRules.subscribe(() => this.renderRuleControls());
+    }
+
+    /**
+     * Rebuild the steering rule controls: a weight slider per registered rule
+     * and, for rules with a debug color, a toggle drawing its vector on the
+     * highlighted boid. A rule weighted by a per-boid coefficient parameter
+     * (the built-in rules) drives that parameter, so its slider sets the mean
+     * of a distributed coefficient; other rules drive their rule weight.
+     */
+    renderRuleControls() {
+        const toggles = document.getElementById("rule-toggles");
+        const sliders = document.getElementById("rule-sliders");
+        if (!toggles || !sliders) return;
+
+        const rules = steeringRules.list();
+        toggles.replaceChildren(...rules.filter((rule) => rule.color).map((rule) => {
+            const item = document.createElement("div");
+            item.className = "toggle-item";
+            item.style.setProperty("--rule-color", rule.color);
+
+            const label = document.createElement("label");
+            label.htmlFor = `rule-${rule.name}-switch`;
+            label.textContent = rule.label;
+
+            const input = document.createElement("input");
+            input.type = "checkbox";
+            input.id = `rule-${rule.name}-switch`;
+            input.className = "toggle-switch";
+            input.title = `Show ${rule.label.toLowerCase()} force vectors`;
+            input.checked = !!flock[0]?.shownRules.has(rule.name);
+            input.addEventListener("change", (e) => {
+                flock[0]?.shownRules[e.target.checked ? "add" : "delete"](rule.name);
+            });
+
+            const slider = document.createElement("span");
+            slider.className = "toggle-slider rule-color";
+            item.append(label, input, slider);
+            this.bindToggleItem(item);
+            return item;
+        }));
+
+        sliders.replaceChildren(...rules.map((rule) => {
+            const item = document.createElement("div");
+            item.className = "slider-item";
+            if (rule.color) item.style.setProperty("--rule-color", rule.color);
+
+            const percent = Math.round(this.ruleStrength(rule) * 100);
+            const value = document.createElement("span");
+            value.className = "value";
+            value.id = `rule-${rule.name}-value`;
+            value.textContent = percent + "%";
+
+            const label = document.createElement("label");
+            label.htmlFor = `rule-${rule.name}-range`;
+            label.append(`${rule.label} Force `, value);
+
+            const input = document.createElement("input");
+            input.type = "range";
+            input.id = `rule-${rule.name}-range`;
+            input.className = "range-slider rule-range";
+            input.min = "0";
+            input.max = "200";
+            input.value = String(percent);
+            input.title = `Adjust ${rule.label.toLowerCase()} force percentage`;
+            input.addEventListener("input", (e) => {
+                value.textContent = e.target.value + "%";
+                this.setRuleStrength(rule, parseFloat(e.target.value) / 100);
+            });
+
+            item.append(label, input);
+            return item;
+        }));
+    }
+
+    /**
+     * Show the simulation's rule model in its selector, and the steering
+     * model's controls only while that model is selected.
+     */
+    syncRuleModelControls() {
+        const model = this.simulation?.params.ruleModel;
+        if (!model) return;
+
+        const select = document.getElementById("rule-model-select");
+        if (select) select.value = model;
+        document.querySelectorAll(".steering-only").forEach((item) => {
+            item.hidden = model !== RULE_MODELS.STEERING;
+        });
+    }
+
+    /**
+     * Show the simulation's neighborhood mode and line of sight in their
+     * selectors, and the neighbor count and body radius sliders only when
+     * they apply.
+     */
+    syncNeighborhoodControls() {
+        const params = this.simulation?.params;
+        if (!params) return;
+
+        const select = document.getElementById("neighborhood-select");
+        if (select) select.value = params.neighborhood;
+        document.querySelectorAll(".topological-only").forEach((item) => {
+            item.hidden = params.neighborhood === NEIGHBORHOOD_MODES.METRIC;
+        });
+        const occlusionSelect = document.getElementById("occlusion-select");
+        if (occlusionSelect) occlusionSelect.value = params.occlusion ? "occluded" : "clear";
+        document.querySelectorAll(".occlusion-only").forEach((item) => {
+            item.hidden = !params.occlusion;
+        });
+    }
+
+    /**
+     * The value a steering rule's slider shows: the mean of its coefficient
+     * parameter, or its weight.
+     * @param {import("./rule-registry.js").SteeringRule} rule
+     * @returns {number}
+     */
+    ruleStrength(rule) {
+        const { simulation } = this;
+        if (!simulation || !steeringRules.get(rule.name)) return rule.weight;
+        return rule.coefficient in simulation.params
+            ? parameterMean(simulation.params[rule.coefficient])
+            : simulation.ruleWeight(rule.name);
+    }
+
+    /**
+     * Apply a steering rule's slider value (see ruleStrength).
+     * @param {import("./rule-registry.js").SteeringRule} rule
+     * @param {number} value
+     */
+    setRuleStrength(rule, value) {
+        const { simulation } = this;
+        if (!simulation) return;
+        if (rule.coefficient in simulation.params) {
+            this.setBoidParameter(rule.coefficient, value);
+        } else {
+            simulation.setRuleWeight(rule.name, value);
+        }
+    }
+
+    /**
+     * Wire the Presets section: applying a built-in or saved preset, saving
+     * and deleting saved presets, and copying a link to the current settings.
+     * A link pasted into the address bar is applied as soon as its hash changes.
+     */
+    setupPresetControls() {
+        this.renderPresetOptions();
+        document.getElementById("preset-select")?.addEventListener("change", (e) => {
+            const preset = this.presetByKey(e.target.value);
+            if (preset) this.applyPreset(preset);
+        });
+        document.getElementById("save-preset-btn")?.addEventListener("click", () => this.saveUserPreset());
+        document.getElementById("delete-preset-btn")?.addEventListener("click", () => this.deleteUserPreset());
+        document.getElementById("copy-link-btn")?.addEventListener("click", () => this.copyLink());
+        window.addEventListener("hashchange", () => this.applyLinkSettings());
+    }
+
+    /**
+     * Show the newest metrics and redraw their charts, when a sample was
+     * recorded since the last refresh.
+     */
+    updateMetricsPanel() {
+        const { metrics } = window;
+        if (!metrics || metrics.length === 0) return;
+        const latest = metrics.latest();
+        if (latest.frame === this.metricsDrawnStep) return;
+        this.metricsDrawnStep = latest.frame;
+
+        METRIC_DISPLAYS.forEach(([name, prefix, format, max]) => {
+            const value = document.getElementById(`${prefix}-value`);
+            if (value) value.textContent = format(latest[name]);
+            const chart = document.getElementById(`${prefix}-chart`);
+            if (chart) this.drawSparkline(chart, metrics.series(name, SPARKLINE_SAMPLES), max);
+        });
+    }
+
+    /**
+     * Draw a series as a line across a small canvas, newest value at the
+     * right edge. The scale runs from 0 to `max`, or to the largest value shown.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number[]} series
+     * @param {number|null} max
+     */
+    drawSparkline(canvas, series, max) {
+        const ctx = canvas.getContext?.("2d");
+        if (!ctx) return;
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (series.length < 2) return;
+
+        const top = max ?? Math.max(...series);
+        const scale = top > 0 ? (height - 2) / top : 0;
+        // A short series is drawn against the right edge, growing leftwards
+        const offset = SPARKLINE_SAMPLES - series.length;
+        ctx.beginPath();
+        series.forEach((value, k) => {
+            const x = ((offset + k) / (SPARKLINE_SAMPLES - 1)) * width;
+            const y = height - 1 - Math.min(value, top) * scale;
+            if (k === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = "#0ea5e9";
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    /**
+     * Download the metrics history (up to the last minute of steps) as CSV.
+     */
+    exportMetrics() {
+        const { metrics } = window;
+        const { simulation } = this;
+        if (!metrics || !simulation) return;
+
+        const blob = new Blob([metrics.toCSV()], { type: "text/csv" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `boids-metrics-${simulation.seed}-${simulation.stepCount}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href));
+    }
+
+    /**
+     * Wire the trajectory export: the window slider, and the record button,
+     * which starts recording (index.js captures the steps) or stops early.
+     * The rows are downloaded once the window is complete.
+     */
+    setupTrajectoryControls() {
+        const durationRange = document.getElementById("trajectory-duration-range");
+        const durationValue = document.getElementById("trajectory-duration-value");
+        durationRange?.addEventListener("input", (e) => {
+            if (durationValue) durationValue.textContent = `${e.target.value} s`;
+        });
+        document.getElementById("trajectory-btn")?.addEventListener("click", () => {
+            if (window.trajectory) {
+                window.dispatchEvent(new CustomEvent("trajectory-stop"));
+            } else {
+                const duration = parseInt(durationRange?.value ?? "10");
+                window.dispatchEvent(new CustomEvent("trajectory-record", { detail: { duration } }));
+            }
+            this.updateTrajectoryStatus();
+        });
+        window.addEventListener("trajectory-recorded", (e) => {
+            this.downloadTrajectory(e.detail.trajectory);
+            this.updateTrajectoryStatus();
+        });
+    }
+
+    /**
+     * Download a recorded trajectory in the format picked in the selector.
+     * @param {import("./trajectory.js").TrajectoryLog} trajectory
+     */
+    downloadTrajectory(trajectory) {
+        const status = document.getElementById("trajectory-status");
+        if (trajectory.frames.length === 0) {
+            if (status) status.textContent = "No steps recorded";
+            return;
+        }
+
+        const format = document.getElementById("trajectory-format-select")?.value ?? TRAJECTORY_FORMATS.CSV;
+        const blob = new Blob([trajectory.serialize(format)], { type: TRAJECTORY_MIME_TYPES[format] });
+        const first = trajectory.frames[0].frame;
+        const last = trajectory.frames[trajectory.frames.length - 1].frame;
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `boids-trajectory-${this.simulation?.seed}-${first}-${last}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href));
+        if (status) status.textContent = `Saved ${trajectory.rowCount} rows`;
+    }
+
+    /**
+     * Show the progress of the trajectory being recorded on the record button.
+     */
+    updateTrajectoryStatus() {
+        const button = document.getElementById("trajectory-btn");
+        if (!button) return;
+
+        const { trajectory } = window;
+        const recording = Boolean(trajectory);
+        if (this.trajectoryRecording !== recording) {
+            this.trajectoryRecording = recording;
+            button.innerHTML = recording
+                ? "<i class='fas fa-stop'></i> Stop"
+                : "<i class='fas fa-file-export'></i> Record";
+        }
+        const status = document.getElementById("trajectory-status");
+        if (recording && status && this.simulation) {
+            const done = Math.max(0, this.simulation.stepCount - trajectory.from);
+            status.textContent = `Recording step ${Math.min(done, trajectory.to - trajectory.from)} of ${trajectory.to - trajectory.from}`;
+        }
+    }
+
+    /**
+     * The browser storage user presets are kept in, or null where storage
+     * is unavailable (e.g. blocked by privacy settings).
+     * @returns {Storage|null}
+     */
+    get presetStorage() {
+        try {
+            return window.localStorage;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Fill the preset selector with the built-in presets and the user's
+     * saved ones, keyed `builtin:<index>` and `user:<name>`.
+     * @param {string} [selected=""] - Key of the option to select; "" is Custom.
+     */
+    renderPresetOptions(selected = "") {
+        const select = document.getElementById("preset-select");
+        if (!select) return;
+
+        const group = (label, presets, prefix) => {
+            const optgroup = document.createElement("optgroup");
+            optgroup.label = label;
+            optgroup.append(...presets.map((preset, index) => {
+                const option = document.createElement("option");
+                option.value = `${prefix}:${prefix === "user" ? preset.name : index}`;
+                option.textContent = preset.name;
+                return option;
+            }));
+            return optgroup;
+        };
+        const custom = document.createElement("option");
+        custom.value = "";
+        custom.textContent = "Custom";
+        const userPresets = readUserPresets(this.presetStorage);
+        select.replaceChildren(
+            custom,
+            group("Built-in", BUILT_IN_PRESETS, "builtin"),
+            ...(userPresets.length > 0 ? [group("Saved", userPresets, "user")] : []),
+        );
+        select.value = selected;
+    }
+
+    /**
+     * The preset behind a preset selector key.
+     * @param {string} key
+     * @returns {import("./presets.js").Preset|null}
+     */
+    presetByKey(key) {
+        const separator = key.indexOf(":");
+        const kind = key.slice(0, separator);
+        const id = key.slice(separator + 1);
+        if (kind === "builtin") return BUILT_IN_PRESETS[Number(id)] ?? null;
+        if (kind === "user") return readUserPresets(this.presetStorage).find((preset) => preset.name === id) ?? null;
+        return null;
+    }
+
+    /**
+     * Set every preset parameter to the preset's value, or to the page's
+     * default where the preset has none, and show the result in the controls.
+     * @param {import("./presets.js").Preset} preset
+     */
+    applyPreset(preset) {
+        const { simulation } = this;
+        if (!simulation || !this.defaultParameters) return;
+
+        PRESET_PARAMETERS.forEach((name) => {
+            simulation.setParameter(name, structuredClone(preset.params[name] ?? this.defaultParameters[name]));
+        });
+        this.syncControls();
+    }
+
+    /**
+     * Ask for a name and save the current flocking parameters as a user
+     * preset under it, replacing a saved preset of the same name.
+     */
+    saveUserPreset() {
+        const { simulation } = this;
+        const storage = this.presetStorage;
+        if (!simulation) return;
+
+        const name = window.prompt("Save the current parameters as preset:")?.trim();
+        if (!name) return;
+        const presets = readUserPresets(storage).filter((preset) => preset.name !== name);
+        presets.push({ name, params: presetParameters(simulation.params) });
+        try {
+            writeUserPresets(storage, presets);
+        } catch (error) {
+            window.alert(`Could not save preset ${name}: ${error.message}`);
+            return;
+        }
+        this.renderPresetOptions(`user:${name}`);
+    }
+
+    /**
+     * Delete the saved preset picked in the preset selector. Built-in presets
+     * cannot be deleted.
+     */
+    deleteUserPreset() {
+        const key = document.getElementById("preset-select")?.value ?? "";
+        if (!key.startsWith("user:")) return;
+
+        const name = key.slice("user:".length);
+        const storage = this.presetStorage;
+        try {
+            writeUserPresets(storage, readUserPresets(storage).filter((preset) => preset.name !== name));
+        } catch (error) {
+            window.alert(`Could not delete preset ${name}: ${error.message}`);
+            return;
+        }
+        this.renderPresetOptions();
+    }
+
+    /**
+     * The seed, parameters and visualization toggles a link carries.
+     * @returns {import("./presets.js").LinkSettings}
+     */
+    currentSettings() {
+        const { simulation } = this;
+        const first = flock[0];
+        return {
+            seed: simulation.seed,
+            params: simulation.params,
+            display: {
+                FOVEnabled: !!first?.FOVEnabled,
+                showNeighbors: !!first?.showNeighbors,
+                shownRules: first ? [...first.shownRules] : [],
+            },
+        };
+    }
+
+    /**
+     * Put the current settings in the page URL's hash and copy the link to
+     * the clipboard where allowed. The seed moves from `?seed=` into the
+     * hash, so the link holds it once.
+     */
+    copyLink() {
+        if (!this.simulation || !this.defaultParameters) return;
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete("seed");
+        url.hash = encodeSettings(this.currentSettings(), this.defaultParameters);
+        window.history.replaceState(null, "", url);
+        navigator.clipboard?.writeText(url.href).catch(() => {
+            // The link is in the address bar to copy by hand
+        });
+    }
+
+    /**
+     * Remember the parameters the page started with, then apply the settings
+     * of the link the page was opened with, if any. Called once the
+     * simulation is ready.
+     */
+    initializeLinkSettings() {
+        if (this.defaultParameters || !this.simulation) return;
+        this.defaultParameters = structuredClone(this.simulation.params);
+        this.applyLinkSettings();
+    }
+
+    /**
+     * Apply the settings in the page URL's hash (see encodeSettings): every
+     * parameter the link leaves out goes back to the page's default, the
+     * visualization toggles are set, and the flock is respawned from the
+     * link's seed so the run replays. Unknown or invalid parameters are
+     * skipped with a warning.
+     */
+    applyLinkSettings() {
+        const { simulation } = this;
+        if (!simulation || !this.defaultParameters) return;
+
+        let settings;
+        try {
+            settings = decodeSettings(window.location.hash);
+        } catch (error) {
+            console.warn("Ignoring the settings in the link:", error.message);
+            return;
+        }
+        if (!settings) return;
+
+        Object.keys(settings.params)
+            .filter((name) => !(name in this.defaultParameters))
+            .forEach((name) => console.warn(`Ignoring unknown parameter in the link: ${name}`));
+        Object.entries(this.defaultParameters).forEach(([name, fallback]) => {
+            try {
+                simulation.setParameter(name, structuredClone(settings.params[name] ?? fallback));
+            } catch (error) {
+                console.warn(`Ignoring ${name} in the link:`, error.message);
+            }
+        });
+        const first = flock[0];
+        if (first) {
+            first.FOVEnabled = settings.display.FOVEnabled;
+            first.showNeighbors = settings.display.showNeighbors;
+            first.shownRules = new Set(settings.display.shownRules);
+        }
+        simulation.reset(settings.seed ?? simulation.seed);
+        this.renderPresetOptions();
+        this.syncControls();
+    }
+
+    /**
+     * Wire the Environment section: the flow field type, its parameters and
+     * the arrow grid toggle, and how fast boids burn energy and food regrows.
+     */
+    setupEnvironmentControls() {
+        document.getElementById("flow-type-select")?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("flowType", e.target.value);
+            this.syncEnvironmentControls();
+        });
+        document.getElementById("flow-field-switch")?.addEventListener("change", (e) => {
+            this.simulation?.setParameter("showFlowField", e.target.checked);
+        });
+
+        const sliders = [
+            ["flow-strength", "flowStrength", (value) => value / 100, (value) => `${value}%`],
+            ["flow-direction", "flowDirection", (value) => (value * Math.PI) / 180, (value) => `${value}°`],
+            ["flow-scale", "flowScale", (value) => value, (value) => value],
+            ["flow-evolution", "flowEvolution", (value) => value, (value) => value.toFixed(2)],
+            ["energy-drain", "energyDrain", (value) => value / 100, (value) => `${value.toFixed(1)}%/s`],
+            ["food-regrowth", "foodRegrowth", (value) => value / 100, (value) => `${value.toFixed(1)}%/s`],
+        ];
+        sliders.forEach(([id, name, toParameter, format]) => {
+            const valueDisplay = document.getElementById(`${id}-value`);
+            document.getElementById(`${id}-range`)?.addEventListener("input", (e) => {
+                const value = parseFloat(e.target.value);
+                if (valueDisplay) valueDisplay.textContent = format(value);
+                this.simulation?.setParameter(name, toParameter(value));
+            });
+        });
+    }
+
+    /**
+     * Show the simulation's flow field in the Environment section: its type,
+     * the arrow toggle, and only the sliders the type uses.
+     */
+    syncEnvironmentControls() {
+        const params = this.simulation?.params;
+        if (!params) return;
+
+        const select = document.getElementById("flow-type-select");
+        if (select) select.value = params.flowType;
+        const toggle = document.getElementById("flow-field-switch");
+        if (toggle) toggle.checked = params.showFlowField;
+        document.querySelectorAll(".flow-setting").forEach((item) => {
+            item.hidden = !item.dataset.flowTypes.split(" ").includes(params.flowType);
+        });
+    }
+
+    /**
+     * Wire the species count selector. The species table and interaction
+     * matrix are rebuilt by renderSpeciesPanel whenever the species change.
+     */
+    setupSpeciesControls() {
+        document.getElementById("species-count-select")?.addEventListener("change", (e) => {
+            this.setSpeciesCount(parseInt(e.target.value));
+        });
+    }
+
+    /**
+     * Keep the first `count` species (adding the next DEFAULT_SPECIES when
+     * growing) and their interactions, and redraw the species panel.
+     * @param {number} count
+     */
+    setSpeciesCount(count) {
+        const { simulation } = this;
+        if (!simulation) return;
+
+        const species = Array.from({ length: count }, (_, index) =>
+            simulation.species[index] ?? DEFAULT_SPECIES[index % DEFAULT_SPECIES.length]);
+        simulation.setSpecies(species, simulation.interactions);
+        this.renderSpeciesPanel();
+    }
+
+    /**
+     * Apply changes to one species (name, colors or scales) and redraw the
+     * species panel.
+     * @param {number} index
+     * @param {{name?:string, colors?:string[], scales?:Object<string, number>}} changes
+     */
+    updateSpecies(index, changes) {
+        const { simulation } = this;
+        if (!simulation) return;
+
+        const species = simulation.species.map((entry, other) => (other === index
+            ? { ...entry, ...changes, scales: { ...entry.scales, ...changes.scales } }
+            : entry));
+        simulation.setSpecies(species, simulation.interactions);
+        this.renderSpeciesPanel();
+    }
+
+    /**
+     * Rebuild the species table (color, name and parameter multipliers per
+     * species) and the interaction matrix from the running simulation.
+     */
+    renderSpeciesPanel() {
+        const { simulation } = this;
+        const table = document.getElementById("species-table");
+        const matrix = document.getElementById("species-matrix");
+        if (!simulation || !table || !matrix) return;
+
+        const { species, interactions } = simulation;
+        const countSelect = document.getElementById("species-count-select");
+        if (countSelect) countSelect.value = String(species.length);
+
+        const cell = (tag, content, title) => {
+            const element = document.createElement(tag);
+            if (typeof content === "string") {
+                element.textContent = content;
+            } else {
+                element.appendChild(content);
+            }
+            if (title) element.title = title;
+            return element;
+        };
+        const swatch = (entry) => {
+            const element = document.createElement("span");
+            element.className = "species-swatch";
+            element.style.background = entry.colors[0];
+            return element;
+        };
+
+        // Species table: one row per species
+        const header = document.createElement("tr");
+        header.append(cell("th", ""), cell("th", "Name"),
+            ...SPECIES_SCALE_COLUMNS.map(({ label, title }) => cell("th", label, title)));
+        table.replaceChildren(header);
+        species.forEach((entry, index) => {
+            const row = document.createElement("tr");
+
+            const color = document.createElement("input");
+            color.type = "color";
+            color.value = entry.colors[0].slice(0, 7);
+            color.title = "Color of this species";
+            color.addEventListener("change", (e) => this.updateSpecies(index, { colors: [e.target.value] }));
+
+            const name = document.createElement("input");
+            name.type = "text";
+            name.value = entry.name;
+            name.setAttribute("aria-label", "Species name");
+            name.addEventListener("change", (e) => this.updateSpecies(index, { name: e.target.value }));
+
+            row.append(cell("td", color), cell("td", name));
+            SPECIES_SCALE_COLUMNS.forEach(({ parameter, title }) => {
+                const input = document.createElement("input");
+                input.type = "number";
+                input.min = "0";
+                input.max = "5";
+                input.step = "0.1";
+                input.value = String(entry.scales[parameter]);
+                input.setAttribute("aria-label", `${entry.name} ${title.toLowerCase()}`);
+                input.addEventListener("change", (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (Number.isFinite(value) && value >= 0) {
+                        this.updateSpecies(index, { scales: { [parameter]: value } });
+                    } else {
+                        e.target.value = String(entry.scales[parameter]);
+                    }
+                });
+                row.appendChild(cell("td", input));
+            });
+            table.appendChild(row);
+        });
+
+        // Interaction matrix: row species treats column species; hidden for a single flock
+        matrix.hidden = species.length < 2;
+        const matrixHeader = document.createElement("tr");
+        matrixHeader.append(cell("th", "Treats →"), ...species.map((entry) => {
+            const th = cell("th", swatch(entry));
+            th.append(entry.name);
+            return th;
+        }));
+        matrix.replaceChildren(matrixHeader);
+        species.forEach((entry, a) => {
+            const row = document.createElement("tr");
+            const th = cell("th", swatch(entry));
+            th.append(entry.name);
+            row.appendChild(th);
+            species.forEach((other, b) => {
+                const select = document.createElement("select");
+                select.className = "select-input";
+                select.setAttribute("aria-label", `How ${entry.name} treats ${other.name}`);
+                Object.entries(INTERACTION_LABELS).forEach(([value, label]) => {
+                    const option = document.createElement("option");
+                    option.value = value;
+                    option.textContent = label;
+                    select.appendChild(option);
+                });
+                select.value = interactions[a][b];
+                select.addEventListener("change", (e) => this.simulation?.setInteraction(a, b, e.target.value));
+                row.appendChild(cell("td", select));
+            });
+            matrix.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the simulation's flock size on the population slider and in the
+     * stats bar.
+     */
+    syncPopulation() {
+        const count = this.simulation?.flock.length;
+        if (count === undefined) return;
+
+        const populationRange = document.getElementById("population-range");
+        const populationValue = document.getElementById("population-value");
+        if (populationRange) populationRange.value = count;
+        if (populationValue) populationValue.textContent = count;
+        this.updateBoidCount(count);
+    }
+
+    /**
+     * Start an FPS counter that updates once per second, refreshing the boid
+     * count and mean energy with it so boids spawned through the API show up too.
+     * The recording timeline, trajectory progress and metrics panel are
+     * refreshed every frame.
+     */
     startFPSCounter() {
         let frames = 0;
         let lastTime = performance.now();
         const updateFPS = () => {
             frames++;
+            this.updateTimeline();
+            this.updateTrajectoryStatus();
+            this.updateMetricsPanel();
             const currentTime = performance.now();
             if (currentTime - lastTime >= 1000) {
                 const fps = Math.round((frames * 1000) / (currentTime - lastTime));
                 const fpsElement = document.getElementById("fps-counter");
                 if (fpsElement) fpsElement.textContent = fps;
+                if (this.simulation) {
+                    this.updateBoidCount(this.simulation.flock.length);
+                    this.updateEnergyLevel(this.simulation.flock);
+                }
                 frames = 0;
                 lastTime = currentTime;
             }
@@ -948,11 +2184,25 @@ class UIController {
         updateFPS();
     }
 
-    /** Update displayed boid count in the UI. */
+    /**
+     * Update displayed boid count in the UI.
+     * @param {number} count
+     */
     updateBoidCount(count) {
         const countElement = document.getElementById("boid-count");
         if (countElement) countElement.textContent = count;
     }
+
+    /**
+     * Update the displayed mean energy of the flock.
+     * @param {import("./boid.js").Boid[]} flock
+     */
+    updateEnergyLevel(flock) {
+        const energyElement = document.getElementById("energy-level");
+        if (!energyElement) return;
+        const total = flock.reduce((sum, boid) => sum + boid.energy, 0);
+        energyElement.textContent = flock.length ? `${Math.round((total / flock.length) * 100)}%` : "-";
+    }
 }
 
 // Initialize UI when DOM is ready
@@ -17,10 +17,11 @@ function distance2D([x1, y1], [x2, y2]) {
  * Return a random integer in [min, max).
  * @param {number} min
  * @param {number} max
+ * @param {function():number} [random=Math.random] - Source of random floats in [0, 1).
  * @returns {number}
  */
-function randomRange(min, max) {
-    return Math.floor(Math.random() * (max - min)) + min;
+function randomRange(min, max, random = Math.random) {
+    return Math.floor(random() * (max - min)) + min;
 }
 
 /**
@@ -28,17 +29,18 @@ function randomRange(min, max) {
  * @param {string} a
  * @param {string} b
  * @param {string} c
+ * @param {function():number} [random=Math.random] - Source of random floats in [0, 1).
  * @returns {string}
  */
-function pickOneTriadic(a, b, c) {
-    var random = randomRange(1, 4);
-    if (random == 1) {
+function pickOneTriadic(a, b, c, random = Math.random) {
+    var pick = randomRange(1, 4, random);
+    if (pick == 1) {
         return a;
     }
-    if (random == 2) {
+    if (pick == 2) {
         return b;
     }
-    if (random == 3) {
+    if (pick == 3) {
         return c;
     }
 }
@@ -49,23 +51,47 @@ function pickOneTriadic(a, b, c) {
  * @param {string} b
  * @param {string} c
  * @param {string} d
+ * @param {function():number} [random=Math.random] - Source of random floats in [0, 1).
  * @returns {string}
  */
-function pickOneTetradic(a, b, c, d) {
-    var random = randomRange(1, 5);
-    if (random == 1) {
+function pickOneTetradic(a, b, c, d, random = Math.random) {
+    var pick = randomRange(1, 5, random);
+    if (pick == 1) {
         return a;
     }
-    if (random == 2) {
+    if (pick == 2) {
         return b;
     }
-    if (random == 3) {
+    if (pick == 3) {
         return c;
     }
-    if (random == 4) {
+    if (pick == 4) {
         return d;
     }
 }
 
+/**
+ * Shortest signed offset along one axis of a wrap-around (toroidal) world.
+ * @param {number} delta - Plain offset, b - a.
+ * @param {number} size - World size along the axis.
+ * @returns {number} Offset in [-size/2, size/2].
+ */
+function wrapDelta(delta, size) {
+    if (delta > size / 2) return delta - size;
+    if (delta < -size / 2) return delta + size;
+    return delta;
+}
+
+/**
+ * Weight of a neighbor line, setting its width and opacity: 1 next to the
+ * boid, fading with distance but never below 0.15, so the farthest
+ * neighbors stay visible.
+ * @param {number} distance - Distance to the neighbor.
+ * @param {number} reach - Distance the weight fades over (see Boid#neighborReach).
+ * @returns {number} In [0.15, 1].
+ */
+function neighborLineWeight(distance, reach) {
+    return reach > 0 ? Math.max(0.15, (reach - distance) / reach) : 1;
+}
 
-export { distance2D, randomRange, pickOneTriadic, pickOneTetradic };
\ No newline at end of file
+export { distance2D, randomRange, pickOneTriadic, pickOneTetradic, wrapDelta, neighborLineWeight };
\ No newline at end of file
@@ -0,0 +1,626 @@
+import {
+    TRACE_COLUMNS,
+    copyColumns,
+    packFlock,
+    stateLength,
+    unpackFlock,
+    unpackHighlight,
+} from "./flock-store.js";
+
+/**
+ * WorkerSimulation
+ *
+ * Runs a `Simulation` in a dedicated worker (simulation-worker.js) while the
+ * main thread keeps a mirror of it for renderers and the UI. It exposes the
+ * same surface the rest of the page uses (`flock`, `params`, `seed`,
+ * `setParameter`, `reset`, ...), forwarding changes to the worker.
+ *
+ * Each frame `advance()` posts the elapsed wall time; the worker runs the
+ * fixed steps that are due on its own clock and posts the flock state back in
+ * transferable buffers, which are copied into the mirror boids and returned
+ * with the next request for the worker to pack into again, so steady-state
+ * frames allocate no state, predator, highlight, food or trace arrays.
+ * While the worker is still busy, elapsed time (and steps asked for with
+ * `step()`) is accumulated instead of queueing more requests, and posted as
+ * soon as the update arrives. An update covering several steps carries the state
+ * after each of them, which is applied to the mirror step by step, so trails
+ * and `onStep` (e.g. the page's recorder) see every step the worker ran.
+ *
+ * Rule functions cannot be posted to a worker, so the worker steps with the
+ * built-in steering rules only, and a simulation with custom rules
+ * registered (see RuleRegistry#customRules) cannot be moved to one.
+ */
+class WorkerSimulation {
+    /**
+     * Start a worker continuing from the current state of a simulation.
+     * @param {import("./simulation.js").Simulation} simulation - Becomes the
+     *   main-thread mirror; it is not stepped while the worker runs.
+     * @param {string|URL} [workerUrl] - Module worker script.
+     * @throws {Error} When custom steering rules are registered.
+     */
+    constructor(simulation, workerUrl = new URL("./simulation-worker.js", import.meta.url)) {
+        const customRules = simulation.rules.customRules();
+        if (customRules.length > 0) {
+            throw new Error(`Custom steering rules (${customRules.map((rule) => rule.name).join(", ")}) cannot run in a worker`);
+        }
+
+        this.simulation = simulation;
+        this.alpha = 1;
+        this.generation = 0;
+        this.pendingElapsed = 0;
+        this.pendingSteps = 0;
+        this.inFlight = false;
+        /** @type {ArrayBuffer[]} Buffers of the last update, returned with the next request. */
+        this.buffers = [];
+        /** @type {function():void|null} Called after each step applied to the mirror. */
+        this.onStep = null;
+        this.tracing = false; // also receive every boid's rule vectors and neighbor count
+
+        this.worker = new Worker(workerUrl, { type: "module" });
+        this.worker.addEventListener("message", (e) => this._receive(e.data));
+        this._postInit();
+    }
+
+    /** @returns {import("./boid.js").Boid[]} */
+    get flock() {
+        return this.simulation.flock;
+    }
+
+    /** @returns {import("./flock-store.js").FlockStore} The mirror's store */
+    get store() {
+        return this.simulation.store;
+    }
+
+    /** @returns {import("./flock-store.js").FlockStore} The mirror's predator store */
+    get predatorStore() {
+        return this.simulation.predatorStore;
+    }
+
+    /** @returns {number} */
+    get timestep() {
+        return this.simulation.timestep;
+    }
+
+    /** @returns {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number}} */
+    get world() {
+        return this.simulation.world;
+    }
+
+    /** @returns {number} */
+    get seed() {
+        return this.simulation.seed;
+    }
+
+    /** @returns {Object} */
+    get params() {
+        return this.simulation.params;
+    }
+
+    /** @returns {number} */
+    get time() {
+        return this.simulation.time;
+    }
+
+    /** @returns {number} */
+    get stepCount() {
+        return this.simulation.stepCount;
+    }
+
+    /** @returns {import("./boid.js").Boid|undefined} */
+    get highlighted() {
+        return this.simulation.highlighted;
+    }
+
+    /** @returns {import("./predator.js").Predator[]} */
+    get predators() {
+        return this.simulation.predators;
+    }
+
+    /** @returns {import("./flow-fields.js").FlowField} */
+    get flowField() {
+        return this.simulation.flowField;
+    }
+
+    /** @returns {import("./food.js").FoodPatch[]} */
+    get foodPatches() {
+        return this.simulation.foodPatches;
+    }
+
+    /**
+     * Add a food patch on the mirror and in the worker.
+     * @param {{x:number, y:number, radius?:number, capacity?:number, amount?:number}} spec
+     * @returns {import("./food.js").FoodPatch}
+     */
+    addFoodPatch(spec) {
+        const patch = this.simulation.addFoodPatch(spec);
+        this._postFoodPatches();
+        return patch;
+    }
+
+    /**
+     * Remove a food patch on the mirror and in the worker.
+     * @param {import("./food.js").FoodPatch} patch
+     */
+    removeFoodPatch(patch) {
+        this.simulation.removeFoodPatch(patch);
+        this._postFoodPatches();
+    }
+
+    /**
+     * Replace every food patch on the mirror and in the worker.
+     * @param {Object[]} specs
+     */
+    setFoodPatches(specs) {
+        this.simulation.setFoodPatches(specs);
+        this._postFoodPatches();
+    }
+
+    /**
+     * The topmost food patch under a point, if any.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [tolerance=0]
+     * @returns {import("./food.js").FoodPatch|null}
+     */
+    foodPatchAt(x, y, tolerance = 0) {
+        return this.simulation.foodPatchAt(x, y, tolerance);
+    }
+
+    /** @returns {import("./obstacles.js").Obstacle[]} */
+    get obstacles() {
+        return this.simulation.obstacles;
+    }
+
+    /**
+     * Add an obstacle on the mirror and in the worker.
+     * @param {{shape:string}} spec
+     * @returns {import("./obstacles.js").Obstacle}
+     */
+    addObstacle(spec) {
+        const obstacle = this.simulation.addObstacle(spec);
+        this._postObstacles();
+        return obstacle;
+    }
+
+    /**
+     * Remove an obstacle on the mirror and in the worker.
+     * @param {import("./obstacles.js").Obstacle} obstacle
+     */
+    removeObstacle(obstacle) {
+        this.simulation.removeObstacle(obstacle);
+        this._postObstacles();
+    }
+
+    /**
+     * Replace every obstacle on the mirror and in the worker.
+     * @param {{shape:string}[]} specs
+     */
+    setObstacles(specs) {
+        this.simulation.setObstacles(specs);
+        this._postObstacles();
+    }
+
+    /**
+     * The topmost obstacle at a point, if any.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [tolerance=0]
+     * @returns {import("./obstacles.js").Obstacle|null}
+     */
+    obstacleAt(x, y, tolerance = 0) {
+        return this.simulation.obstacleAt(x, y, tolerance);
+    }
+
+    /**
+     * Set a simulation parameter on the mirror and in the worker. A new
+     * `boidCount` is applied on the mirror and the boids it spawned or
+     * despawned are replayed in the worker (see addBoid and removeBoid).
+     * @param {string} name
+     * @param {*} value
+     */
+    setParameter(name, value) {
+        if (name !== "boidCount") {
+            this.simulation.setParameter(name, value);
+            this.worker.postMessage({ type: "setParameter", name, value });
+            return;
+        }
+
+        const { store } = this.simulation;
+        const start = store.count;
+        this.simulation.setParameter(name, value);
+        if (store.count > start) {
+            this._postAddedBoids(start);
+        } else if (store.count < start) {
+            // Boids were despawned from the last slot down
+            const indices = Array.from({ length: start - store.count }, (_, k) => start - 1 - k);
+            this._postRemovedBoids(indices);
+        }
+    }
+
+    /**
+     * Spawn a boid on the mirror and send it to the worker, which adds the
+     * same boid (position, parameters and species) in the same slot.
+     * @param {{x?:number, y?:number, vx?:number, vy?:number}} [spawn]
+     * @returns {import("./boid.js").Boid}
+     */
+    addBoid(spawn) {
+        const boid = this.simulation.addBoid(spawn);
+        this._postAddedBoids(boid.index);
+        return boid;
+    }
+
+    /**
+     * Despawn a boid on the mirror and in the worker. Both move their last
+     * boid into the freed slot, so the flocks stay identical slot for slot.
+     * @param {import("./boid.js").Boid} boid
+     */
+    removeBoid(boid) {
+        const { index } = boid;
+        this.simulation.removeBoid(boid);
+        this._postRemovedBoids([index]);
+    }
+
+    /**
+     * Respawn the flock from a seed on both sides. Updates the worker posted
+     * before the reset are discarded when they arrive.
+     * @param {number} [seed=this.seed]
+     */
+    reset(seed = this.seed) {
+        this.simulation.reset(seed);
+        this.generation++;
+        this.pendingElapsed = 0;
+        this.pendingSteps = 0;
+        this.worker.postMessage({ type: "reset", seed: this.simulation.seed });
+    }
+
+    /**
+     * Capture the full state of the mirror, which holds the state the worker
+     * last reported (see Simulation#toSnapshot).
+     * @returns {import("./snapshot.js").Snapshot}
+     */
+    toSnapshot() {
+        return this.simulation.toSnapshot();
+    }
+
+    /**
+     * Load a snapshot into the mirror and restart the worker's simulation
+     * from it. Updates the worker posted before the load are discarded.
+     * @param {import("./snapshot.js").Snapshot} snapshot
+     */
+    loadSnapshot(snapshot) {
+        this.simulation.loadSnapshot(snapshot);
+        this.generation++;
+        this.pendingElapsed = 0;
+        this.pendingSteps = 0;
+        this._postInit();
+    }
+
+    /**
+     * Rewind the mirror to a recorded frame (see Simulation#restoreFrame)
+     * and restart the worker's simulation from it. Updates the worker posted
+     * before are discarded.
+     * @param {import("./recorder.js").Frame} frame
+     */
+    restoreFrame(frame) {
+        this.simulation.restoreFrame(frame);
+        this.generation++;
+        this.pendingElapsed = 0;
+        this.pendingSteps = 0;
+        this._postInit();
+    }
+
+    /**
+     * Ask the worker to advance by `elapsedMs` of wall time.
+     * @param {number} elapsedMs
+     */
+    advance(elapsedMs) {
+        this.pendingElapsed += elapsedMs;
+        if (!this.inFlight) this._request();
+    }
+
+    /**
+     * Ask the worker for exactly one more step, whatever its clock holds
+     * (e.g. stepping while paused). The mirror is updated, and `onStep`
+     * called, when the step arrives.
+     */
+    step() {
+        this.pendingSteps++;
+        if (!this.inFlight) this._request();
+    }
+
+    /**
+     * The mirror's spatial grid over the flock's current positions (see
+     * Simulation#neighborGrid), rebuilt on the main thread when the mirror
+     * has received new state since.
+     * @returns {import("./spatial-grid.js").SpatialGrid}
+     */
+    neighborGrid() {
+        return this.simulation.neighborGrid();
+    }
+
+    /**
+     * Stop the worker. The mirror keeps the last received state, so the
+     * wrapped simulation can carry on stepping on the main thread.
+     */
+    terminate() {
+        this.worker.terminate();
+    }
+
+    /** @returns {import("./attractors.js").Attractor[]} */
+    get attractors() {
+        return this.simulation.attractors;
+    }
+
+    /**
+     * Add an attractor on the mirror and in the worker.
+     * @param {{x:number, y:number, strength?:number, radius?:number, pinned?:boolean}} spec
+     * @returns {import("./attractors.js").Attractor}
+     */
+    addAttractor(spec) {
+        const attractor = this.simulation.addAttractor(spec);
+        this._postAttractors();
+        return attractor;
+    }
+
+    /**
+     * Move or retune an attractor on the mirror and in the worker.
+     * @param {import("./attractors.js").Attractor} attractor
+     * @param {Object} changes
+     */
+    updateAttractor(attractor, changes) {
+        this.simulation.updateAttractor(attractor, changes);
+        this._postAttractors();
+    }
+
+    /**
+     * Remove an attractor on the mirror and in the worker.
+     * @param {import("./attractors.js").Attractor} attractor
+     */
+    removeAttractor(attractor) {
+        this.simulation.removeAttractor(attractor);
+        this._postAttractors();
+    }
+
+    /**
+     * Replace every attractor on the mirror and in the worker.
+     * @param {Object[]} specs
+     */
+    setAttractors(specs) {
+        this.simulation.setAttractors(specs);
+        this._postAttractors();
+    }
+
+    /**
+     * The topmost attractor whose point is near (x, y), if any.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [tolerance=8]
+     * @returns {import("./attractors.js").Attractor|null}
+     */
+    attractorAt(x, y, tolerance = 8) {
+        return this.simulation.attractorAt(x, y, tolerance);
+    }
+
+    /** @returns {import("./species.js").Species[]} */
+    get species() {
+        return this.simulation.species;
+    }
+
+    /** @returns {string[][]} */
+    get interactions() {
+        return this.simulation.interactions;
+    }
+
+    /**
+     * Replace the species and their interactions on the mirror and in the worker.
+     * @param {Object[]} species
+     * @param {string[][]} [interactions]
+     */
+    setSpecies(species, interactions) {
+        this.simulation.setSpecies(species, interactions);
+        this._postSpecies();
+    }
+
+    /**
+     * Change how species `a` treats species `b` on the mirror and in the worker.
+     * @param {number} a
+     * @param {number} b
+     * @param {string} interaction
+     */
+    setInteraction(a, b, interaction) {
+        this.simulation.setInteraction(a, b, interaction);
+        this._postSpecies();
+    }
+
+    /** @returns {import("./rule-registry.js").RuleRegistry} */
+    get rules() {
+        return this.simulation.rules;
+    }
+
+    /**
+     * The weight a steering rule is applied with.
+     * @param {string} name
+     * @returns {number}
+     */
+    ruleWeight(name) {
+        return this.simulation.ruleWeight(name);
+    }
+
+    /**
+     * Change the weight of a steering rule on the mirror and in the worker.
+     * @param {string} name
+     * @param {number} weight
+     */
+    setRuleWeight(name, weight) {
+        this.simulation.setRuleWeight(name, weight);
+        this.worker.postMessage({ type: "setParameter", name: "ruleWeights", value: this.simulation.params.ruleWeights });
+    }
+
+    /**
+     * Have the worker rebuild its simulation from the mirror's current state.
+     * @private
+     */
+    _postInit() {
+        const { simulation } = this;
+        const predatorState = new Float32Array(stateLength(simulation.predatorStore.count));
+        packFlock(simulation.predatorStore, predatorState);
+        this.worker.postMessage({
+            type: "init",
+            world: { CANVAS_WIDTH: simulation.world.CANVAS_WIDTH, CANVAS_HEIGHT: simulation.world.CANVAS_HEIGHT, TIME_SCALE: simulation.world.TIME_SCALE },
+            seed: simulation.seed,
+            timestep: simulation.timestep,
+            params: simulation.params,
+            time: simulation.time,
+            stepCount: simulation.stepCount,
+            obstacles: simulation.obstacles,
+            attractors: simulation.attractors,
+            foodPatches: simulation.foodPatches,
+            species: simulation.species,
+            interactions: simulation.interactions,
+            columns: copyColumns(simulation.store, 0, simulation.store.count),
+            predatorState,
+        }, [predatorState.buffer]);
+    }
+
+    /**
+     * Send the mirror's species and interactions to the worker.
+     * @private
+     */
+    _postSpecies() {
+        this.worker.postMessage({ type: "setSpecies", species: this.simulation.species, interactions: this.simulation.interactions });
+    }
+
+    /**
+     * Send the boids from slot `start` to the end of the mirror to the worker
+     * as new boids. Updates posted before the change are discarded.
+     * @param {number} start
+     * @private
+     */
+    _postAddedBoids(start) {
+        const { store } = this.simulation;
+        this.generation++;
+        this.worker.postMessage({ type: "addBoids", columns: copyColumns(store, start, store.count) });
+    }
+
+    /**
+     * Have the worker despawn the boids in the given slots, in order.
+     * Updates posted before the change are discarded.
+     * @param {number[]} indices
+     * @private
+     */
+    _postRemovedBoids(indices) {
+        this.generation++;
+        this.worker.postMessage({ type: "removeBoids", indices });
+    }
+
+    /**
+     * Send the mirror's attractors to the worker, which rebuilds them.
+     * @private
+     */
+    _postAttractors() {
+        this.worker.postMessage({ type: "setAttractors", attractors: this.simulation.attractors });
+    }
+
+    /**
+     * Send the mirror's food patches to the worker, which rebuilds them with
+     * the food they have left.
+     * @private
+     */
+    _postFoodPatches() {
+        this.worker.postMessage({ type: "setFoodPatches", foodPatches: this.simulation.foodPatches });
+    }
+
+    /**
+     * Send the mirror's obstacles to the worker, which rebuilds them.
+     * @private
+     */
+    _postObstacles() {
+        this.worker.postMessage({ type: "setObstacles", obstacles: this.simulation.obstacles });
+    }
+
+    /**
+     * Post the accumulated elapsed time and steps to the worker, returning
+     * the buffers of the last update with them.
+     * @private
+     */
+    _request() {
+        const { buffers } = this;
+        this.worker.postMessage({
+            type: "advance",
+            elapsed: this.pendingElapsed,
+            steps: this.pendingSteps,
+            generation: this.generation,
+            trace: this.tracing,
+            buffers,
+        }, buffers);
+        this.buffers = [];
+        this.pendingElapsed = 0;
+        this.pendingSteps = 0;
+        this.inFlight = true;
+    }
+
+    /**
+     * Copy a state update from the worker into the mirror, step by step: the
+     * earlier steps of the update (`frames`) first, in order, then the last.
+     * Time or steps that came in while the update was on its way are then
+     * posted at once.
+     * @param {{state:Float32Array, predatorState:Float32Array, highlight:Float32Array, food:Float32Array, trace:Float32Array|null, frames:Object[], spare:ArrayBuffer[], generation:number, steps:number, alpha:number, time:number, stepCount:number}} data
+     * @private
+     */
+    _receive({ frames, spare, generation, steps, alpha, ...last }) {
+        this.inFlight = false;
+        frames.forEach((frame) => this._reclaim(frame));
+        this._reclaim(last);
+        this.buffers.push(...spare);
+        if (generation === this.generation) {
+            frames.forEach((frame) => this._applyStep(frame, true));
+            this._applyStep(last, steps > 0);
+            this.alpha = alpha;
+        }
+        if (this.pendingElapsed > 0 || this.pendingSteps > 0) {
+            this._request();
+        }
+    }
+
+    /**
+     * Keep the buffers of a received step to hand back to the worker.
+     * @param {{state:Float32Array, predatorState:Float32Array, highlight:Float32Array, food:Float32Array, trace:Float32Array|null}} step
+     * @private
+     */
+    _reclaim({ state, predatorState, highlight, food, trace }) {
+        this.buffers.push(state.buffer, predatorState.buffer, highlight.buffer, food.buffer);
+        if (trace) this.buffers.push(trace.buffer);
+    }
+
+    /**
+     * Copy the state after one step into the mirror.
+     * Food left in the patches is copied too, unless the patches changed on
+     * the main thread in the meantime, and so is the trace while tracing.
+     * @param {{state:Float32Array, predatorState:Float32Array, highlight:Float32Array, food:Float32Array, trace:Float32Array|null, time:number, stepCount:number}} step
+     * @param {boolean} stepped - Whether a step was taken (false for an
+     *   update that ran none), to sample trails and call `onStep`.
+     * @private
+     */
+    _applyStep({ state, predatorState, highlight, food, trace, time, stepCount }, stepped) {
+        const { simulation } = this;
+        unpackFlock(simulation.store, state);
+        unpackFlock(simulation.predatorStore, predatorState);
+        if (trace) {
+            unpackFlock(simulation.store, trace, TRACE_COLUMNS);
+        }
+        if (simulation.highlighted) {
+            unpackHighlight(simulation.highlighted, simulation.flock, highlight);
+        }
+        if (food.length === simulation.foodPatches.length) {
+            simulation.foodPatches.forEach((patch, k) => { patch.amount = food[k]; });
+        }
+        simulation.time = time;
+        simulation.stepCount = stepCount;
+        if (stepped) {
+            simulation.recordTrails();
+            this.onStep?.();
+        }
+    }
+}
+
+export { WorkerSimulation };
@@ -1,25 +1,32 @@
+// The simulation core also runs headless (e.g. under Node), so only read the
+// window dimensions when a browser window is actually present.
+const hasWindow = typeof window !== "undefined";
+
 /**
  * World configuration values used by the simulation. Values are derived from
  * the current window dimensions to allow reasonable defaults across screen sizes.
- * @type {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number, NUM_BOIDS:number, TIME_SCALE:number}}
+ * Outside the browser a fixed 800x600 world is used.
+ *
+ * The simulation advances in fixed steps of FIXED_TIMESTEP milliseconds of
+ * simulated time (each split into SUBSTEPS integration updates); at most
+ * MAX_STEPS_PER_FRAME steps are run per rendered frame to catch up after a stall.
+ * @type {{CANVAS_WIDTH:number, CANVAS_HEIGHT:number, NUM_BOIDS:number, TIME_SCALE:number,
+ *   FIXED_TIMESTEP:number, SUBSTEPS:number, MAX_STEPS_PER_FRAME:number}}
  */
 const WORLD = {
-  CANVAS_WIDTH: Math.min(window.innerWidth * 0.95), // 95% of screen width
-  CANVAS_HEIGHT: Math.min(window.innerHeight * 0.55), // 55% of screen height
+  CANVAS_WIDTH: hasWindow ? Math.min(window.innerWidth * 0.95) : 800, // 95% of screen width
+  CANVAS_HEIGHT: hasWindow ? Math.min(window.innerHeight * 0.55) : 600, // 55% of screen height
   NUM_BOIDS: 100,
   TIME_SCALE: 0.10,
+  FIXED_TIMESTEP: 1000 / 60,
+  SUBSTEPS: 1,
+  MAX_STEPS_PER_FRAME: 5,
 };
 
 // List containing all boids in the world. Exported for simple access from other modules.
 var flock = [];
-window.flock = flock;
-
-/**
- * Append a boid instance to the global flock array.
- * @param {Object} boid
- */
-function appendFlock(boid) {
-  flock.push(boid);
+if (hasWindow) {
+  window.flock = flock;
 }
 
-export { WORLD, appendFlock, flock };
+export { WORLD, flock };